@@ -12,14 +12,16 @@
 /**
  * @typedef {Object} VectorEntry
  * @property {string} id - Unique identifier
- * @property {number[]} vector - The vector data
+ * @property {Float32Array|Float64Array} vector - The vector data (a view into the store's contiguous storage);
+ *   `JSON.stringify()` writes it as a plain array
  * @property {Object|null} metadata - Optional metadata
+ * @property {number} [expiresAt] - Time (ms since the epoch) after which the entry expires
  */
 
 /**
  * @typedef {Object} Cluster
  * @property {string} id - Unique cluster identifier
- * @property {number[]} center - Vector representing the center of the cluster
+ * @property {Float32Array|Float64Array} center - Vector representing the center of the cluster
  * @property {VectorEntry[]} members - Vectors belonging to this cluster
  */
 
@@ -36,15 +38,91 @@
  * @property {VectorEntry} entry - The vector entry
  * @property {number} similarity - Similarity score
  * @property {string} clusterId - ID of the cluster containing this entry
+ * @property {{vector: number|null, text: number|null}} [scores] - Component scores of `searchText()` and `hybridSearch()` results
+ */
+
+/**
+ * Metadata filter. Keys are metadata field paths (dot notation for nested
+ * fields, e.g. `'author.name'`) mapped either to a literal value (equality)
+ * or to an operator object using `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`,
+ * `$lt`, `$lte`, `$exists` or `$not`. The logical operators `$and`, `$or`
+ * (arrays of filters) and `$not` (a single filter) may appear at any level.
+ * Unknown operators and operands of the wrong type (e.g. `{ $gt: {} }`)
+ * throw an `INVALID_ARGUMENT` error.
+ * @typedef {Object} MetadataFilter
+ */
+
+/**
+ * A recorded mutation, as returned by `exportChanges()`
+ * @typedef {Object} Change
+ * @property {number} seq - Sequence number on the replica that exported it
+ * @property {string} op - Store method that made the change
+ * @property {Array} args - Arguments of the call (vectors as arrays, expiry already absolute)
+ * @property {string[]} ids - IDs the call generated, reused when the change is applied
+ * @property {string} origin - `replicaId` of the store where the change was first made
+ * @property {number} originSeq - Sequence number of the change on its origin
+ * @property {{time: number, replica: string, seq: number}} [stamp] - Version of the metadata written by `updateMetadata` and `upsert`
+ * @property {Object|null} [base] - Metadata version the write replaced, for detecting concurrent edits
+ */
+
+/**
+ * Problem found in an export by `atomicVDB.validateExport()` or a validating `import()`
+ * @typedef {Object} ExportIssue
+ * @property {string} type - Kind of problem: 'checksum', 'dimensions', 'dimension-mismatch', 'nan', 'invalid-id', 'duplicate-entry', 'invalid-cluster-id', 'duplicate-cluster', 'invalid-center', 'invalid-radius', 'empty-cluster', 'dangling-cluster', 'orphan-entry', 'missing-mapping', 'cluster-mismatch', 'hnsw-mismatch' or 'hnsw-dangling-edge'
+ * @property {string} message - Human-readable description
+ * @property {string} [clusterId] - Cluster involved, if any
+ * @property {string} [entryId] - Entry involved, if any
  */
 
 /**
  * @typedef {Object} atomicVDBOptions
- * @property {Function} [similarityFn] - Function to calculate similarity between vectors
+ * @property {string} [similarity='cosine'] - Name of a registered similarity metric: 'cosine', 'euclidean', 'dot', 'manhattan', 'hamming', 'jaccard' or a custom one
+ * @property {Function} [similarityFn] - Function to calculate similarity between vectors (prefer `similarity`, which survives export/import)
  * @property {number} [clusterThreshold=0.85] - Similarity threshold for joining existing clusters
  * @property {boolean} [dynamicClustering=true] - Whether to create new clusters automatically
  * @property {boolean} [recalculateCenters=true] - Whether to recalculate cluster centers on insert
  * @property {number} [maxClusters=100] - Maximum number of clusters
+ * @property {number} [dimensions] - Vector dimensions; when omitted they are taken from the first vector inserted
+ * @property {number} [maxVectors] - Maximum number of entries; inserts beyond it evict expired entries first, then per `eviction`
+ * @property {'fifo'|'lru'|'priority'} [eviction='fifo'] - Which entries to evict: oldest inserted, least recently returned by a search, or lowest `priorityField`
+ * @property {string} [priorityField='priority'] - Metadata field path holding entry priority for `'priority'` eviction (missing counts as 0)
+ * @property {number|null} [nProbe=null] - Number of clusters `search()` visits; when null it stops once it has enough results
+ * @property {number} [minClustersToProbe=1] - Minimum number of clusters to visit before `search()` may stop early
+ * @property {'float32'|'float64'} [vectorType='float32'] - Element type of the typed arrays vectors are stored in.
+ *   `float16` and `int8` are only `exportBinary()` encodings; use `quantization` for compact vectors in memory.
+ * @property {Object} [quantization] - Quantize vectors once `trainQuantizer()` has been called
+ * @property {'sq8'|'pq'} quantization.type - 8-bit scalar or product quantization
+ * @property {number} [quantization.m] - Number of product quantization subspaces (must divide the dimensions)
+ * @property {number} [quantization.nbits=8] - Bits per product quantization subspace code
+ * @property {boolean} [quantization.keepVectors=true] - Keep full-precision vectors alongside the codes
+ * @property {boolean} [quantization.rerank=true] - Re-score the best candidates with full-precision vectors when they are kept
+ * @property {number} [quantization.rerankFactor=4] - Candidates fetched per requested result when re-ranking
+ * @property {'clusters'|'hnsw'} [indexType='clusters'] - Search structure used by `search()`
+ * @property {Object} [hnsw] - HNSW parameters, used when `indexType` is `'hnsw'`
+ * @property {number} [hnsw.M=16] - Maximum links per node (twice this on the bottom layer)
+ * @property {number} [hnsw.efConstruction=200] - Candidate list size while inserting
+ * @property {number} [hnsw.ef=50] - Default candidate list size while searching
+ * @property {Object} [hierarchy] - Organize cluster centers in a tree so that finding the nearest clusters is sub-linear;
+ *   `maxClusters` then defaults to unlimited
+ * @property {number} [hierarchy.branching=32] - Maximum children per tree node
+ * @property {number} [hierarchy.beamWidth=4] - Tree nodes kept per level while descending (higher is more accurate and slower)
+ * @property {number|Object} [workers] - Run `searchAsync()`, `searchBatchAsync()` and `reclusterAsync()` on a pool of worker
+ *   threads of this size (or `{size}`; defaults to one less than the number of cores)
+ * @property {string[]} [textFields] - Metadata field paths to build a BM25 keyword index over, for `searchText()` and `hybridSearch()`
+ * @property {Object} [embedder] - Turns text into vectors for `insertText()` and `searchByText()`: an object with
+ *   `embed(texts) => Promise<vectors>` (see `atomicVDB.embedders`), or a `{type, ...}` configuration of a built-in one
+ * @property {Object} [embedding] - How the embedder is called
+ * @property {number} [embedding.batchSize=64] - Texts sent to the embedder per call
+ * @property {number} [embedding.cacheSize=1000] - Embeddings of recent texts kept to avoid recomputing them
+ * @property {string} [embedding.textField='text'] - Metadata field that stores each entry's text
+ * @property {boolean|Object} [changeLog] - Number mutations and keep the latest ones so that `exportChanges()` and
+ *   `applyChanges()` can sync replicas (`true` or `{maxRecords}`)
+ * @property {number} [changeLog.maxRecords=10000] - Changes retained; replicas further behind must resynchronize from `export()`
+ * @property {Object} [autoMaintain] - Cluster maintenance policy applied to the affected clusters after every insert, update and removal (see `maintain()`); rules left unset are not applied
+ * @property {number} [autoMaintain.maxRadius] - Split clusters whose radius exceeds this distance
+ * @property {number} [autoMaintain.maxSize] - Split clusters with more members than this
+ * @property {number} [autoMaintain.minSize] - Dissolve clusters with fewer members than this into their neighbours
+ * @property {number} [autoMaintain.mergeSimilarity] - Merge clusters whose centers are at least this similar
  */
 
 /**
@@ -100,6 +178,184 @@ function cosineSimilarity(a, b) {
     // Convert distance to similarity (1 when identical, approaching 0 as distance increases)
     return 1 / (1 + distance);
   }
+
+  /**
+   * Calculate the dot product of two vectors
+   * @param {number[]} a - First vector
+   * @param {number[]} b - Second vector
+   * @returns {number} Dot product (unbounded, higher is more similar)
+   */
+  function dotSimilarity(a, b) {
+    if (a.length !== b.length) {
+      throw new Error(`Vector dimensions don't match: ${a.length} vs ${b.length}`);
+    }
+
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return dot;
+  }
+
+  /**
+   * Convert Manhattan (L1) distance to a similarity score
+   * @param {number[]} a - First vector
+   * @param {number[]} b - Second vector
+   * @returns {number} Similarity score between 0 and 1
+   */
+  function manhattanSimilarity(a, b) {
+    if (a.length !== b.length) {
+      throw new Error(`Vector dimensions don't match: ${a.length} vs ${b.length}`);
+    }
+
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += Math.abs(a[i] - b[i]);
+    }
+    return 1 / (1 + sum);
+  }
+
+  /**
+   * Calculate the fraction of positions at which two vectors agree
+   * (one minus the normalized Hamming distance)
+   * @param {number[]} a - First vector
+   * @param {number[]} b - Second vector
+   * @returns {number} Similarity score between 0 and 1
+   */
+  function hammingSimilarity(a, b) {
+    if (a.length !== b.length) {
+      throw new Error(`Vector dimensions don't match: ${a.length} vs ${b.length}`);
+    }
+
+    let mismatches = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) mismatches++;
+    }
+    return a.length === 0 ? 1 : 1 - mismatches / a.length;
+  }
+
+  /**
+   * Calculate the Jaccard index of the non-zero positions of two vectors
+   * @param {number[]} a - First vector
+   * @param {number[]} b - Second vector
+   * @returns {number} Similarity score between 0 and 1
+   */
+  function jaccardSimilarity(a, b) {
+    if (a.length !== b.length) {
+      throw new Error(`Vector dimensions don't match: ${a.length} vs ${b.length}`);
+    }
+
+    let intersection = 0, union = 0;
+    for (let i = 0; i < a.length; i++) {
+      const inA = a[i] !== 0;
+      const inB = b[i] !== 0;
+      if (inA && inB) intersection++;
+      if (inA || inB) union++;
+    }
+
+    // Two empty sets are identical
+    return union === 0 ? 1 : intersection / union;
+  }
+
+  /**
+   * Upper bound on the similarity between a query and any vector within a
+   * distance of a center, for metrics whose distance obeys the triangle
+   * inequality
+   * @param {Function} toDistance - Similarity to distance conversion
+   * @param {Function} fromDistance - Its inverse
+   * @returns {Function} `(centerSimilarity, radius) => number`
+   */
+  function triangleBound(toDistance, fromDistance) {
+    return (centerSimilarity, radius) => fromDistance(Math.max(0, toDistance(centerSimilarity) - radius));
+  }
+
+  /**
+   * Registered similarity metrics, keyed by name. `toDistance` converts a
+   * similarity score into a distance (0 for identical vectors) used for
+   * cluster radii and splitting. `maxSimilarity(centerSimilarity, radius)`,
+   * where the metric allows it, bounds how similar any member of a cluster
+   * can be to a query, which lets range searches skip whole clusters.
+   * @type {Map<string, {name: string, fn: Function, toDistance: Function, maxSimilarity?: Function, builtIn: boolean}>}
+   */
+  const similarityRegistry = new Map([
+    ['cosine', {
+      fn: cosineSimilarity,
+      toDistance: s => 1 - s,
+      // Angles obey the triangle inequality even though 1 - cos does not
+      maxSimilarity: (centerSimilarity, radius) => {
+        const angle = Math.acos(Math.min(1, Math.max(-1, centerSimilarity)));
+        const spread = Math.acos(Math.min(1, Math.max(-1, 1 - radius)));
+        return Math.cos(Math.max(0, angle - spread));
+      }
+    }],
+    ['euclidean', {
+      fn: euclideanSimilarity,
+      toDistance: s => 1 / s - 1,
+      maxSimilarity: triangleBound(s => 1 / s - 1, d => 1 / (1 + d))
+    }],
+    ['dot', { fn: dotSimilarity, toDistance: s => -s }],
+    ['manhattan', {
+      fn: manhattanSimilarity,
+      toDistance: s => 1 / s - 1,
+      maxSimilarity: triangleBound(s => 1 / s - 1, d => 1 / (1 + d))
+    }],
+    ['hamming', {
+      fn: hammingSimilarity,
+      toDistance: s => 1 - s,
+      maxSimilarity: triangleBound(s => 1 - s, d => 1 - d)
+    }],
+    ['jaccard', {
+      fn: jaccardSimilarity,
+      toDistance: s => 1 - s,
+      maxSimilarity: triangleBound(s => 1 - s, d => 1 - d)
+    }]
+  ].map(([name, metric]) => [name, { name, ...metric, builtIn: true }]));
+
+  /**
+   * Resolve the similarity metric described by store options. A named
+   * `similarity` takes precedence; a bare `similarityFn` is matched against
+   * the registry so that stores created with a registered function can
+   * still be exported by name.
+   * @param {atomicVDBOptions} options - Store options
+   * @returns {{name: string|null, fn: Function, toDistance: Function}} The metric
+   */
+  function resolveSimilarity(options) {
+    if (options.similarity != null) {
+      const metric = similarityRegistry.get(options.similarity);
+      if (!metric) {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Unknown similarity metric: ${options.similarity}`);
+      }
+      return metric;
+    }
+
+    if (options.similarityFn) {
+      for (const metric of similarityRegistry.values()) {
+        if (metric.fn === options.similarityFn) return metric;
+      }
+      return { name: null, fn: options.similarityFn, toDistance: s => 1 - s };
+    }
+
+    return similarityRegistry.get('cosine');
+  }
+  
+  /**
+   * Error thrown by the store for a problem with its input, with a `code`
+   * callers can branch on: `INVALID_ARGUMENT`, `DIMENSION_MISMATCH`,
+   * `DUPLICATE_ID`, `INVALID_ID`, `NOT_FOUND`, `CONFLICT` (the store changed
+   * during an async call), `LIMIT_EXCEEDED` or `INVALID_DATA` (a malformed
+   * export, binary store or change set). Other errors are failures.
+   */
+  class atomicVDBError extends Error {
+    /**
+     * @param {string} code - Error code
+     * @param {string} message - Error message
+     */
+    constructor(code, message) {
+      super(message);
+      this.name = 'atomicVDBError';
+      this.code = code;
+    }
+  }
   
   /**
    * Generate a UUID
@@ -113,608 +369,7831 @@ function cosineSimilarity(a, b) {
           return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
         });
   }
-  
+
   /**
-   * Enhanced vector store with clustering capabilities
+   * Typed array constructors for in-memory vector storage. The binary
+   * format's `float16` and `int8` dtypes are converted on export and import.
+   * @type {Object.<string, Function>}
    */
-  class atomicVDB {
+  const VECTOR_TYPES = {
+    float32: Float32Array,
+    float64: Float64Array
+  };
+
+  /**
+   * Check whether a value can be used as a vector (a plain or typed numeric array)
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is array-like numeric data
+   */
+  function isVectorLike(value) {
+    return Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView));
+  }
+
+  /**
+   * `toJSON` for entries, so `JSON.stringify()` writes the vector as a plain array
+   * @this {VectorEntry}
+   * @returns {Object} The entry with its vector as an array
+   */
+  function entryToJSON() {
+    return { ...this, vector: Array.from(this.vector) };
+  }
+
+  /**
+   * Contiguous storage for fixed-length vectors. Vectors live in large typed
+   * array blocks and are handed out as subarray views; freed slots are reused.
+   * Blocks never move, so views stay valid for as long as their slot is held.
+   */
+  class VectorArena {
     /**
-     * Create a new clustered vector store
-     * @param {atomicVDBOptions} [options] - Configuration options
+     * @param {number} dimensions - Length of every vector
+     * @param {Function} ArrayType - Typed array constructor (e.g. Float32Array)
+     * @param {number} [blockSize=1024] - Number of vectors per block
+     * @param {boolean} [shared=false] - Back blocks with SharedArrayBuffers so worker threads can read them
      */
-    constructor(options = {}) {
-      this.options = {
-        similarityFn: options.similarityFn || cosineSimilarity,
-        clusterThreshold: options.clusterThreshold ?? 0.85,
-        dynamicClustering: options.dynamicClustering ?? true,
-        recalculateCenters: options.recalculateCenters ?? true,
-        maxClusters: options.maxClusters ?? 100
-      };
-      
-      /** @type {Cluster[]} */
-      this.clusters = [];
-      
-      /** @type {Object.<string, VectorEntry>} */
-      this.vectorIndex = {};
-      
-      /** @type {Object.<string, string>} */
-      this.vectorToCluster = {};
-      
-      /** @type {number|null} */
-      this.dimensions = null;
+    constructor(dimensions, ArrayType, blockSize = 1024, shared = false) {
+      this.dimensions = dimensions;
+      this.ArrayType = ArrayType;
+      this.blockSize = blockSize;
+      this.shared = shared;
+
+      /** @type {Array} */
+      this.blocks = [];
+
+      /** @type {number[]} */
+      this.freeSlots = [];
+      this.nextSlot = 0;
+
+      /** @type {WeakMap<Object, number>} */
+      this.slots = new WeakMap();
+
+      // While snapshots may still reference released views, their slots are
+      // set aside instead of reused; reclaim() frees the unreferenced ones
+      this.deferReleases = false;
+
+      /** @type {Set<Object>} */
+      this.deferred = new Set();
     }
-  
+
     /**
-     * Add a new cluster with the given vector as its center
-     * @param {number[]} initialVector - Vector to use as the cluster center
-     * @param {Object} [metadata] - Optional metadata for the initial vector
-     * @returns {string} ID of the new cluster
+     * Copy a vector into the arena
+     * @param {ArrayLike<number>} values - Vector to store
+     * @returns {Float32Array|Float64Array} View onto the stored copy
      */
-    addCluster(initialVector, metadata = null) {
-      // Set dimensions if this is the first vector
-      if (this.dimensions === null) {
-        this.dimensions = initialVector.length;
-      } else if (initialVector.length !== this.dimensions) {
-        throw new Error(`Vector dimension mismatch: expected ${this.dimensions}, got ${initialVector.length}`);
-      }
-      
-      // Check if we've exceeded the maximum cluster limit
-      if (this.clusters.length >= this.options.maxClusters) {
-        throw new Error(`Maximum number of clusters (${this.options.maxClusters}) reached`);
+    allocate(values) {
+      const slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.nextSlot++;
+      const blockIndex = Math.floor(slot / this.blockSize);
+
+      if (!this.blocks[blockIndex]) {
+        const length = this.blockSize * this.dimensions;
+        this.blocks[blockIndex] = this.shared
+          ? new this.ArrayType(new SharedArrayBuffer(length * this.ArrayType.BYTES_PER_ELEMENT))
+          : new this.ArrayType(length);
       }
-      
-      const clusterId = uuid();
-      const entryId = uuid();
-      
-      const entry = {
-        id: entryId,
-        vector: [...initialVector], // Clone the vector to prevent mutations
-        metadata
-      };
-      
-      this.vectorIndex[entryId] = entry;
-      this.vectorToCluster[entryId] = clusterId;
-      
-      this.clusters.push({
-        id: clusterId,
-        center: [...initialVector],
-        members: [entry],
-        radius: 0 // Initialize radius to 0
-      });
-      
-      return clusterId;
+
+      const offset = (slot % this.blockSize) * this.dimensions;
+      const view = this.blocks[blockIndex].subarray(offset, offset + this.dimensions);
+      view.set(values);
+
+      this.slots.set(view, slot);
+      return view;
     }
-  
+
     /**
-     * Insert a vector into the store
-     * @param {number[]} vector - The vector to insert
-     * @param {Object} [metadata] - Optional metadata to associate with the vector
-     * @returns {string} ID of the vector entry
+     * Return a vector's slot to the arena
+     * @param {Float32Array|Float64Array} view - View returned by `allocate()`
+     * @returns {Float32Array|Float64Array} A detached copy of the vector
      */
-    insert(vector, metadata = null) {
-      // Validate vector
-      if (!Array.isArray(vector) || vector.length === 0) {
-        throw new Error('Vector must be a non-empty array of numbers');
-      }
-      
-      for (let i = 0; i < vector.length; i++) {
-        if (typeof vector[i] !== 'number' || isNaN(vector[i])) {
-          throw new Error(`Invalid vector: element at index ${i} is not a number`);
-        }
-      }
-      
-      // Set dimensions if this is the first vector
-      if (this.dimensions === null) {
-        this.dimensions = vector.length;
-      } else if (vector.length !== this.dimensions) {
-        throw new Error(`Vector dimension mismatch: expected ${this.dimensions}, got ${vector.length}`);
-      }
-      
-      const entry = {
-        id: uuid(),
-        vector: [...vector], // Clone the vector to prevent mutations
-        metadata
-      };
-      
-      // Store the vector in the index
-      this.vectorIndex[entry.id] = entry;
-      
-      // If there are no clusters yet, create the first one
-      if (this.clusters.length === 0) {
-        const clusterId = this.addCluster(vector);
-        this.vectorToCluster[entry.id] = clusterId;
-        return entry.id;
-      }
-      
-      // Find closest cluster center
-      let bestCluster = null;
-      let bestSimilarity = -Infinity;
-      
-      for (const cluster of this.clusters) {
-        const similarity = this.options.similarityFn(vector, cluster.center);
-        if (similarity > bestSimilarity) {
-          bestSimilarity = similarity;
-          bestCluster = cluster;
-        }
-      }
-      
-      // Decide whether to add to an existing cluster or create a new one
-      if (bestSimilarity >= this.options.clusterThreshold) {
-        // Add to existing cluster
-        bestCluster.members.push(entry);
-        this.vectorToCluster[entry.id] = bestCluster.id;
-        
-        // Update the cluster center if configured to do so
-        if (this.options.recalculateCenters) {
-          bestCluster.center = this._recalculateCenter(bestCluster);
-        }
-        
-        // Update cluster radius
-        this._updateClusterRadius(bestCluster);
-      } else if (this.options.dynamicClustering) {
-        // Create a new cluster
-        const clusterId = this.addCluster(vector, metadata);
-        this.vectorToCluster[entry.id] = clusterId;
+    release(view) {
+      const slot = this.slots.get(view);
+      if (slot === undefined) return view;
+
+      if (this.deferReleases) {
+        this.deferred.add(view);
       } else {
-        // Force into best cluster even though it's below threshold
-        bestCluster.members.push(entry);
-        this.vectorToCluster[entry.id] = bestCluster.id;
-        
-        // Update the cluster center if configured to do so
-        if (this.options.recalculateCenters) {
-          bestCluster.center = this._recalculateCenter(bestCluster);
-        }
-        
-        // Update cluster radius
-        this._updateClusterRadius(bestCluster);
+        this.deferred.delete(view);
+        this.slots.delete(view);
+        this.freeSlots.push(slot);
       }
-      
-      return entry.id;
+      return this.ArrayType.from(view);
     }
-  
+
     /**
-     * Update the radius of a cluster
-     * @param {Cluster} cluster - The cluster to update
-     * @private
+     * Find the slot holding a view
+     * @param {Float32Array|Float64Array|Uint8Array} view - View returned by `allocate()`
+     * @returns {number} The slot, or -1 if the view isn't stored here
      */
-    _updateClusterRadius(cluster) {
-      let maxDistance = 0;
-      
-      for (const member of cluster.members) {
-        // Calculate distance from center
-        let distance;
-        if (this.options.similarityFn === cosineSimilarity) {
-          // For cosine similarity, distance = 1 - similarity
-          const similarity = cosineSimilarity(member.vector, cluster.center);
-          distance = 1 - similarity;
-        } else {
-          // For other similarity functions, use Euclidean distance
-          distance = euclideanDistance(member.vector, cluster.center);
-        }
-        
-        maxDistance = Math.max(maxDistance, distance);
-      }
-      
-      cluster.radius = maxDistance;
+    slotOf(view) {
+      return this.slots.get(view) ?? -1;
     }
-  
+
     /**
-     * Recalculate the center of a cluster
-     * @param {Cluster} cluster - The cluster to recalculate
-     * @returns {number[]} The new center vector
-     * @private
+     * Set a view aside for `reclaim()` without detaching it (used when the
+     * state holding it is discarded)
+     * @param {Float32Array|Float64Array|Uint8Array} view - View returned by `allocate()`
      */
-    _recalculateCenter(cluster) {
-      // If there's only one member, use its vector as the center
-      if (cluster.members.length === 1) {
-        return [...cluster.members[0].vector];
-      }
-      
-      const dim = this.dimensions;
-      const sum = new Array(dim).fill(0);
-      
-      // Sum all vectors
-      for (const { vector } of cluster.members) {
-        for (let i = 0; i < dim; i++) {
-          sum[i] += vector[i];
-        }
-      }
-      
-      // Divide by count to get average
-      return sum.map(val => val / cluster.members.length);
+    defer(view) {
+      if (this.slots.has(view)) this.deferred.add(view);
     }
-  
+
     /**
-     * Get all clusters in the store
-     * @param {boolean} [includeRadius=true] - Whether to include radius information
-     * @returns {ClusterSummary[]} Summary of all clusters
+     * Free set-aside slots that are no longer referenced
+     * @param {Set<Object>} live - Views still in use
+     * @param {boolean} [keepDeferring=false] - Whether snapshots still hold views; if not, live views go back to normal
      */
-    getClusters(includeRadius = true) {
-      return this.clusters.map(c => {
-        const summary = {
-          id: c.id,
-          center: c.center,
-          size: c.members.length
-        };
-        
-        if (includeRadius) {
-          summary.radius = c.radius;
-        }
-        
-        return summary;
-      });
+    reclaim(live, keepDeferring = false) {
+      for (const view of this.deferred) {
+        if (live.has(view)) continue;
+
+        this.deferred.delete(view);
+        this.freeSlots.push(this.slots.get(view));
+        this.slots.delete(view);
+      }
+
+      this.deferReleases = keepDeferring;
+      if (!keepDeferring) this.deferred.clear();
     }
-  
-    /**
-     * Get a specific cluster by ID
+
+    /** @returns {number} Bytes allocated for vector storage */
+    get byteLength() {
+      return this.blocks.length * this.blockSize * this.dimensions * this.ArrayType.BYTES_PER_ELEMENT;
+    }
+  }
+
+  /** Lookup table for CRC-32, built on first use */
+  let crcTable = null;
+
+  /**
+   * CRC-32 (IEEE) of a byte sequence
+   * @param {Uint8Array} bytes - Bytes to checksum
+   * @returns {number} Unsigned 32-bit checksum
+   */
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /** Version of the binary export format written by `exportBinary()` */
+  const BINARY_VERSION = 2;
+
+  /** Element encodings of the binary format, indexed by their header code */
+  const BINARY_DTYPES = ['float32', 'float64', 'float16', 'int8'];
+
+  /** Size of the fixed binary header in bytes */
+  const BINARY_HEADER_SIZE = 32;
+
+  /**
+   * Round a byte offset up to the next multiple of 8
+   * @param {number} n - Byte offset
+   * @returns {number} Aligned offset
+   */
+  function align8(n) {
+    return Math.ceil(n / 8) * 8;
+  }
+
+  /**
+   * Convert a number to IEEE 754 half-precision bits
+   * @param {number} value - Value to convert
+   * @returns {number} 16-bit encoding
+   */
+  function toFloat16(value) {
+    const f32 = new Float32Array([value]);
+    const bits = new Uint32Array(f32.buffer)[0];
+
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = (bits >>> 23) & 0xff;
+    let mantissa = bits & 0x7fffff;
+
+    if (exponent === 0xff) {
+      // Infinity or NaN
+      return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+    }
+
+    const halfExponent = exponent - 127 + 15;
+    if (halfExponent >= 0x1f) return sign | 0x7c00;
+    if (halfExponent <= 0) {
+      // Subnormal or underflow to zero
+      if (halfExponent < -10) return sign;
+      mantissa |= 0x800000;
+      const shift = 14 - halfExponent;
+      let half = mantissa >> shift;
+      if ((mantissa >> (shift - 1)) & 1) half++;
+      return sign | half;
+    }
+
+    let half = sign | (halfExponent << 10) | (mantissa >> 13);
+    // Round to nearest; a carry into the exponent is still correct
+    if (mantissa & 0x1000) half++;
+    return half;
+  }
+
+  /**
+   * Convert IEEE 754 half-precision bits to a number
+   * @param {number} half - 16-bit encoding
+   * @returns {number} Decoded value
+   */
+  function fromFloat16(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+
+    if (exponent === 0) return sign * Math.pow(2, -14) * (mantissa / 1024);
+    if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+    return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+  }
+
+  /**
+   * Number of bytes a block of vectors takes in the binary format
+   * @param {number} count - Number of vectors
+   * @param {number} dimensions - Vector length
+   * @param {string} dtype - Element encoding
+   * @returns {number} Section length in bytes
+   */
+  function vectorSectionLength(count, dimensions, dtype) {
+    switch (dtype) {
+      case 'float64': return count * dimensions * 8;
+      case 'float32': return count * dimensions * 4;
+      case 'float16': return count * dimensions * 2;
+      // int8 values are followed by one float32 scale per vector
+      case 'int8': return align8(count * dimensions) + count * 4;
+      default: throw new atomicVDBError('INVALID_DATA', `Unknown binary dtype: ${dtype}`);
+    }
+  }
+
+  /**
+   * Write a block of vectors at an aligned offset of a buffer
+   * @param {ArrayBuffer} buffer - Destination buffer
+   * @param {number} offset - Byte offset (a multiple of 8)
+   * @param {ArrayLike<number>[]} vectors - Vectors to write
+   * @param {number} dimensions - Vector length
+   * @param {string} dtype - Element encoding
+   */
+  function writeVectors(buffer, offset, vectors, dimensions, dtype) {
+    const count = vectors.length;
+
+    if (dtype === 'float32' || dtype === 'float64') {
+      const out = new (VECTOR_TYPES[dtype])(buffer, offset, count * dimensions);
+      vectors.forEach((v, i) => out.set(v, i * dimensions));
+    } else if (dtype === 'float16') {
+      const out = new Uint16Array(buffer, offset, count * dimensions);
+      vectors.forEach((v, i) => {
+        for (let j = 0; j < dimensions; j++) out[i * dimensions + j] = toFloat16(v[j]);
+      });
+    } else {
+      const out = new Int8Array(buffer, offset, count * dimensions);
+      const scales = new Float32Array(buffer, offset + align8(count * dimensions), count);
+      vectors.forEach((v, i) => {
+        let maxAbs = 0;
+        for (let j = 0; j < dimensions; j++) maxAbs = Math.max(maxAbs, Math.abs(v[j]));
+        const scale = maxAbs / 127 || 1;
+        scales[i] = scale;
+        for (let j = 0; j < dimensions; j++) out[i * dimensions + j] = Math.round(v[j] / scale);
+      });
+    }
+  }
+
+  /**
+   * Read a block of vectors written by `writeVectors()`
+   * @param {ArrayBuffer} buffer - Source buffer
+   * @param {number} offset - Byte offset of the block
+   * @param {number} count - Number of vectors
+   * @param {number} dimensions - Vector length
+   * @param {string} dtype - Element encoding
+   * @returns {ArrayLike<number>[]} Decoded vectors
+   */
+  function readVectors(buffer, offset, count, dimensions, dtype) {
+    const vectors = [];
+
+    if (dtype === 'float32' || dtype === 'float64') {
+      const data = new (VECTOR_TYPES[dtype])(buffer, offset, count * dimensions);
+      for (let i = 0; i < count; i++) vectors.push(data.subarray(i * dimensions, (i + 1) * dimensions));
+    } else if (dtype === 'float16') {
+      const data = new Uint16Array(buffer, offset, count * dimensions);
+      for (let i = 0; i < count; i++) {
+        const v = new Float32Array(dimensions);
+        for (let j = 0; j < dimensions; j++) v[j] = fromFloat16(data[i * dimensions + j]);
+        vectors.push(v);
+      }
+    } else {
+      const data = new Int8Array(buffer, offset, count * dimensions);
+      const scales = new Float32Array(buffer, offset + align8(count * dimensions), count);
+      for (let i = 0; i < count; i++) {
+        const v = new Float32Array(dimensions);
+        for (let j = 0; j < dimensions; j++) v[j] = data[i * dimensions + j] * scales[i];
+        vectors.push(v);
+      }
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Fail on big-endian platforms, where raw typed array data would be misread
+   */
+  function assertLittleEndian() {
+    if (new Uint8Array(new Uint16Array([1]).buffer)[0] !== 1) {
+      throw new Error('The binary format requires a little-endian platform');
+    }
+  }
+
+  /**
+   * Encode a store into the binary format. Layout: a 32-byte header
+   * (magic "AVDB", version, dtype, dimensions, counts, block lengths and
+   * a CRC-32 of the rest of the file), then the options JSON, the cluster
+   * centers, the vectors and the metadata JSON, each starting at an
+   * 8-byte aligned offset.
+   * @param {Object} parts - Store contents
+   * @returns {ArrayBuffer} The encoded store
+   */
+  function encodeBinary({ dtype, dimensions, options, centers, vectors, metadata }) {
+    assertLittleEndian();
+
+    const dtypeCode = BINARY_DTYPES.indexOf(dtype);
+    if (dtypeCode === -1) {
+      throw new atomicVDBError('INVALID_ARGUMENT', `Unknown binary dtype: ${dtype}`);
+    }
+
+    const encoder = new TextEncoder();
+    const optionsBytes = encoder.encode(JSON.stringify(options));
+    const metadataBytes = encoder.encode(JSON.stringify(metadata));
+
+    const optionsOffset = BINARY_HEADER_SIZE;
+    const centersOffset = align8(optionsOffset + optionsBytes.length);
+    const vectorsOffset = align8(centersOffset + vectorSectionLength(centers.length, dimensions, dtype));
+    const metadataOffset = align8(vectorsOffset + vectorSectionLength(vectors.length, dimensions, dtype));
+
+    const buffer = new ArrayBuffer(metadataOffset + metadataBytes.length);
+    const bytes = new Uint8Array(buffer);
+    const header = new DataView(buffer);
+
+    bytes.set(encoder.encode('AVDB'), 0);
+    header.setUint16(4, BINARY_VERSION, true);
+    header.setUint8(6, dtypeCode);
+    header.setUint32(8, dimensions, true);
+    header.setUint32(12, centers.length, true);
+    header.setUint32(16, vectors.length, true);
+    header.setUint32(20, optionsBytes.length, true);
+    header.setUint32(24, metadataBytes.length, true);
+
+    bytes.set(optionsBytes, optionsOffset);
+    writeVectors(buffer, centersOffset, centers, dimensions, dtype);
+    writeVectors(buffer, vectorsOffset, vectors, dimensions, dtype);
+    bytes.set(metadataBytes, metadataOffset);
+    header.setUint32(28, crc32(bytes.subarray(BINARY_HEADER_SIZE)), true);
+
+    return buffer;
+  }
+
+  /**
+   * Decode a store encoded by `encodeBinary()`
+   * @param {ArrayBuffer|ArrayBufferView} input - Encoded store
+   * @param {boolean} [verifyChecksum=true] - Whether to check the payload checksum (version 2 and later)
+   * @returns {{dimensions: number, options: Object, centers: ArrayLike<number>[], vectors: ArrayLike<number>[], metadata: Object}} Decoded contents
+   */
+  function decodeBinary(input, verifyChecksum = true) {
+    assertLittleEndian();
+
+    // Copy views into a fresh buffer so typed arrays can be aligned
+    const buffer = ArrayBuffer.isView(input)
+      ? input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength)
+      : input;
+
+    if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < BINARY_HEADER_SIZE) {
+      throw new atomicVDBError('INVALID_DATA', 'Invalid binary store: buffer is too small');
+    }
+
+    const bytes = new Uint8Array(buffer);
+    const header = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    if (decoder.decode(bytes.subarray(0, 4)) !== 'AVDB') {
+      throw new atomicVDBError('INVALID_DATA', 'Invalid binary store: bad magic number');
+    }
+
+    const version = header.getUint16(4, true);
+    if (version > BINARY_VERSION) {
+      throw new atomicVDBError('INVALID_DATA', `Unsupported binary store version: ${version}`);
+    }
+
+    const dtype = BINARY_DTYPES[header.getUint8(6)];
+    if (!dtype) {
+      throw new atomicVDBError('INVALID_DATA', 'Invalid binary store: unknown dtype');
+    }
+
+    const dimensions = header.getUint32(8, true);
+    const numCenters = header.getUint32(12, true);
+    const numVectors = header.getUint32(16, true);
+    const optionsLength = header.getUint32(20, true);
+    const metadataLength = header.getUint32(24, true);
+
+    const optionsOffset = BINARY_HEADER_SIZE;
+    const centersOffset = align8(optionsOffset + optionsLength);
+    const vectorsOffset = align8(centersOffset + vectorSectionLength(numCenters, dimensions, dtype));
+    const metadataOffset = align8(vectorsOffset + vectorSectionLength(numVectors, dimensions, dtype));
+
+    if (metadataOffset + metadataLength > buffer.byteLength) {
+      throw new atomicVDBError('INVALID_DATA', 'Invalid binary store: buffer is truncated');
+    }
+
+    // Version 1 files carry no checksum
+    if (version >= 2 && verifyChecksum && header.getUint32(28, true) !== crc32(bytes.subarray(BINARY_HEADER_SIZE))) {
+      throw new atomicVDBError('INVALID_DATA', 'Invalid binary store: checksum mismatch');
+    }
+
+    return {
+      dimensions,
+      options: JSON.parse(decoder.decode(bytes.subarray(optionsOffset, optionsOffset + optionsLength))),
+      centers: readVectors(buffer, centersOffset, numCenters, dimensions, dtype),
+      vectors: readVectors(buffer, vectorsOffset, numVectors, dimensions, dtype),
+      metadata: JSON.parse(decoder.decode(bytes.subarray(metadataOffset, metadataOffset + metadataLength)))
+    };
+  }
+
+  /** Version of the JSON export format written by `export()` */
+  const EXPORT_VERSION = 2;
+
+  /**
+   * Checksum of a JSON export: CRC-32 of its serialized form without the
+   * `checksum` field, so it survives a round trip through `JSON.stringify`
+   * @param {Object} data - Export payload
+   * @returns {string} Checksum as `'crc32:<hex>'`
+   */
+  function exportChecksum(data) {
+    const { checksum, ...payload } = data;
+    const hex = crc32(new TextEncoder().encode(JSON.stringify(payload))).toString(16).padStart(8, '0');
+    return `crc32:${hex}`;
+  }
+
+  /**
+   * Upgrades for older JSON exports, keyed by the version they upgrade from.
+   * Each takes a payload of that version and returns one of the next.
+   * @type {Map<number, Function>}
+   */
+  const exportMigrations = new Map([
+    // Version 1 had no version field; vectorToCluster and radii were optional
+    [1, data => {
+      const clusters = (data.clusters || []).map(cluster => ({ ...cluster, radius: cluster.radius ?? null }));
+      const vectorToCluster = data.vectorToCluster || {};
+      if (!data.vectorToCluster) {
+        for (const cluster of clusters) {
+          for (const member of cluster.members || []) vectorToCluster[member.id] = cluster.id;
+        }
+      }
+      return { ...data, version: 2, clusters, vectorToCluster, indexes: data.indexes || [] };
+    }]
+  ]);
+
+  /**
+   * Bring a JSON export up to the current format version
+   * @param {Object} data - Export payload
+   * @returns {Object} Payload in the current version
+   */
+  function migrateExport(data) {
+    let version = data.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new atomicVDBError('INVALID_DATA', `Invalid export version: ${data.version}`);
+    }
+    if (version > EXPORT_VERSION) {
+      throw new atomicVDBError('INVALID_DATA', `Unsupported export version: ${version} (this build reads up to ${EXPORT_VERSION})`);
+    }
+
+    while (version < EXPORT_VERSION) {
+      const migrate = exportMigrations.get(version);
+      if (!migrate) throw new atomicVDBError('INVALID_DATA', `No migration from export version ${version}`);
+      data = migrate(data);
+      version++;
+    }
+    return data;
+  }
+
+  /**
+   * Check a vector-like value: an array of finite numbers of the given length
+   * @param {*} vector - Value to check
+   * @param {number} dimensions - Expected length
+   * @returns {'dimension-mismatch'|'nan'|null} The problem, if any
+   */
+  function vectorProblem(vector, dimensions) {
+    if (!isVectorLike(vector) || vector.length !== dimensions) return 'dimension-mismatch';
+    for (let i = 0; i < vector.length; i++) {
+      // NaN and Infinity come back from JSON as null
+      if (typeof vector[i] !== 'number' || !Number.isFinite(vector[i])) return 'nan';
+    }
+    return null;
+  }
+
+  /**
+   * Check a current-version export for inconsistencies and, optionally,
+   * build a repaired copy. Repairs drop unusable entries and clusters,
+   * mark bad centers and radii for recomputation (`null`), rebuild
+   * `vectorToCluster` from membership and drop an HNSW graph that no
+   * longer matches the entries.
+   * @param {Object} data - Export payload
+   * @param {boolean} repair - Whether to build a repaired copy
+   * @returns {{issues: ExportIssue[], data: Object}} Issues found, and the repaired copy (or the input)
+   */
+  function checkExport(data, repair) {
+    const issues = [];
+    const report = (type, message, ids = {}) => issues.push({ type, message, ...ids });
+
+    if (!Array.isArray(data.clusters)) {
+      throw new atomicVDBError('INVALID_DATA', 'Invalid export: clusters must be an array');
+    }
+
+    // Dimensions fall back to the first vector when missing
+    let dimensions = data.dimensions;
+    if (!Number.isInteger(dimensions) || dimensions < 1) {
+      const first = data.clusters
+        .flatMap(c => (c && Array.isArray(c.members) ? c.members : []))
+        .find(m => m && isVectorLike(m.vector) && m.vector.length > 0);
+      const inferred = first ? first.vector.length : null;
+      if (inferred !== null || (dimensions !== null && dimensions !== undefined)) {
+        report('dimensions', `Invalid dimensions ${JSON.stringify(data.dimensions)}; using ${inferred}`);
+      }
+      dimensions = inferred;
+    }
+
+    const seenEntries = new Set();
+    const rejectedEntries = new Set();
+    const seenClusters = new Map();
+    const clusters = [];
+
+    for (const cluster of data.clusters) {
+      let clusterId = cluster && cluster.id;
+      if (typeof clusterId !== 'string' || clusterId.length === 0) {
+        clusterId = uuid();
+        report('invalid-cluster-id', `Cluster ID ${JSON.stringify(cluster && cluster.id)} is not a non-empty string`, { clusterId: cluster && cluster.id });
+      }
+
+      const members = [];
+      for (const member of (cluster && Array.isArray(cluster.members)) ? cluster.members : []) {
+        const entryId = member && member.id;
+        if (typeof entryId !== 'string' || entryId.length === 0) {
+          report('invalid-id', `Entry ID ${JSON.stringify(entryId)} in cluster "${clusterId}" is not a non-empty string`, { clusterId, entryId });
+          continue;
+        }
+        if (seenEntries.has(entryId)) {
+          report('duplicate-entry', `Entry "${entryId}" appears more than once`, { clusterId, entryId });
+          continue;
+        }
+        const problem = vectorProblem(member.vector, dimensions);
+        if (problem === 'dimension-mismatch') {
+          const length = isVectorLike(member.vector) ? member.vector.length : 'no';
+          report(problem, `Entry "${entryId}" has ${length} dimensions, expected ${dimensions}`, { clusterId, entryId });
+          rejectedEntries.add(entryId);
+          continue;
+        }
+        if (problem === 'nan') {
+          report(problem, `Entry "${entryId}" has a non-finite vector component`, { clusterId, entryId });
+          rejectedEntries.add(entryId);
+          continue;
+        }
+        seenEntries.add(entryId);
+        members.push(member);
+      }
+
+      let center = cluster && cluster.center;
+      if (vectorProblem(center, dimensions)) {
+        report('invalid-center', `Cluster "${clusterId}" has an invalid center`, { clusterId });
+        center = null;
+      }
+
+      let radius = cluster && cluster.radius;
+      if (radius !== null && radius !== undefined && !Number.isFinite(radius)) {
+        report('invalid-radius', `Cluster "${clusterId}" has an invalid radius`, { clusterId });
+        radius = null;
+      }
+      // Radii are recomputed whenever membership changed
+      if (cluster && Array.isArray(cluster.members) && members.length !== cluster.members.length) radius = null;
+
+      if (seenClusters.has(clusterId)) {
+        report('duplicate-cluster', `Cluster "${clusterId}" appears more than once`, { clusterId });
+        const existing = seenClusters.get(clusterId);
+        existing.members.push(...members);
+        existing.center = null;
+        existing.radius = null;
+        continue;
+      }
+
+      const restored = { id: clusterId, center, members, radius };
+      seenClusters.set(clusterId, restored);
+      clusters.push(restored);
+    }
+
+    for (const cluster of clusters) {
+      if (cluster.members.length === 0) {
+        report('empty-cluster', `Cluster "${cluster.id}" has no members`, { clusterId: cluster.id });
+      }
+    }
+
+    // vectorToCluster must agree with membership
+    const mapping = data.vectorToCluster || {};
+    for (const [entryId, clusterId] of Object.entries(mapping)) {
+      if (!seenClusters.has(clusterId)) {
+        report('dangling-cluster', `Entry "${entryId}" maps to unknown cluster "${clusterId}"`, { clusterId, entryId });
+      } else if (!seenEntries.has(entryId) && !rejectedEntries.has(entryId)) {
+        report('orphan-entry', `Entry "${entryId}" is mapped to cluster "${clusterId}" but is not one of its members`, { clusterId, entryId });
+      }
+    }
+    for (const cluster of clusters) {
+      for (const { id } of cluster.members) {
+        if (!Object.prototype.hasOwnProperty.call(mapping, id)) {
+          report('missing-mapping', `Entry "${id}" has no vectorToCluster mapping`, { clusterId: cluster.id, entryId: id });
+        } else if (mapping[id] !== cluster.id && seenClusters.has(mapping[id])) {
+          report('cluster-mismatch', `Entry "${id}" is a member of "${cluster.id}" but maps to "${mapping[id]}"`, { clusterId: cluster.id, entryId: id });
+        }
+      }
+    }
+
+    // An HNSW graph must cover exactly the stored entries; links to missing
+    // nodes are dropped, and a graph with any other problem is rebuilt
+    let hnsw = data.hnsw;
+    if (hnsw) {
+      const nodes = Array.isArray(hnsw.nodes) ? hnsw.nodes : [];
+      const nodeIds = new Set(nodes.map(node => node && node.id));
+      if (!Array.isArray(hnsw.nodes) || nodeIds.size !== seenEntries.size || [...seenEntries].some(id => !nodeIds.has(id))) {
+        report('hnsw-mismatch', 'The HNSW graph does not match the stored entries');
+        hnsw = undefined;
+      } else {
+        const pruned = nodes.map(node => {
+          if (!Array.isArray(node.neighbors)) return node;
+          const neighbors = node.neighbors.map(layer => {
+            if (!Array.isArray(layer)) return layer;
+            const dangling = layer.filter(neighbor => !nodeIds.has(neighbor));
+            for (const neighbor of dangling) {
+              report('hnsw-dangling-edge', `HNSW node "${node.id}" links to missing node "${neighbor}"`, { entryId: node.id });
+            }
+            return dangling.length > 0 ? layer.filter(neighbor => nodeIds.has(neighbor)) : layer;
+          });
+          return { ...node, neighbors };
+        });
+        
+        hnsw = { ...hnsw, nodes: pruned };
+        const problem = HNSWIndex.problem(hnsw);
+        if (problem) {
+          report('hnsw-mismatch', `The HNSW graph is invalid: ${problem}`);
+          hnsw = undefined;
+        }
+      }
+    }
+
+    if (!repair) return { issues, data };
+
+    const vectorToCluster = {};
+    const kept = clusters.filter(cluster => cluster.members.length > 0);
+    for (const cluster of kept) {
+      for (const { id } of cluster.members) vectorToCluster[id] = cluster.id;
+    }
+
+    return {
+      issues,
+      data: { ...data, dimensions, clusters: kept, vectorToCluster, hnsw }
+    };
+  }
+
+  /**
+   * Current time in milliseconds, using the high-resolution clock when available
+   * @returns {number} Timestamp in milliseconds
+   */
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Create a random number generator. With a seed the sequence is
+   * deterministic (mulberry32); without one it falls back to Math.random.
+   * @param {number} [seed] - Integer seed
+   * @returns {Function} Function returning numbers in [0, 1)
+   */
+  function createRandom(seed) {
+    if (seed === undefined || seed === null) return Math.random;
+
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Read a value at a given percentile using the nearest-rank method
+   * @param {number[]} sorted - Values sorted in ascending order
+   * @param {number} p - Percentile between 0 and 100
+   * @returns {number} The percentile value
+   */
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+  }
+
+  /**
+   * Read a (possibly nested) field from an object using dot notation
+   * @param {Object|null} obj - Object to read from
+   * @param {string} path - Field path, e.g. `'author.name'`
+   * @returns {*} The field value, or undefined if any part of the path is missing
+   */
+  function getFieldValue(obj, path) {
+    let value = obj;
+    for (const key of path.split('.')) {
+      if (value === null || typeof value !== 'object') return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Compare a metadata value with a filter operand for equality.
+   * Array values match when any of their elements equals the operand.
+   * @param {*} value - Metadata value
+   * @param {*} operand - Value from the filter
+   * @returns {boolean} Whether the values are considered equal
+   */
+  function valueEquals(value, operand) {
+    if (Array.isArray(value) && !Array.isArray(operand)) {
+      return value.some(v => valueEquals(v, operand));
+    }
+    if (value instanceof Date && operand instanceof Date) {
+      return value.getTime() === operand.getTime();
+    }
+    if (Array.isArray(value) && Array.isArray(operand)) {
+      return value.length === operand.length && value.every((v, i) => valueEquals(v, operand[i]));
+    }
+    return value === operand;
+  }
+
+  /**
+   * Order two metadata values for range operators
+   * @param {*} value - Metadata value
+   * @param {*} operand - Value from the filter
+   * @returns {number|null} Negative, zero or positive, or null if the values are not comparable
+   */
+  function compareValues(value, operand) {
+    if (value instanceof Date) value = value.getTime();
+    if (operand instanceof Date) operand = operand.getTime();
+
+    if (typeof value === 'number' && typeof operand === 'number') {
+      return value - operand;
+    }
+    if (typeof value === 'string' && typeof operand === 'string') {
+      return value < operand ? -1 : value > operand ? 1 : 0;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an object is an operator object such as `{ $gt: 5 }`
+   * @param {*} condition - Filter condition
+   * @returns {boolean} Whether every key of the condition is an operator
+   */
+  function isOperatorObject(condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof Date) {
+      return false;
+    }
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every(k => k.startsWith('$'));
+  }
+
+  /**
+   * Evaluate an operator object against a single field value
+   * @param {*} value - Metadata field value (undefined if missing)
+   * @param {Object} condition - Operator object
+   * @returns {boolean} Whether the value satisfies every operator
+   */
+  function matchesCondition(value, condition) {
+    for (const [op, operand] of Object.entries(condition)) {
+      let ok;
+      switch (op) {
+        case '$eq':
+          ok = valueEquals(value, operand);
+          break;
+        case '$ne':
+          ok = !valueEquals(value, operand);
+          break;
+        case '$in':
+          if (!Array.isArray(operand)) throw new atomicVDBError('INVALID_ARGUMENT', '$in requires an array');
+          ok = operand.some(o => valueEquals(value, o));
+          break;
+        case '$nin':
+          if (!Array.isArray(operand)) throw new atomicVDBError('INVALID_ARGUMENT', '$nin requires an array');
+          ok = !operand.some(o => valueEquals(value, o));
+          break;
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte': {
+          const values = Array.isArray(value) ? value : [value];
+          ok = values.some(v => {
+            const cmp = compareValues(v, operand);
+            if (cmp === null) return false;
+            if (op === '$gt') return cmp > 0;
+            if (op === '$gte') return cmp >= 0;
+            if (op === '$lt') return cmp < 0;
+            return cmp <= 0;
+          });
+          break;
+        }
+        case '$exists':
+          ok = (value !== undefined) === Boolean(operand);
+          break;
+        case '$not':
+          ok = isOperatorObject(operand)
+            ? !matchesCondition(value, operand)
+            : !valueEquals(value, operand);
+          break;
+        default:
+          throw new atomicVDBError('INVALID_ARGUMENT', `Unknown filter operator: ${op}`);
+      }
+      if (!ok) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a metadata object satisfies a filter
+   * @param {Object|null} metadata - Metadata to test
+   * @param {MetadataFilter} filter - Filter to apply
+   * @returns {boolean} Whether the metadata matches
+   */
+  function matchesFilter(metadata, filter) {
+    for (const [key, condition] of Object.entries(filter)) {
+      switch (key) {
+        case '$and':
+          if (!Array.isArray(condition)) throw new atomicVDBError('INVALID_ARGUMENT', '$and requires an array of filters');
+          if (!condition.every(f => matchesFilter(metadata, f))) return false;
+          break;
+        case '$or':
+          if (!Array.isArray(condition)) throw new atomicVDBError('INVALID_ARGUMENT', '$or requires an array of filters');
+          if (!condition.some(f => matchesFilter(metadata, f))) return false;
+          break;
+        case '$not':
+          if (matchesFilter(metadata, condition)) return false;
+          break;
+        default: {
+          if (key.startsWith('$')) {
+            throw new atomicVDBError('INVALID_ARGUMENT', `Unknown filter operator: ${key}`);
+          }
+          const value = getFieldValue(metadata, key);
+          const ok = isOperatorObject(condition)
+            ? matchesCondition(value, condition)
+            : valueEquals(value, condition);
+          if (!ok) return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check the operators and operand types of a filter, so that a malformed
+   * filter is rejected even when no entry is left to evaluate it against
+   * @param {MetadataFilter} filter - Filter to check
+   */
+  function validateFilter(filter) {
+    if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw new atomicVDBError('INVALID_ARGUMENT', 'Filter must be an object');
+    }
+    for (const [key, condition] of Object.entries(filter)) {
+      switch (key) {
+        case '$and':
+        case '$or':
+          if (!Array.isArray(condition)) throw new atomicVDBError('INVALID_ARGUMENT', `${key} requires an array of filters`);
+          condition.forEach(validateFilter);
+          break;
+        case '$not':
+          if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            throw new atomicVDBError('INVALID_ARGUMENT', '$not requires a filter object');
+          }
+          validateFilter(condition);
+          break;
+        default:
+          if (key.startsWith('$')) {
+            throw new atomicVDBError('INVALID_ARGUMENT', `Unknown filter operator: ${key}`);
+          }
+          if (isOperatorObject(condition)) validateCondition(condition);
+      }
+    }
+  }
+
+  /**
+   * Check the operand types of an operator object, as `validateFilter()` does
+   * @param {Object} condition - Operator object
+   */
+  function validateCondition(condition) {
+    for (const [op, operand] of Object.entries(condition)) {
+      switch (op) {
+        case '$eq':
+        case '$ne':
+          break;
+        case '$in':
+        case '$nin':
+          if (!Array.isArray(operand)) throw new atomicVDBError('INVALID_ARGUMENT', `${op} requires an array`);
+          break;
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+          if (typeof operand !== 'number' && typeof operand !== 'string' && !(operand instanceof Date)) {
+            throw new atomicVDBError('INVALID_ARGUMENT', `${op} requires a number, string or Date`);
+          }
+          break;
+        case '$exists':
+          if (typeof operand !== 'boolean') throw new atomicVDBError('INVALID_ARGUMENT', '$exists requires a boolean');
+          break;
+        case '$not':
+          // An operator object, or a literal value the field must not equal
+          if (isOperatorObject(operand)) {
+            validateCondition(operand);
+          } else if (operand !== null && typeof operand === 'object' && !Array.isArray(operand) && !(operand instanceof Date)) {
+            throw new atomicVDBError('INVALID_ARGUMENT', '$not requires an operator object or a value');
+          }
+          break;
+        default:
+          throw new atomicVDBError('INVALID_ARGUMENT', `Unknown filter operator: ${op}`);
+      }
+    }
+  }
+
+  /**
+   * Find the first position in a sorted array whose value is not less than
+   * (or, with `after`, not less than or equal to) the given value
+   * @param {{value: (number|string)}[]} items - Items sorted by value
+   * @param {number|string} value - Value to search for
+   * @param {boolean} [after=false] - Whether to skip past items equal to the value
+   * @returns {number} Insertion position
+   */
+  function lowerBound(items, value, after = false) {
+    let lo = 0, hi = items.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      const v = items[mid].value;
+      if (v < value || (after && v === value)) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo;
+  }
+
+  /**
+   * Reduce a metadata value to the keys it is indexed under. Arrays are
+   * indexed by each element and dates by their timestamp; objects and
+   * missing values are not indexed.
+   * @param {*} value - Metadata field value
+   * @returns {(number|string|boolean|null)[]} Index keys
+   */
+  function indexKeys(value) {
+    if (Array.isArray(value)) {
+      return value.flatMap(indexKeys);
+    }
+    if (value instanceof Date) return [value.getTime()];
+    if (value === null || ['number', 'string', 'boolean'].includes(typeof value)) {
+      return [value];
+    }
+    return [];
+  }
+
+  /**
+   * Secondary index over a single metadata field. A hash index answers
+   * equality and `$in` lookups; a sorted index additionally answers range
+   * lookups on numbers and strings. Lookups may return a superset of the
+   * matching entries, so results must still be checked against the filter.
+   * Entries are tracked by ID rather than by cluster, so merging or splitting
+   * clusters never invalidates an index.
+   */
+  class MetadataIndex {
+    /**
+     * @param {string} field - Metadata field path
+     * @param {'hash'|'sorted'} [type='hash'] - Index type
+     */
+    constructor(field, type = 'hash') {
+      if (type !== 'hash' && type !== 'sorted') {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Unknown index type: ${type}`);
+      }
+
+      this.field = field;
+      this.type = type;
+
+      /** @type {Map<*, Set<string>>} */
+      this.buckets = new Map();
+
+      /** @type {Map<string, Array>} Keys each entry is currently indexed under */
+      this.entryKeys = new Map();
+
+      /** @type {{number: {value: number, id: string}[], string: {value: string, id: string}[]}} */
+      this.sorted = { number: [], string: [] };
+    }
+
+    /**
+     * Add an entry to the index
+     * @param {VectorEntry} entry - The entry to index
+     */
+    add(entry) {
+      if (this.entryKeys.has(entry.id)) this.remove(entry.id);
+
+      const keys = [...new Set(indexKeys(getFieldValue(entry.metadata, this.field)))];
+      if (keys.length === 0) return;
+
+      this.entryKeys.set(entry.id, keys);
+      for (const key of keys) {
+        if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+        this.buckets.get(key).add(entry.id);
+
+        if (this.type === 'sorted' && (typeof key === 'number' || typeof key === 'string')) {
+          const items = this.sorted[typeof key];
+          items.splice(lowerBound(items, key, true), 0, { value: key, id: entry.id });
+        }
+      }
+    }
+
+    /**
+     * Remove an entry from the index
+     * @param {string} id - ID of the entry to remove
+     */
+    remove(id) {
+      const keys = this.entryKeys.get(id);
+      if (!keys) return;
+
+      this.entryKeys.delete(id);
+      for (const key of keys) {
+        const bucket = this.buckets.get(key);
+        bucket.delete(id);
+        if (bucket.size === 0) this.buckets.delete(key);
+
+        if (this.type === 'sorted' && (typeof key === 'number' || typeof key === 'string')) {
+          const items = this.sorted[typeof key];
+          const end = lowerBound(items, key, true);
+          for (let i = lowerBound(items, key); i < end; i++) {
+            if (items[i].id === id) {
+              items.splice(i, 1);
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    /**
+     * Look up entries whose field equals any of the given values
+     * @param {Array} values - Values to look up
+     * @returns {Set<string>} IDs of candidate entries
+     */
+    lookup(values) {
+      const ids = new Set();
+      for (const value of values) {
+        for (const key of indexKeys(value)) {
+          const bucket = this.buckets.get(key);
+          if (bucket) bucket.forEach(id => ids.add(id));
+        }
+      }
+      return ids;
+    }
+
+    /**
+     * Look up entries whose field lies within a range
+     * @param {Object} range - Range bounds
+     * @param {number|string} [range.$gt] - Exclusive lower bound
+     * @param {number|string} [range.$gte] - Inclusive lower bound
+     * @param {number|string} [range.$lt] - Exclusive upper bound
+     * @param {number|string} [range.$lte] - Inclusive upper bound
+     * @returns {Set<string>|null} IDs of candidate entries, or null if the range cannot be answered
+     */
+    range({ $gt, $gte, $lt, $lte }) {
+      if (this.type !== 'sorted') return null;
+
+      const normalize = v => (v instanceof Date ? v.getTime() : v);
+      const lower = $gt !== undefined ? normalize($gt) : normalize($gte);
+      const upper = $lt !== undefined ? normalize($lt) : normalize($lte);
+      const bound = lower !== undefined ? lower : upper;
+
+      if (typeof bound !== 'number' && typeof bound !== 'string') return null;
+      if ((lower !== undefined && typeof lower !== typeof bound) ||
+          (upper !== undefined && typeof upper !== typeof bound)) {
+        return null;
+      }
+
+      const items = this.sorted[typeof bound];
+      const start = lower === undefined ? 0 : lowerBound(items, lower, $gt !== undefined);
+      const end = upper === undefined ? items.length : lowerBound(items, upper, $lt === undefined);
+
+      const ids = new Set();
+      for (let i = start; i < end; i++) {
+        ids.add(items[i].id);
+      }
+      return ids;
+    }
+  }
+
+  /**
+   * Intersect two candidate sets, where null means "unrestricted"
+   * @param {Set<string>|null} a - First candidate set
+   * @param {Set<string>|null} b - Second candidate set
+   * @returns {Set<string>|null} The intersection
+   */
+  function intersectCandidates(a, b) {
+    if (a === null) return b;
+    if (b === null) return a;
+
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    const result = new Set();
+    for (const id of small) {
+      if (large.has(id)) result.add(id);
+    }
+    return result;
+  }
+
+  /**
+   * Split text into lowercase terms of letters and digits. Punctuation
+   * separates terms, so a product code like `'AB-123'` becomes `['ab', '123']`
+   * both when indexed and when queried.
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Terms in order of appearance
+   */
+  function tokenize(text) {
+    return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 0);
+  }
+
+  /**
+   * Inverted index over text metadata fields, scored with Okapi BM25.
+   * The fields of an entry are indexed as a single document; string arrays
+   * contribute every element.
+   */
+  class TextIndex {
+    /**
+     * @param {string[]} fields - Metadata field paths to index
+     * @param {Object} [options] - BM25 parameters
+     * @param {number} [options.k1=1.2] - Term frequency saturation
+     * @param {number} [options.b=0.75] - Document length normalization
+     */
+    constructor(fields, { k1 = 1.2, b = 0.75 } = {}) {
+      this.fields = fields;
+      this.k1 = k1;
+      this.b = b;
+
+      /** @type {Map<string, Map<string, number>>} Term -> entry ID -> term frequency */
+      this.postings = new Map();
+
+      /** @type {Map<string, {length: number, terms: string[]}>} Indexed documents by entry ID */
+      this.documents = new Map();
+
+      this.totalLength = 0;
+    }
+
+    /**
+     * Terms of an entry's text fields
+     * @param {VectorEntry} entry - The entry
+     * @returns {string[]} The terms
+     * @private
+     */
+    _terms(entry) {
+      const terms = [];
+      for (const field of this.fields) {
+        const value = getFieldValue(entry.metadata, field);
+        for (const text of Array.isArray(value) ? value : [value]) {
+          if (typeof text === 'string' || typeof text === 'number') terms.push(...tokenize(text));
+        }
+      }
+      return terms;
+    }
+
+    /**
+     * Add or refresh an entry
+     * @param {VectorEntry} entry - The entry to index
+     */
+    add(entry) {
+      this.remove(entry.id);
+
+      const terms = this._terms(entry);
+      if (terms.length === 0) return;
+
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      for (const [term, frequency] of frequencies) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        this.postings.get(term).set(entry.id, frequency);
+      }
+
+      this.documents.set(entry.id, { length: terms.length, terms: [...frequencies.keys()] });
+      this.totalLength += terms.length;
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} id - ID of the entry to remove
+     */
+    remove(id) {
+      const document = this.documents.get(id);
+      if (!document) return;
+
+      for (const term of document.terms) {
+        const posting = this.postings.get(term);
+        posting.delete(id);
+        if (posting.size === 0) this.postings.delete(term);
+      }
+
+      this.documents.delete(id);
+      this.totalLength -= document.length;
+    }
+
+    /**
+     * Score every entry containing at least one query term
+     * @param {string} query - Query text
+     * @returns {{id: string, score: number}[]} Matches, best first
+     */
+    search(query) {
+      const count = this.documents.size;
+      if (count === 0) return [];
+
+      const avgLength = this.totalLength / count;
+      const scores = new Map();
+
+      for (const term of new Set(tokenize(query))) {
+        const posting = this.postings.get(term);
+        if (!posting) continue;
+
+        const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [id, frequency] of posting) {
+          const length = this.documents.get(id).length;
+          const norm = frequency + this.k1 * (1 - this.b + this.b * length / avgLength);
+          scores.set(id, (scores.get(id) || 0) + idf * frequency * (this.k1 + 1) / norm);
+        }
+      }
+
+      return [...scores]
+        .map(([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score);
+    }
+  }
+
+  /**
+   * Split text into overlapping chunks of at most `size` characters,
+   * breaking at paragraph, line, sentence or word boundaries where possible
+   * @param {string} text - Text to split
+   * @param {Object} [options] - Chunking options
+   * @param {number} [options.size=1000] - Maximum chunk length in characters
+   * @param {number} [options.overlap=100] - Characters repeated at the start of the next chunk
+   * @returns {{text: string, index: number, start: number, end: number}[]} Chunks with their offsets in `text`
+   */
+  function chunkText(text, options = {}) {
+    const { size = 1000, overlap = 100 } = options;
+    if (typeof text !== 'string') {
+      throw new atomicVDBError('INVALID_ARGUMENT', 'chunkText requires a string');
+    }
+    if (!Number.isInteger(size) || size < 1 || !Number.isInteger(overlap) || overlap < 0 || overlap >= size) {
+      throw new atomicVDBError('INVALID_ARGUMENT', 'Chunk size must be a positive integer and overlap a smaller non-negative integer');
+    }
+
+    const separators = ['\n\n', '\n', '. ', '! ', '? ', '; ', ', ', ' '];
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + size, text.length);
+
+      // Prefer the strongest boundary in the second half of the window
+      if (end < text.length) {
+        const window = text.slice(start, end);
+        for (const separator of separators) {
+          const at = window.lastIndexOf(separator);
+          if (at >= size / 2) {
+            end = start + at + separator.length;
+            break;
+          }
+        }
+      }
+
+      const chunk = text.slice(start, end);
+      if (chunk.trim().length > 0) {
+        chunks.push({ text: chunk.trim(), index: chunks.length, start, end });
+      }
+      if (end >= text.length) break;
+
+      // Step back for the overlap, then forward to the start of a word
+      let next = Math.max(end - overlap, start + 1);
+      if (next < end && /\S/.test(text[next - 1])) {
+        const space = text.slice(next, end).search(/\s/);
+        next = space === -1 ? end : next + space + 1;
+      }
+      start = next;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   * @param {string} str - String to hash
+   * @param {number} [seed=0x811c9dc5] - Initial hash value
+   * @returns {number} Unsigned 32-bit hash
+   */
+  function fnv1a(str, seed = 0x811c9dc5) {
+    let hash = seed;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Deterministic local embedder: word and character n-gram features hashed
+   * into a fixed number of signed buckets, then L2-normalized. Needs no model
+   * and no network, so it works offline and gives the same vectors
+   * everywhere; similarity reflects shared words and spelling, not meaning.
+   */
+  class HashedEmbedder {
+    /**
+     * @param {Object} [options] - Embedder options
+     * @param {number} [options.dimensions=256] - Vector length
+     * @param {number[]} [options.ngrams=[3, 4]] - Character n-gram lengths
+     * @param {boolean} [options.words=true] - Include whole-word features
+     */
+    constructor({ dimensions = 256, ngrams = [3, 4], words = true } = {}) {
+      if (!Number.isInteger(dimensions) || dimensions < 1) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'dimensions must be a positive integer');
+      }
+      this.dimensions = dimensions;
+      this.ngrams = ngrams;
+      this.words = words;
+    }
+
+    /**
+     * Embed texts
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<Float32Array[]>} One vector per text
+     */
+    async embed(texts) {
+      return texts.map(text => this.embedSync(text));
+    }
+
+    /**
+     * Embed one text synchronously
+     * @param {string} text - Text to embed
+     * @returns {Float32Array} The vector
+     */
+    embedSync(text) {
+      const vector = new Float32Array(this.dimensions);
+      const add = feature => {
+        const hash = fnv1a(feature);
+        vector[hash % this.dimensions] += (fnv1a(feature, 0x9747b28c) & 1) ? 1 : -1;
+      };
+
+      for (const word of tokenize(text)) {
+        if (this.words) add(`w:${word}`);
+        const padded = ` ${word} `;
+        for (const n of this.ngrams) {
+          for (let i = 0; i + n <= padded.length; i++) add(`${n}:${padded.slice(i, i + n)}`);
+        }
+      }
+
+      let norm = 0;
+      for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+      norm = Math.sqrt(norm);
+      if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+      }
+      return vector;
+    }
+
+    /** @returns {Object} Configuration that recreates this embedder */
+    toJSON() {
+      return { type: 'hashed', dimensions: this.dimensions, ngrams: this.ngrams, words: this.words };
+    }
+  }
+
+  /**
+   * Embedder backed by a local Ollama server (`POST /api/embed`)
+   */
+  class OllamaEmbedder {
+    /**
+     * @param {Object} options - Embedder options
+     * @param {string} options.model - Embedding model name, e.g. `'nomic-embed-text'`
+     * @param {string} [options.host='http://127.0.0.1:11434'] - Server URL
+     * @param {Function} [options.fetch] - `fetch` implementation (defaults to the global one)
+     */
+    constructor({ model, host = 'http://127.0.0.1:11434', fetch: fetchFn = null }) {
+      if (!model) throw new atomicVDBError('INVALID_ARGUMENT', 'OllamaEmbedder requires a model');
+      this.model = model;
+      this.host = host.replace(/\/+$/, '');
+      this.fetch = fetchFn;
+    }
+
+    /**
+     * Embed texts
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts) {
+      const response = await (this.fetch || fetch)(`${this.host}/api/embed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: this.model, input: texts })
+      });
+      if (!response.ok) {
+        throw new Error(`Ollama embedding request failed: ${response.status} ${await response.text()}`);
+      }
+      return (await response.json()).embeddings;
+    }
+
+    /** @returns {Object} Configuration that recreates this embedder */
+    toJSON() {
+      return { type: 'ollama', model: this.model, host: this.host };
+    }
+  }
+
+  /**
+   * Embedder for servers with an OpenAI-compatible `POST /v1/embeddings`
+   * endpoint, such as llama.cpp's server, LM Studio or vLLM
+   */
+  class OpenAICompatibleEmbedder {
+    /**
+     * @param {Object} options - Embedder options
+     * @param {string} options.baseUrl - Server URL including the version prefix, e.g. `'http://127.0.0.1:8080/v1'`
+     * @param {string} [options.model] - Model name, if the server needs one
+     * @param {string} [options.apiKey] - Bearer token, if the server needs one (never exported)
+     * @param {Function} [options.fetch] - `fetch` implementation (defaults to the global one)
+     */
+    constructor({ baseUrl, model = undefined, apiKey = undefined, fetch: fetchFn = null }) {
+      if (!baseUrl) throw new atomicVDBError('INVALID_ARGUMENT', 'OpenAICompatibleEmbedder requires a baseUrl');
+      this.baseUrl = baseUrl.replace(/\/+$/, '');
+      this.model = model;
+      this.apiKey = apiKey;
+      this.fetch = fetchFn;
+    }
+
+    /**
+     * Embed texts
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+      const response = await (this.fetch || fetch)(`${this.baseUrl}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: this.model, input: texts })
+      });
+      if (!response.ok) {
+        throw new Error(`Embedding request failed: ${response.status} ${await response.text()}`);
+      }
+
+      const { data } = await response.json();
+      return [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+
+    /** @returns {Object} Configuration that recreates this embedder (without the API key) */
+    toJSON() {
+      return { type: 'openai-compatible', baseUrl: this.baseUrl, model: this.model };
+    }
+  }
+
+  /**
+   * Embedder wrapping a Transformers.js feature-extraction pipeline, e.g.
+   * `await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2')`
+   */
+  class TransformersEmbedder {
+    /**
+     * @param {Object} options - Embedder options
+     * @param {Function} options.pipeline - The feature-extraction pipeline
+     * @param {'mean'|'cls'} [options.pooling='mean'] - How token embeddings are pooled
+     * @param {boolean} [options.normalize=true] - Whether to L2-normalize the vectors
+     */
+    constructor({ pipeline, pooling = 'mean', normalize = true }) {
+      if (typeof pipeline !== 'function') throw new atomicVDBError('INVALID_ARGUMENT', 'TransformersEmbedder requires a pipeline function');
+      this.pipeline = pipeline;
+      this.pooling = pooling;
+      this.normalize = normalize;
+    }
+
+    /**
+     * Embed texts
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts) {
+      const output = await this.pipeline(texts, { pooling: this.pooling, normalize: this.normalize });
+      return output.tolist();
+    }
+  }
+
+  /** Embedders that can be recreated from the configuration their `toJSON()` returns */
+  const EMBEDDER_TYPES = {
+    hashed: HashedEmbedder,
+    ollama: OllamaEmbedder,
+    'openai-compatible': OpenAICompatibleEmbedder
+  };
+
+  /**
+   * Turn the `embedder` option into an embedder
+   * @param {Object} embedder - An object with `embed(texts)`, or a `{type, ...}` configuration
+   * @returns {Object} The embedder
+   */
+  function resolveEmbedder(embedder) {
+    if (typeof embedder.embed === 'function') return embedder;
+
+    const EmbedderType = EMBEDDER_TYPES[embedder.type];
+    if (!EmbedderType) {
+      throw new atomicVDBError('INVALID_ARGUMENT', `Unknown embedder: ${embedder.type}; pass an object with an embed(texts) method`);
+    }
+    const { type, ...config } = embedder;
+    return new EmbedderType(config);
+  }
+
+  /**
+   * In-memory persistence adapter. Useful for tests and as a reference for
+   * the adapter interface: `readSnapshot()`, `writeSnapshot(json)`,
+   * `readLog()`, `appendLog(records)` and `clearLog()`, all returning promises.
+   * Snapshots and log records are passed as JSON strings; log records carry
+   * their sequence number as `{seq, record}`.
+   */
+  class MemoryStorageAdapter {
+    constructor() {
+      this.snapshot = null;
+      this.log = [];
+    }
+
+    /** @returns {Promise<string|null>} The latest snapshot */
+    async readSnapshot() {
+      return this.snapshot;
+    }
+
+    /** @param {string} json - Snapshot to store */
+    async writeSnapshot(json) {
+      this.snapshot = json;
+    }
+
+    /** @returns {Promise<string[]>} Log records in sequence order */
+    async readLog() {
+      return this.log.map(r => r.record);
+    }
+
+    /** @param {{seq: number, record: string}[]} records - Records to append */
+    async appendLog(records) {
+      this.log.push(...records);
+    }
+
+    async clearLog() {
+      this.log = [];
+    }
+  }
+
+  /**
+   * Node.js filesystem persistence adapter. Keeps `snapshot.json` and an
+   * append-only `wal.log` (one JSON record per line) in a directory.
+   * Snapshots are written to a temporary file and renamed into place.
+   */
+  class FileStorageAdapter {
+    /**
+     * @param {string} directory - Directory for the store's files (created if missing)
+     */
+    constructor(directory) {
+      if (typeof require !== 'function') {
+        throw new Error('FileStorageAdapter requires Node.js');
+      }
+
+      this.fs = require('fs').promises;
+      this.path = require('path');
+      this.directory = directory;
+      this.snapshotPath = this.path.join(directory, 'snapshot.json');
+      this.logPath = this.path.join(directory, 'wal.log');
+    }
+
+    /** @returns {Promise<string|null>} The latest snapshot */
+    async readSnapshot() {
+      try {
+        return await this.fs.readFile(this.snapshotPath, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    }
+
+    /** @param {string} json - Snapshot to store */
+    async writeSnapshot(json) {
+      await this.fs.mkdir(this.directory, { recursive: true });
+      const tempPath = `${this.snapshotPath}.tmp`;
+      await this.fs.writeFile(tempPath, json);
+      await this.fs.rename(tempPath, this.snapshotPath);
+    }
+
+    /** @returns {Promise<string[]>} Log records in sequence order */
+    async readLog() {
+      let content;
+      try {
+        content = await this.fs.readFile(this.logPath, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+
+      // A crash mid-append can leave a partial last line; drop it
+      const lines = content.split('\n');
+      if (!content.endsWith('\n')) lines.pop();
+      return lines.filter(line => line.length > 0);
+    }
+
+    /** @param {{seq: number, record: string}[]} records - Records to append */
+    async appendLog(records) {
+      await this.fs.mkdir(this.directory, { recursive: true });
+      await this.fs.appendFile(this.logPath, records.map(r => r.record + '\n').join(''));
+    }
+
+    async clearLog() {
+      try {
+        await this.fs.unlink(this.logPath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  }
+
+  /**
+   * Persistence adapter over an asynchronous key-value store with
+   * `get(key)`, `set(key, value)`, `delete(key)` and `keys()` (a `Map`
+   * satisfies this, which makes it a convenient in-memory stand-in). Log
+   * records are stored under zero-padded `wal:<seq>` keys.
+   */
+  class KeyValueStorageAdapter {
+    /**
+     * @param {Object} kv - Key-value store; methods may return values or promises
+     * @param {string} [prefix=''] - Prefix for every key, to share one store between databases
+     */
+    constructor(kv, prefix = '') {
+      this.kv = kv;
+      this.prefix = prefix;
+    }
+
+    /** @returns {Promise<string|null>} The latest snapshot */
+    async readSnapshot() {
+      return (await this.kv.get(`${this.prefix}snapshot`)) ?? null;
+    }
+
+    /** @param {string} json - Snapshot to store */
+    async writeSnapshot(json) {
+      await this.kv.set(`${this.prefix}snapshot`, json);
+    }
+
+    /** @returns {Promise<string[]>} Log records in sequence order */
+    async readLog() {
+      const keys = (await this._logKeys()).sort();
+      const records = [];
+      for (const key of keys) {
+        records.push(await this.kv.get(key));
+      }
+      return records;
+    }
+
+    /** @param {{seq: number, record: string}[]} records - Records to append */
+    async appendLog(records) {
+      for (const { seq, record } of records) {
+        await this.kv.set(`${this.prefix}wal:${String(seq).padStart(12, '0')}`, record);
+      }
+    }
+
+    async clearLog() {
+      for (const key of await this._logKeys()) {
+        await this.kv.delete(key);
+      }
+    }
+
+    /**
+     * @returns {Promise<string[]>} Keys of all log records
+     * @private
+     */
+    async _logKeys() {
+      const logPrefix = `${this.prefix}wal:`;
+      return Array.from(await this.kv.keys()).filter(key => String(key).startsWith(logPrefix));
+    }
+
+    /**
+     * Wrap an IndexedDB object store (out-of-line keys) as a key-value store
+     * @param {IDBDatabase} db - An open database
+     * @param {string} [storeName='atomicVDB'] - Name of an existing object store
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {KeyValueStorageAdapter} The adapter
+     */
+    static fromIndexedDB(db, storeName = 'atomicVDB', prefix = '') {
+      const request = (mode, fn) => new Promise((resolve, reject) => {
+        const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+
+      return new KeyValueStorageAdapter({
+        get: key => request('readonly', store => store.get(key)),
+        set: (key, value) => request('readwrite', store => store.put(value, key)),
+        delete: key => request('readwrite', store => store.delete(key)),
+        keys: () => request('readonly', store => store.getAllKeys())
+      }, prefix);
+    }
+  }
+
+  /** Store methods recorded in the write-ahead log and replayed by `atomicVDB.open()` */
+  const WAL_OPERATIONS = [
+    'insert', 'insertMany', 'upsert', 'addCluster', 'removeVector', 'updateVector', 'updateMetadata',
+    'mergeClusters', 'splitCluster', 'maintain', 'recluster', 'createIndex', 'dropIndex',
+    'trainQuantizer'
+  ];
+
+  /** Logged operations that write an entry's metadata; its ID is their first argument */
+  const METADATA_OPERATIONS = ['updateMetadata', 'upsert'];
+
+  /**
+   * Order two metadata version stamps: later time first, then replica and
+   * sequence number as tie-breakers, so every replica picks the same winner
+   * @param {{time: number, replica: string, seq: number}} a - First stamp
+   * @param {{time: number, replica: string, seq: number}} b - Second stamp
+   * @returns {number} Positive if `a` is newer, negative if `b` is, 0 if they are the same
+   */
+  function compareStamps(a, b) {
+    if (a.time !== b.time) return a.time - b.time;
+    if (a.replica !== b.replica) return a.replica < b.replica ? -1 : 1;
+    return a.seq - b.seq;
+  }
+
+  /**
+   * Minimal binary heap ordered by a comparator
+   */
+  class BinaryHeap {
+    /**
+     * @param {Function} compare - Returns a negative number when `a` should be closer to the top than `b`
+     */
+    constructor(compare) {
+      this.compare = compare;
+      this.items = [];
+    }
+
+    /** @returns {number} Number of items in the heap */
+    get size() {
+      return this.items.length;
+    }
+
+    /** @returns {*} The top item without removing it */
+    peek() {
+      return this.items[0];
+    }
+
+    /**
+     * Add an item to the heap
+     * @param {*} item - The item to add
+     */
+    push(item) {
+      const items = this.items;
+      items.push(item);
+
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (this.compare(items[i], items[parent]) >= 0) break;
+        [items[i], items[parent]] = [items[parent], items[i]];
+        i = parent;
+      }
+    }
+
+    /**
+     * Remove and return the top item
+     * @returns {*} The top item
+     */
+    pop() {
+      const items = this.items;
+      const top = items[0];
+      const last = items.pop();
+
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let best = i;
+          if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+          if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+          if (best === i) break;
+          [items[i], items[best]] = [items[best], items[i]];
+          i = best;
+        }
+      }
+
+      return top;
+    }
+  }
+
+  /**
+   * Hierarchical Navigable Small World graph for approximate nearest
+   * neighbor search. Works directly on similarity scores (higher is closer),
+   * so any similarity function can be used. Removed nodes are tombstoned and
+   * stay usable for navigation until `repair()` relinks their neighbours.
+   */
+  class HNSWIndex {
+    /**
+     * @param {Object} options - Graph parameters
+     * @param {number} options.M - Maximum links per node on upper layers (twice this on layer 0)
+     * @param {number} options.efConstruction - Candidate list size while inserting
+     * @param {Function} similarityFn - Function to calculate similarity between vectors
+     */
+    constructor({ M, efConstruction }, similarityFn) {
+      if (!Number.isInteger(M) || M < 2) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'HNSW parameter M must be an integer of at least 2');
+      }
+
+      this.M = M;
+      this.maxM0 = M * 2;
+      this.efConstruction = efConstruction;
+      this.levelMultiplier = 1 / Math.log(M);
+      this.similarityFn = similarityFn;
+
+      /** @type {Map<string, {id: string, vector: number[], level: number, neighbors: string[][], deleted: boolean}>} */
+      this.nodes = new Map();
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      this.deletedCount = 0;
+    }
+
+    /** @returns {number} Number of live (non-tombstoned) nodes */
+    get size() {
+      return this.nodes.size - this.deletedCount;
+    }
+
+    /**
+     * Add a vector to the graph
+     * @param {string} id - Entry ID
+     * @param {number[]} vector - Entry vector (kept by reference)
+     * @param {number} [level] - Layer to insert at; drawn at random when omitted
+     */
+    insert(id, vector, level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier)) {
+      // Re-inserting an ID replaces its node; existing links to it stay valid
+      const existing = this.nodes.get(id);
+      if (existing && existing.deleted) this.deletedCount--;
+
+      const node = {
+        id,
+        vector,
+        level,
+        neighbors: Array.from({ length: level + 1 }, () => []),
+        deleted: false
+      };
+      this.nodes.set(id, node);
+
+      if (this.entryPoint === null) {
+        this.entryPoint = id;
+        this.maxLevel = level;
+        return;
+      }
+
+      // Descend greedily through the layers above the new node's level
+      let current = this._candidate(vector, this.entryPoint);
+      for (let l = this.maxLevel; l > level; l--) {
+        current = this._greedySearch(vector, current, l);
+      }
+
+      // Link the node on every layer it belongs to
+      let entryPoints = [current];
+      for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+        const candidates = this._searchLayer(vector, entryPoints, this.efConstruction, l);
+        const selected = this._selectNeighbors(candidates, this.M);
+
+        node.neighbors[l] = selected.map(c => c.id);
+        for (const { id: neighborId } of selected) {
+          this._link(neighborId, id, l);
+        }
+
+        entryPoints = candidates;
+      }
+
+      if (level > this.maxLevel) {
+        this.maxLevel = level;
+        this.entryPoint = id;
+      }
+    }
+
+    /**
+     * Tombstone a node. The graph is repaired once tombstones make up a
+     * tenth of all nodes.
+     * @param {string} id - Entry ID
+     * @param {boolean} [autoRepair=true] - Whether to repair the graph when needed
+     * @returns {boolean} Whether the node existed
+     */
+    remove(id, autoRepair = true) {
+      const node = this.nodes.get(id);
+      if (!node || node.deleted) return false;
+
+      node.deleted = true;
+      this.deletedCount++;
+
+      // Keep a private copy for navigation; the store may reuse the vector's storage
+      node.vector = Array.from(node.vector);
+
+      if (autoRepair && this.deletedCount > Math.max(8, this.nodes.size * 0.1)) {
+        this.repair();
+      }
+      return true;
+    }
+
+    /**
+     * Remove tombstoned nodes, reconnecting the nodes that linked to them
+     * through the tombstones' own neighbours
+     */
+    repair() {
+      if (this.deletedCount === 0) return;
+
+      for (const node of this.nodes.values()) {
+        if (node.deleted) continue;
+
+        for (let l = 0; l <= node.level; l++) {
+          const links = node.neighbors[l];
+          if (!links.some(n => this.nodes.get(n).deleted)) continue;
+
+          // Pool the surviving links with the links of removed neighbours
+          const pool = new Set();
+          for (const n of links) {
+            const neighbor = this.nodes.get(n);
+            if (!neighbor.deleted) {
+              pool.add(n);
+            } else if (l <= neighbor.level) {
+              for (const m of neighbor.neighbors[l]) {
+                if (m !== node.id && !this.nodes.get(m).deleted) pool.add(m);
+              }
+            }
+          }
+
+          const candidates = [...pool]
+            .map(n => this._candidate(node.vector, n))
+            .sort((a, b) => b.similarity - a.similarity);
+          node.neighbors[l] = this._selectNeighbors(candidates, l === 0 ? this.maxM0 : this.M).map(c => c.id);
+        }
+      }
+
+      for (const [id, node] of this.nodes) {
+        if (node.deleted) this.nodes.delete(id);
+      }
+      this.deletedCount = 0;
+
+      // Promote the highest remaining node if the entry point was removed
+      if (!this.nodes.has(this.entryPoint)) {
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        for (const node of this.nodes.values()) {
+          if (node.level > this.maxLevel) {
+            this.maxLevel = node.level;
+            this.entryPoint = node.id;
+          }
+        }
+      }
+    }
+
+    /**
+     * Find the approximate nearest neighbours of a query vector
+     * @param {number[]} vector - Query vector
+     * @param {number} k - Number of results
+     * @param {number} ef - Candidate list size (raised to k if smaller)
+     * @param {Function} [accept] - Predicate on entry IDs; rejected nodes are traversed but not returned
+     * @returns {{id: string, similarity: number}[]} Results, most similar first
+     */
+    search(vector, k, ef, accept = null) {
+      if (this.entryPoint === null) return [];
+
+      let current = this._candidate(vector, this.entryPoint);
+      for (let l = this.maxLevel; l > 0; l--) {
+        current = this._greedySearch(vector, current, l);
+      }
+
+      const isResult = id => !this.nodes.get(id).deleted && (!accept || accept(id));
+      return this._searchLayer(vector, [current], Math.max(ef, k), 0, isResult).slice(0, k);
+    }
+
+    /**
+     * Serialize the graph structure (vectors are restored from the store)
+     * @returns {Object} Serializable graph
+     */
+    toJSON() {
+      this.repair();
+
+      return {
+        entryPoint: this.entryPoint,
+        maxLevel: this.maxLevel,
+        nodes: [...this.nodes.values()].map(({ id, level, neighbors }) => ({ id, level, neighbors }))
+      };
+    }
+
+    /**
+     * Find the first structural problem in a serialized graph: malformed
+     * nodes, links to nodes that aren't in the graph, or a bad entry point
+     * @param {Object} data - Serialized graph
+     * @returns {string|null} Description of the problem, or null if the graph is sound
+     */
+    static problem(data) {
+      if (!data || !Array.isArray(data.nodes)) return 'nodes must be an array';
+      
+      const ids = new Set(data.nodes.map(node => node && node.id));
+      if (ids.size !== data.nodes.length || ids.has(undefined) || ids.has(null)) {
+        return 'node IDs must be present and unique';
+      }
+      
+      for (const { id, level, neighbors } of data.nodes) {
+        if (!Number.isInteger(level) || level < 0 || !Array.isArray(neighbors) || neighbors.length !== level + 1 ||
+            !neighbors.every(Array.isArray)) {
+          return `node "${id}" must have a level and one neighbour list per layer`;
+        }
+        for (const layer of neighbors) {
+          const missing = layer.find(neighbor => !ids.has(neighbor));
+          if (missing !== undefined) return `node "${id}" links to missing node "${missing}"`;
+        }
+      }
+      
+      if (data.nodes.length === 0 ? data.entryPoint !== null : !ids.has(data.entryPoint)) {
+        return 'the entry point must be a node of the graph';
+      }
+      return null;
+    }
+  
+    /**
+     * Restore a graph serialized with `toJSON()`. Nodes whose vector is no
+     * longer available are dropped.
+     * @param {Object} data - Serialized graph
+     * @param {Function} getVector - Returns the vector for an entry ID, or null if missing
+     * @throws {atomicVDBError} `INVALID_DATA` if the graph is malformed
+     */
+    load(data, getVector) {
+      const problem = HNSWIndex.problem(data);
+      if (problem) {
+        throw new atomicVDBError('INVALID_DATA', `Invalid HNSW graph: ${problem}`);
+      }
+      
+      this.nodes = new Map();
+      this.deletedCount = 0;
+      
+      for (const { id, level, neighbors } of data.nodes) {
+        const vector = getVector(id);
+        this.nodes.set(id, { id, vector, level, neighbors, deleted: vector === null });
+        if (vector === null) this.deletedCount++;
+      }
+      this.entryPoint = data.entryPoint;
+      this.maxLevel = data.maxLevel;
+      
+      this.repair();
+    }
+
+    /**
+     * Score a node against a vector
+     * @param {number[]} vector - Query vector
+     * @param {string} id - Node ID
+     * @returns {{id: string, similarity: number}} Scored candidate
+     * @private
+     */
+    _candidate(vector, id) {
+      return { id, similarity: this.similarityFn(vector, this.nodes.get(id).vector) };
+    }
+
+    /**
+     * Follow the most similar neighbour on one layer until no improvement
+     * @param {number[]} vector - Query vector
+     * @param {{id: string, similarity: number}} current - Starting node
+     * @param {number} level - Layer to search
+     * @returns {{id: string, similarity: number}} Closest node found
+     * @private
+     */
+    _greedySearch(vector, current, level) {
+      let improved = true;
+      while (improved) {
+        improved = false;
+        for (const n of this.nodes.get(current.id).neighbors[level] || []) {
+          const candidate = this._candidate(vector, n);
+          if (candidate.similarity > current.similarity) {
+            current = candidate;
+            improved = true;
+          }
+        }
+      }
+      return current;
+    }
+
+    /**
+     * Beam search on a single layer
+     * @param {number[]} vector - Query vector
+     * @param {{id: string, similarity: number}[]} entryPoints - Starting nodes
+     * @param {number} ef - Beam width
+     * @param {number} level - Layer to search
+     * @param {Function} [isResult] - Predicate deciding which nodes may be returned
+     * @returns {{id: string, similarity: number}[]} Up to `ef` nodes, most similar first
+     * @private
+     */
+    _searchLayer(vector, entryPoints, ef, level, isResult = null) {
+      const visited = new Set();
+      const candidates = new BinaryHeap((a, b) => b.similarity - a.similarity);
+      const results = new BinaryHeap((a, b) => a.similarity - b.similarity);
+
+      for (const ep of entryPoints) {
+        if (visited.has(ep.id)) continue;
+        visited.add(ep.id);
+        candidates.push(ep);
+        if (!isResult || isResult(ep.id)) results.push(ep);
+      }
+      while (results.size > ef) results.pop();
+
+      while (candidates.size > 0) {
+        const current = candidates.pop();
+        if (results.size >= ef && current.similarity < results.peek().similarity) break;
+
+        for (const n of this.nodes.get(current.id).neighbors[level] || []) {
+          if (visited.has(n)) continue;
+          visited.add(n);
+
+          const candidate = this._candidate(vector, n);
+          if (results.size < ef || candidate.similarity > results.peek().similarity) {
+            candidates.push(candidate);
+            if (!isResult || isResult(n)) {
+              results.push(candidate);
+              if (results.size > ef) results.pop();
+            }
+          }
+        }
+      }
+
+      return results.items.sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * Choose diverse neighbours: a candidate is kept only if it is more
+     * similar to the base node than to any neighbour already kept. Pruned
+     * candidates fill any remaining slots.
+     * @param {{id: string, similarity: number}[]} candidates - Candidates, most similar first
+     * @param {number} max - Maximum number of neighbours
+     * @returns {{id: string, similarity: number}[]} Selected neighbours
+     * @private
+     */
+    _selectNeighbors(candidates, max) {
+      const selected = [];
+      const pruned = [];
+
+      for (const candidate of candidates) {
+        if (selected.length >= max) break;
+
+        const vector = this.nodes.get(candidate.id).vector;
+        const diverse = selected.every(s =>
+          this.similarityFn(vector, this.nodes.get(s.id).vector) < candidate.similarity
+        );
+        (diverse ? selected : pruned).push(candidate);
+      }
+
+      for (const candidate of pruned) {
+        if (selected.length >= max) break;
+        selected.push(candidate);
+      }
+
+      return selected;
+    }
+
+    /**
+     * Add a directed link, pruning the source's links if it has too many
+     * @param {string} fromId - Source node
+     * @param {string} toId - Target node
+     * @param {number} level - Layer of the link
+     * @private
+     */
+    _link(fromId, toId, level) {
+      const node = this.nodes.get(fromId);
+      const links = node.neighbors[level];
+      if (!links || links.includes(toId)) return;
+
+      links.push(toId);
+
+      const max = level === 0 ? this.maxM0 : this.M;
+      if (links.length > max) {
+        const candidates = links
+          .map(n => this._candidate(node.vector, n))
+          .sort((a, b) => b.similarity - a.similarity);
+        node.neighbors[level] = this._selectNeighbors(candidates, max).map(c => c.id);
+      }
+    }
+  }
+
+  /**
+   * Tree of centroids over the store's clusters (centroids of centroids),
+   * kept balanced like a B-tree: every cluster sits at the same depth, and
+   * a node with more than `branching` children splits in two, growing a new
+   * root when the root splits. Node centers are member-weighted means of
+   * their children's centers. Lookups beam-search from the root, comparing
+   * the query with O(beamWidth * branching * depth) centers instead of all
+   * of them.
+   */
+  class ClusterTree {
+    /**
+     * @param {Object} options - Tree parameters
+     * @param {number} options.branching - Maximum children per node
+     * @param {number} options.beamWidth - Default number of nodes kept per level while searching
+     * @param {Function} similarityFn - Similarity function
+     */
+    constructor({ branching, beamWidth }, similarityFn) {
+      this.branching = branching;
+      this.beamWidth = beamWidth;
+      this.similarityFn = similarityFn;
+
+      this.root = null;
+
+      /** @type {Map<string, Object>} Cluster ID -> bottom-level node holding it */
+      this.parents = new Map();
+    }
+
+    /**
+     * Replace the tree with one over the given clusters
+     * @param {Cluster[]} clusters - All clusters
+     */
+    rebuild(clusters) {
+      this.root = null;
+      this.parents = new Map();
+      for (const cluster of clusters) this.add(cluster);
+    }
+
+    /**
+     * Add a cluster under the bottom-level node closest to its center
+     * @param {Cluster} cluster - The cluster
+     */
+    add(cluster) {
+      if (!this.root) {
+        this.root = this._node(true, []);
+      }
+
+      let node = this.root;
+      while (!node.leaf) {
+        node = this._closest(node.children, cluster.center);
+      }
+
+      node.children.push(cluster);
+      this.parents.set(cluster.id, node);
+      this._refreshUpward(node);
+
+      if (node.children.length > this.branching) this._split(node);
+    }
+
+    /**
+     * Remove a cluster, dropping nodes left empty
+     * @param {Cluster} cluster - The cluster
+     */
+    remove(cluster) {
+      let node = this.parents.get(cluster.id);
+      if (!node) return;
+
+      this.parents.delete(cluster.id);
+      node.children = node.children.filter(c => c.id !== cluster.id);
+
+      while (node.children.length === 0 && node.parent) {
+        const parent = node.parent;
+        parent.children = parent.children.filter(c => c !== node);
+        node = parent;
+      }
+
+      // Shrink from the top while the root has a single internal child
+      while (!this.root.leaf && this.root.children.length === 1) {
+        this.root = this.root.children[0];
+        this.root.parent = null;
+      }
+      if (this.root.children.length === 0) {
+        this.root = null;
+        return;
+      }
+
+      this._refreshUpward(node);
+    }
+
+    /**
+     * Refresh ancestor centers after a cluster's center or size changed
+     * @param {Cluster} cluster - The cluster
+     */
+    update(cluster) {
+      const node = this.parents.get(cluster.id);
+      if (node) this._refreshUpward(node);
+    }
+
+    /**
+     * Rank clusters near a vector with a beam search down the tree
+     * @param {ArrayLike<number>} vector - Query vector
+     * @param {number} [beamWidth] - Nodes kept per level (defaults to the tree's)
+     * @returns {{cluster: Cluster, similarity: number}[]} Clusters under the final beam, most similar first
+     */
+    search(vector, beamWidth = this.beamWidth) {
+      if (!this.root) return [];
+
+      let beam = [this.root];
+      while (!beam[0].leaf) {
+        beam = beam
+          .flatMap(node => node.children)
+          .map(node => ({ node, similarity: this.similarityFn(vector, node.center) }))
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, beamWidth)
+          .map(({ node }) => node);
+      }
+
+      return beam
+        .flatMap(node => node.children)
+        .map(cluster => ({ cluster, similarity: this.similarityFn(vector, cluster.center) }))
+        .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /** @returns {number} Number of levels of internal nodes */
+    get depth() {
+      let depth = 0;
+      for (let node = this.root; node; node = node.leaf ? null : node.children[0]) depth++;
+      return depth;
+    }
+
+    /**
+     * Create a node
+     * @param {boolean} leaf - Whether its children are clusters
+     * @param {Array} children - Child nodes or clusters
+     * @returns {Object} The node
+     * @private
+     */
+    _node(leaf, children) {
+      const node = { leaf, children, parent: null, center: null, count: 0 };
+      for (const child of children) this._adopt(node, child);
+      this._refresh(node);
+      return node;
+    }
+
+    /**
+     * Point a child back at its new parent
+     * @param {Object} node - Parent node
+     * @param {Object} child - Child node or cluster
+     * @private
+     */
+    _adopt(node, child) {
+      if (node.leaf) this.parents.set(child.id, node);
+      else child.parent = node;
+    }
+
+    /**
+     * Number of vectors under a child
+     * @param {Object} child - Child node or cluster
+     * @returns {number} The count
+     * @private
+     */
+    _count(child) {
+      return child.members ? child.members.length : child.count;
+    }
+
+    /**
+     * Recompute a node's center and count from its children
+     * @param {Object} node - The node
+     * @private
+     */
+    _refresh(node) {
+      if (node.children.length === 0) return;
+
+      const dim = node.children[0].center.length;
+      const center = new Float64Array(dim);
+      let count = 0;
+
+      for (const child of node.children) {
+        const weight = Math.max(1, this._count(child));
+        for (let d = 0; d < dim; d++) center[d] += child.center[d] * weight;
+        count += weight;
+      }
+      for (let d = 0; d < dim; d++) center[d] /= count;
+
+      node.center = center;
+      node.count = count;
+    }
+
+    /**
+     * Refresh a node and all of its ancestors
+     * @param {Object} node - The node
+     * @private
+     */
+    _refreshUpward(node) {
+      for (; node; node = node.parent) this._refresh(node);
+    }
+
+    /**
+     * Find the child whose center is most similar to a vector
+     * @param {Array} children - Child nodes or clusters
+     * @param {ArrayLike<number>} vector - The vector
+     * @returns {Object} The closest child
+     * @private
+     */
+    _closest(children, vector) {
+      let best = children[0];
+      let bestSimilarity = -Infinity;
+      for (const child of children) {
+        const similarity = this.similarityFn(vector, child.center);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          best = child;
+        }
+      }
+      return best;
+    }
+
+    /**
+     * Split an overfull node in two around its two least similar children,
+     * splitting ancestors in turn if they overflow
+     * @param {Object} node - The node
+     * @private
+     */
+    _split(node) {
+      const children = node.children;
+
+      // Seed with the child least similar to the first, then the child least similar to that
+      const farthest = from => children.reduce((worst, child) =>
+        (this.similarityFn(from.center, child.center) < this.similarityFn(from.center, worst.center) ? child : worst));
+      const seedA = farthest(children[0]);
+      const seedB = farthest(seedA);
+
+      let groupA = [];
+      let groupB = [];
+      for (const child of children) {
+        const toA = this.similarityFn(child.center, seedA.center);
+        const toB = this.similarityFn(child.center, seedB.center);
+        (toA >= toB ? groupA : groupB).push(child);
+      }
+
+      // Identical centers can't be separated by similarity; halve instead
+      if (groupA.length === 0 || groupB.length === 0) {
+        groupA = children.slice(0, Math.ceil(children.length / 2));
+        groupB = children.slice(groupA.length);
+      }
+
+      node.children = groupA;
+      for (const child of groupA) this._adopt(node, child);
+      this._refresh(node);
+
+      const sibling = this._node(node.leaf, groupB);
+
+      if (!node.parent) {
+        this.root = this._node(false, [node, sibling]);
+        return;
+      }
+
+      const parent = node.parent;
+      parent.children.push(sibling);
+      sibling.parent = parent;
+      this._refreshUpward(parent);
+
+      if (parent.children.length > this.branching) this._split(parent);
+    }
+  }
+
+  /**
+   * Entry point of a worker thread. The function is serialized into the
+   * worker's source, so it may only use its argument and globals.
+   * @param {Function} similarityFn - The store's similarity function
+   */
+  function workerMain(similarityFn) {
+    const port = typeof require === 'function' ? require('worker_threads').parentPort : self;
+
+    // Shared arena blocks, kept in step with the store by 'blocks' messages
+    let blocks = [];
+    let blockSize = 0;
+
+    // Slots index the shared arena; negative slots -(k + 1) index the packed copies
+    const reader = (slots, packed, dimensions) => i => {
+      const slot = slots[i];
+      if (slot >= 0) {
+        const offset = (slot % blockSize) * dimensions;
+        return blocks[Math.floor(slot / blockSize)].subarray(offset, offset + dimensions);
+      }
+      const k = -slot - 1;
+      return packed.subarray(k * dimensions, (k + 1) * dimensions);
+    };
+
+    // Similarity of every vector in each group to the query; keeps the best
+    // `limit` per group (earlier vectors win ties), in group order
+    const score = ({ query, slots, packed, offsets, dimensions, limit, min }) => {
+      const read = reader(slots, packed, dimensions);
+      const groups = offsets.length - 1;
+      const counts = new Int32Array(groups);
+      const resultOffsets = new Int32Array(groups + 1);
+      const indices = [];
+      const similarities = [];
+
+      for (let g = 0; g < groups; g++) {
+        let hits = [];
+        for (let i = offsets[g]; i < offsets[g + 1]; i++) {
+          const similarity = similarityFn(query, read(i));
+          if (similarity >= min) hits.push({ index: i - offsets[g], similarity });
+        }
+
+        counts[g] = hits.length;
+        if (hits.length > limit) {
+          hits.sort((a, b) => b.similarity - a.similarity || a.index - b.index);
+          hits = hits.slice(0, limit).sort((a, b) => a.index - b.index);
+        }
+        for (const hit of hits) {
+          indices.push(hit.index);
+          similarities.push(hit.similarity);
+        }
+        resultOffsets[g + 1] = indices.length;
+      }
+
+      return { counts, offsets: resultOffsets, indices: Int32Array.from(indices), similarities: Float64Array.from(similarities) };
+    };
+
+    // Index of the most similar center for every vector (the first on ties)
+    const assign = ({ slots, packed, dimensions, centers }) => {
+      const read = reader(slots, packed, dimensions);
+      const k = centers.length / dimensions;
+      const assignments = new Int32Array(slots.length);
+
+      for (let i = 0; i < slots.length; i++) {
+        const vector = read(i);
+        let best = -1;
+        let bestSimilarity = -Infinity;
+        for (let c = 0; c < k; c++) {
+          const similarity = similarityFn(vector, centers.subarray(c * dimensions, (c + 1) * dimensions));
+          if (similarity > bestSimilarity) {
+            bestSimilarity = similarity;
+            best = c;
+          }
+        }
+        assignments[i] = best;
+      }
+
+      return { assignments };
+    };
+
+    // Least similar pair (i, j), i < j, for rows i in [start, end); the first such pair on ties
+    const farthest = ({ slots, packed, dimensions, start, end }) => {
+      const read = reader(slots, packed, dimensions);
+      let best = { i: -1, j: -1, similarity: Infinity };
+
+      for (let i = start; i < end; i++) {
+        const vector = read(i);
+        for (let j = i + 1; j < slots.length; j++) {
+          const similarity = similarityFn(vector, read(j));
+          if (similarity < best.similarity) best = { i, j, similarity };
+        }
+      }
+
+      return best;
+    };
+
+    // The similarity of a sample pair, or the error computing it throws
+    const probe = ({ a, b }) => {
+      try {
+        return { outcome: String(similarityFn(a, b)) };
+      } catch (err) {
+        return { outcome: `throws "${err.message}"` };
+      }
+    };
+
+    const tasks = { score, assign, farthest, probe };
+
+    const handle = message => {
+      if (message.type === 'blocks') {
+        if (message.reset) blocks = [];
+        blockSize = message.blockSize;
+        blocks.push(...message.blocks);
+        return;
+      }
+
+      try {
+        const result = tasks[message.type](message);
+        port.postMessage({ taskId: message.taskId, result });
+      } catch (err) {
+        port.postMessage({ taskId: message.taskId, error: err.message });
+      }
+    };
+
+    if (port.on) port.on('message', handle);
+    else port.onmessage = event => handle(event.data);
+  }
+
+  /**
+   * Pool of worker threads (Node `worker_threads` or Web Workers) that
+   * score vectors for the store's async methods. Workers read vectors from
+   * a shared arena in place; anything else is copied into the task.
+   */
+  class WorkerPool {
+    /**
+     * @param {number} size - Number of workers
+     * @param {Function} similarityFn - Similarity function; must not depend on variables outside its own source
+     * @param {number} dimensions - Vector length, for the sample pair the workers check the function on
+     */
+    constructor(size, similarityFn, dimensions) {
+      WorkerPool.checkSource(similarityFn);
+      this.size = size;
+      this.tasks = new Map();
+      this.nextTaskId = 0;
+
+      /** @type {Error|null} Set once a worker has failed; the pool then rejects every task */
+      this.failed = null;
+      this.terminating = false;
+
+      // Arena whose blocks the workers hold, and how many they have
+      this.arena = null;
+      this.blocksSent = 0;
+
+      // Built-in metrics may call each other, so all of them are defined in the worker
+      const source = [
+        euclideanDistance, cosineSimilarity, euclideanSimilarity, dotSimilarity,
+        manhattanSimilarity, hammingSimilarity, jaccardSimilarity
+      ].map(String).join('\n') + `\n(${workerMain})(${similarityFn});\n`;
+
+      this.workers = Array.from({ length: size }, () => this._spawn(source));
+
+      /** @type {Promise<void>} Resolves once every worker agrees with `similarityFn` on a sample pair */
+      this.ready = this._probe(similarityFn, dimensions);
+    }
+
+    /**
+     * Check that every worker's rebuilt similarity function gives the same
+     * result as the original on a sample pair. `checkSource()` only proves
+     * the source parses; a function that reads outer variables fails here.
+     * @param {Function} similarityFn - The original similarity function
+     * @param {number} dimensions - Length of the sample vectors
+     * @returns {Promise<void>} Rejects, after stopping the pool, if a worker disagrees
+     * @private
+     */
+    async _probe(similarityFn, dimensions) {
+      const a = Float64Array.from({ length: dimensions }, (_, i) => (i % 7 + 1) / 8);
+      const b = Float64Array.from({ length: dimensions }, (_, i) => ((i * 3) % 5 + 1) / 6);
+
+      let expected;
+      try {
+        expected = String(similarityFn(a, b));
+      } catch (err) {
+        expected = `throws "${err.message}"`;
+      }
+
+      const results = await Promise.all(this.workers.map((slot, w) => this._run(w, { type: 'probe', a, b })));
+      const mismatch = results.find(({ outcome }) => outcome !== expected);
+      if (mismatch) {
+        const err = new atomicVDBError('INVALID_ARGUMENT', `the similarity function returns ${expected} but ${mismatch.outcome} in a worker; it must not depend on variables outside its own source`);
+        this._fail(err);
+        throw err;
+      }
+    }
+
+    /**
+     * Check that a similarity function can be rebuilt from its source in a
+     * worker: it must be a function expression, arrow function or function
+     * declaration (method shorthand such as `{ sim(a, b) {...} }` is not)
+     * @param {Function} similarityFn - Similarity function
+     */
+    static checkSource(similarityFn) {
+      let rebuilt;
+      try {
+        rebuilt = new Function(`return (${similarityFn});`)();
+      } catch (err) {
+        rebuilt = null;
+      }
+      if (typeof rebuilt !== 'function') {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'workers require a similarity function written as a function expression or arrow function; its source could not be rebuilt in a worker');
+      }
+    }
+
+    /**
+     * Whether worker threads are available in this environment
+     * @returns {boolean} Whether a pool can be created
+     */
+    static isSupported() {
+      if (typeof Worker === 'function' && typeof Blob === 'function') return true;
+      try {
+        return typeof require === 'function' && Boolean(require('worker_threads').Worker);
+      } catch (err) {
+        return false;
+      }
+    }
+
+    /**
+     * Default pool size: one less than the number of cores, at least one
+     * @returns {number} Number of workers
+     */
+    static defaultSize() {
+      let cores = 2;
+      if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+        cores = navigator.hardwareConcurrency;
+      } else if (typeof require === 'function') {
+        const os = require('os');
+        cores = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+      }
+      return Math.max(1, cores - 1);
+    }
+
+    /**
+     * Start a worker
+     * @param {string} source - Worker source code
+     * @returns {{worker: Object, pending: number}} The worker and its number of unfinished tasks
+     * @private
+     */
+    _spawn(source) {
+      const slot = { worker: null, pending: 0 };
+      const onMessage = ({ taskId, result, error }) => {
+        const task = this.tasks.get(taskId);
+        if (!task) return;
+        this.tasks.delete(taskId);
+        this._settled(slot);
+        if (error !== undefined) task.reject(new Error(`Worker task failed: ${error}`));
+        else task.resolve(result);
+      };
+      const onError = err => this._fail(err);
+
+      if (typeof Worker === 'function' && typeof Blob === 'function') {
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        slot.worker = new Worker(url);
+        slot.worker.onmessage = event => onMessage(event.data);
+        slot.worker.onerror = event => onError(event);
+      } else {
+        const { Worker: NodeWorker } = require('worker_threads');
+        slot.worker = new NodeWorker(source, { eval: true });
+        slot.worker.on('message', onMessage);
+        slot.worker.on('error', onError);
+        slot.worker.on('exit', code => {
+          if (!this.terminating) onError(new Error(`exited with code ${code}`));
+        });
+        // Idle workers don't keep the process alive
+        slot.worker.unref();
+      }
+
+      return slot;
+    }
+
+    /**
+     * Shut the pool down after a worker failed: its queue is lost and the
+     * remaining workers would run out of step, so every unfinished and
+     * later task is rejected
+     * @param {Error|{message: string}} err - What went wrong
+     * @private
+     */
+    _fail(err) {
+      if (this.failed || this.terminating) return;
+      this.failed = new Error(`Worker failed: ${err.message}`);
+      this.terminating = true;
+
+      for (const [taskId, task] of this.tasks) {
+        this.tasks.delete(taskId);
+        task.reject(this.failed);
+      }
+      for (const slot of this.workers) slot.worker.terminate();
+    }
+
+    /**
+     * Note a finished task, letting an idle Node worker go
+     * @param {{worker: Object, pending: number}} slot - The worker
+     * @private
+     */
+    _settled(slot) {
+      slot.pending--;
+      if (slot.pending === 0 && slot.worker.unref) slot.worker.unref();
+    }
+
+    /**
+     * Send a task to a worker
+     * @param {number} index - Worker index
+     * @param {Object} message - Task message
+     * @returns {Promise<Object>} The task's result
+     * @private
+     */
+    _run(index, message) {
+      if (this.failed) return Promise.reject(this.failed);
+
+      const slot = this.workers[index];
+      const taskId = this.nextTaskId++;
+
+      return new Promise((resolve, reject) => {
+        this.tasks.set(taskId, { resolve, reject, slot });
+        if (slot.pending++ === 0 && slot.worker.ref) slot.worker.ref();
+        slot.worker.postMessage({ ...message, taskId });
+      });
+    }
+
+    /**
+     * Share any arena blocks the workers don't have yet
+     * @param {VectorArena|null} arena - The store's arena
+     * @private
+     */
+    _syncArena(arena) {
+      if (!arena || !arena.shared) return;
+
+      const reset = arena !== this.arena;
+      if (reset) {
+        this.arena = arena;
+        this.blocksSent = 0;
+      }
+      if (!reset && arena.blocks.length === this.blocksSent) return;
+
+      const message = { type: 'blocks', reset, blockSize: arena.blockSize, blocks: arena.blocks.slice(this.blocksSent) };
+      for (const slot of this.workers) slot.worker.postMessage(message);
+      this.blocksSent = arena.blocks.length;
+    }
+
+    /**
+     * Describe vectors for a worker: arena slots where the workers can read
+     * them in place, copies otherwise
+     * @param {ArrayLike<number>[]} vectors - The vectors
+     * @param {number} dimensions - Vector length
+     * @returns {{slots: Int32Array, packed: Float64Array|null}} Slots, with copied vectors at negative slots
+     * @private
+     */
+    _encode(vectors, dimensions) {
+      const arena = this.arena;
+      const slots = new Int32Array(vectors.length);
+      const copies = [];
+
+      vectors.forEach((vector, i) => {
+        const slot = arena ? arena.slotOf(vector) : -1;
+        if (slot >= 0) {
+          slots[i] = slot;
+        } else {
+          copies.push(vector);
+          slots[i] = -copies.length;
+        }
+      });
+
+      let packed = null;
+      if (copies.length > 0) {
+        packed = new Float64Array(copies.length * dimensions);
+        copies.forEach((vector, k) => packed.set(vector, k * dimensions));
+      }
+      return { slots, packed };
+    }
+
+    /**
+     * Split groups between workers, balancing the number of vectors each scores
+     * @param {Array<Array>} groups - Groups of items
+     * @returns {number[][]} Group indices for each worker
+     * @private
+     */
+    _shard(groups) {
+      const shards = this.workers.map(() => []);
+      const loads = new Array(this.workers.length).fill(0);
+      const order = groups.map((group, g) => g).sort((a, b) => groups[b].length - groups[a].length);
+
+      for (const g of order) {
+        const w = loads.indexOf(Math.min(...loads));
+        shards[w].push(g);
+        loads[w] += groups[g].length;
+      }
+      return shards;
+    }
+
+    /**
+     * Score groups of vectors against a query in parallel
+     * @param {ArrayLike<number>} query - Query vector
+     * @param {ArrayLike<number>[][]} groups - Groups of vectors
+     * @param {Object} options - Scoring options
+     * @param {VectorArena|null} options.arena - The store's arena
+     * @param {number} options.limit - Best results kept per group
+     * @param {number} options.min - Minimum similarity
+     * @returns {Promise<{count: number, indices: Int32Array, similarities: Float64Array}[]>} For each group, how many vectors
+     *   reached `min`, and the indices (in group order) and similarities of the best `limit` of them
+     */
+    async score(query, groups, { arena, limit, min }) {
+      const dimensions = query.length;
+      this._syncArena(arena);
+
+      const results = new Array(groups.length);
+      await Promise.all(this._shard(groups).map(async (shard, w) => {
+        if (shard.length === 0) return;
+
+        const offsets = new Int32Array(shard.length + 1);
+        shard.forEach((g, i) => { offsets[i + 1] = offsets[i] + groups[g].length; });
+        const { slots, packed } = this._encode(shard.flatMap(g => groups[g]), dimensions);
+
+        const result = await this._run(w, {
+          type: 'score', query: Float64Array.from(query), slots, packed, offsets, dimensions, limit, min
+        });
+
+        shard.forEach((g, i) => {
+          const start = result.offsets[i];
+          const end = result.offsets[i + 1];
+          results[g] = {
+            count: result.counts[i],
+            indices: result.indices.subarray(start, end),
+            similarities: result.similarities.subarray(start, end)
+          };
+        });
+      }));
+
+      return results;
+    }
+
+    /**
+     * Find the most similar center for every vector in parallel
+     * @param {ArrayLike<number>[]} vectors - Vectors to assign
+     * @param {ArrayLike<number>[]} centers - Candidate centers
+     * @param {VectorArena|null} arena - The store's arena
+     * @returns {Promise<Int32Array>} Index of the best center for each vector (the first on ties)
+     */
+    async assign(vectors, centers, arena) {
+      const dimensions = centers[0].length;
+      this._syncArena(arena);
+
+      const packedCenters = new Float64Array(centers.length * dimensions);
+      centers.forEach((center, c) => packedCenters.set(center, c * dimensions));
+
+      // Contiguous chunks, one per worker
+      const chunk = Math.ceil(vectors.length / this.size);
+      const assignments = new Int32Array(vectors.length);
+      await Promise.all(this.workers.map(async (slot, w) => {
+        const start = w * chunk;
+        const end = Math.min(vectors.length, start + chunk);
+        if (start >= end) return;
+
+        const { slots, packed } = this._encode(vectors.slice(start, end), dimensions);
+        const result = await this._run(w, { type: 'assign', slots, packed, dimensions, centers: packedCenters });
+        assignments.set(result.assignments, start);
+      }));
+
+      return assignments;
+    }
+
+    /**
+     * Find the least similar pair of vectors in parallel
+     * @param {ArrayLike<number>[]} vectors - The vectors (at least 2)
+     * @param {VectorArena|null} arena - The store's arena
+     * @returns {Promise<number[]>} Indices `[i, j]`, `i < j`, of the first least similar pair
+     */
+    async farthestPair(vectors, arena) {
+      const dimensions = vectors[0].length;
+      this._syncArena(arena);
+      const { slots, packed } = this._encode(vectors, dimensions);
+
+      // Row i pairs with the n - 1 - i rows after it; cut rows into ranges with even pair counts
+      const n = vectors.length;
+      const perWorker = n * (n - 1) / 2 / this.size;
+      const ranges = [];
+      let start = 0;
+      let pairs = 0;
+      for (let i = 0; i < n && ranges.length < this.size - 1; i++) {
+        pairs += n - 1 - i;
+        if (pairs >= perWorker * (ranges.length + 1)) {
+          ranges.push([start, i + 1]);
+          start = i + 1;
+        }
+      }
+      ranges.push([start, n]);
+
+      const results = await Promise.all(ranges.map(([from, to], w) => from < to
+        ? this._run(w, { type: 'farthest', slots, packed, dimensions, start: from, end: to })
+        : null));
+
+      // Ranges are in row order, so the earliest range wins ties
+      let best = { i: 0, j: 1, similarity: Infinity };
+      for (const result of results) {
+        if (result && result.i >= 0 && result.similarity < best.similarity) best = result;
+      }
+      return [best.i, best.j];
+    }
+
+    /**
+     * Stop every worker; unfinished tasks are rejected
+     * @returns {Promise<void>} Resolves once the workers have exited
+     */
+    async terminate() {
+      this.terminating = true;
+      for (const [taskId, task] of this.tasks) {
+        this.tasks.delete(taskId);
+        task.reject(new Error('Worker pool was terminated'));
+      }
+      await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+      this.workers = [];
+    }
+  }
+
+  /**
+   * Base class for vector quantizers. Subclasses implement `train()`,
+   * `quantize()`, `decode()` and `scorer()`; this class stores one fixed-size
+   * byte code per entry in contiguous storage.
+   */
+  class Quantizer {
+    /**
+     * @param {number} dimensions - Vector length
+     */
+    constructor(dimensions) {
+      this.dimensions = dimensions;
+      this.trained = false;
+
+      /** @type {VectorArena|null} */
+      this.codeArena = null;
+
+      /** @type {Map<string, Uint8Array>} */
+      this.codes = new Map();
+    }
+
+    /**
+     * Quantize a vector and store its code
+     * @param {string} id - Entry ID
+     * @param {ArrayLike<number>} vector - Vector to encode
+     */
+    encode(id, vector) {
+      if (!this.codeArena) {
+        this.codeArena = new VectorArena(this.codeSize, Uint8Array);
+      }
+      this.remove(id);
+      this.codes.set(id, this.codeArena.allocate(this.quantize(vector)));
+    }
+
+    /**
+     * Drop an entry's code
+     * @param {string} id - Entry ID
+     */
+    remove(id) {
+      const code = this.codes.get(id);
+      if (code) {
+        this.codeArena.release(code);
+        this.codes.delete(id);
+      }
+    }
+
+    /**
+     * Drop every stored code (before retraining)
+     */
+    clear() {
+      this.codeArena = null;
+      this.codes = new Map();
+    }
+
+    /**
+     * Reconstruct an entry's vector from its code
+     * @param {string} id - Entry ID
+     * @returns {Float32Array} Approximate vector
+     */
+    decodeEntry(id) {
+      return this.decode(this.codes.get(id));
+    }
+
+    /** @returns {number} Bytes used by stored codes */
+    get codeBytes() {
+      return this.codes.size * this.codeSize;
+    }
+  }
+
+  /**
+   * 8-bit scalar quantizer: each dimension is mapped linearly onto 0..255
+   * between the minimum and maximum seen during training.
+   */
+  class ScalarQuantizer extends Quantizer {
+    /** @returns {number} Bytes per code */
+    get codeSize() {
+      return this.dimensions;
+    }
+
+    /** @returns {number} Bytes used by the trained parameters */
+    get parameterBytes() {
+      return this.trained ? this.dimensions * 8 : 0;
+    }
+
+    /**
+     * Learn per-dimension ranges
+     * @param {ArrayLike<number>[]} vectors - Training vectors
+     */
+    train(vectors) {
+      const dim = this.dimensions;
+      const min = new Float32Array(dim).fill(Infinity);
+      const max = new Float32Array(dim).fill(-Infinity);
+
+      for (const vector of vectors) {
+        for (let i = 0; i < dim; i++) {
+          if (vector[i] < min[i]) min[i] = vector[i];
+          if (vector[i] > max[i]) max[i] = vector[i];
+        }
+      }
+
+      this.min = min;
+      this.step = max.map((hi, i) => (hi - min[i]) / 255 || 1);
+      this.trained = true;
+    }
+
+    /**
+     * @param {ArrayLike<number>} vector - Vector to quantize
+     * @returns {Uint8Array} Code
+     */
+    quantize(vector) {
+      const code = new Uint8Array(this.dimensions);
+      for (let i = 0; i < this.dimensions; i++) {
+        const q = Math.round((vector[i] - this.min[i]) / this.step[i]);
+        code[i] = q < 0 ? 0 : q > 255 ? 255 : q;
+      }
+      return code;
+    }
+
+    /**
+     * @param {Uint8Array} code - Code to decode
+     * @param {Float32Array} [out] - Optional output buffer
+     * @returns {Float32Array} Approximate vector
+     */
+    decode(code, out = new Float32Array(this.dimensions)) {
+      for (let i = 0; i < this.dimensions; i++) {
+        out[i] = this.min[i] + code[i] * this.step[i];
+      }
+      return out;
+    }
+
+    /**
+     * Build a function scoring codes against a full-precision query
+     * @param {ArrayLike<number>} query - Query vector
+     * @param {string|null} metric - Name of the store's similarity metric
+     * @param {Function} similarityFn - The store's similarity function
+     * @returns {Function} `code => similarity`
+     */
+    scorer(query, metric, similarityFn) {
+      const scratch = new Float32Array(this.dimensions);
+      return code => similarityFn(query, this.decode(code, scratch));
+    }
+
+    /** @returns {Object} Serializable parameters */
+    toJSON() {
+      return { type: 'sq8', min: Array.from(this.min), step: Array.from(this.step) };
+    }
+
+    /**
+     * Restore parameters produced by `toJSON()`
+     * @param {Object} data - Serialized parameters
+     */
+    load(data) {
+      this.min = Float32Array.from(data.min);
+      this.step = Float32Array.from(data.step);
+      this.trained = true;
+    }
+  }
+
+  /**
+   * Product quantizer: vectors are split into `m` sub-vectors, each replaced
+   * by the index of its nearest centroid in a per-subspace codebook of
+   * `2^nbits` entries. Queries are scored asymmetrically with per-subspace
+   * lookup tables for cosine, Euclidean, Manhattan and dot product metrics.
+   */
+  class ProductQuantizer extends Quantizer {
+    /**
+     * @param {number} dimensions - Vector length
+     * @param {number} m - Number of subspaces (must divide the dimensions)
+     * @param {number} [nbits=8] - Bits per subspace code (1 to 8)
+     */
+    constructor(dimensions, m, nbits = 8) {
+      super(dimensions);
+
+      if (!Number.isInteger(m) || m < 1 || dimensions % m !== 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Product quantization requires m to divide the dimensions (${dimensions}), got ${m}`);
+      }
+      if (!Number.isInteger(nbits) || nbits < 1 || nbits > 8) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Product quantization nbits must be an integer between 1 and 8');
+      }
+
+      this.m = m;
+      this.nbits = nbits;
+      this.subDimensions = dimensions / m;
+      this.centroidCount = 0;
+
+      /** @type {Float32Array|null} Centroids laid out as [subspace][centroid][component] */
+      this.codebooks = null;
+    }
+
+    /** @returns {number} Bytes per code */
+    get codeSize() {
+      return this.m;
+    }
+
+    /** @returns {number} Bytes used by the trained codebooks */
+    get parameterBytes() {
+      return this.codebooks ? this.codebooks.byteLength : 0;
+    }
+
+    /**
+     * Learn a codebook for every subspace with k-means
+     * @param {ArrayLike<number>[]} vectors - Training vectors
+     * @param {Object} [options] - Training options
+     * @param {number} [options.iterations=25] - Maximum k-means iterations per subspace
+     * @param {Function} [options.random=Math.random] - Random number generator
+     */
+    train(vectors, options = {}) {
+      const { iterations = 25, random = Math.random } = options;
+      const sub = this.subDimensions;
+      const k = Math.min(1 << this.nbits, vectors.length);
+
+      this.centroidCount = k;
+      this.codebooks = new Float32Array(this.m * k * sub);
+
+      for (let s = 0; s < this.m; s++) {
+        const points = vectors.map(v => Float32Array.from(v.slice(s * sub, (s + 1) * sub)));
+        const centroids = kMeansL2(points, k, iterations, random);
+        centroids.forEach((c, j) => this.codebooks.set(c, (s * k + j) * sub));
+      }
+
+      this.trained = true;
+    }
+
+    /**
+     * @param {ArrayLike<number>} vector - Vector to quantize
+     * @returns {Uint8Array} Code
+     */
+    quantize(vector) {
+      const sub = this.subDimensions;
+      const k = this.centroidCount;
+      const code = new Uint8Array(this.m);
+
+      for (let s = 0; s < this.m; s++) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let j = 0; j < k; j++) {
+          const base = (s * k + j) * sub;
+          let d = 0;
+          for (let i = 0; i < sub; i++) {
+            const diff = vector[s * sub + i] - this.codebooks[base + i];
+            d += diff * diff;
+          }
+          if (d < bestDistance) {
+            bestDistance = d;
+            best = j;
+          }
+        }
+        code[s] = best;
+      }
+
+      return code;
+    }
+
+    /**
+     * @param {Uint8Array} code - Code to decode
+     * @param {Float32Array} [out] - Optional output buffer
+     * @returns {Float32Array} Approximate vector
+     */
+    decode(code, out = new Float32Array(this.dimensions)) {
+      const sub = this.subDimensions;
+      for (let s = 0; s < this.m; s++) {
+        out.set(this.codebooks.subarray((s * this.centroidCount + code[s]) * sub, (s * this.centroidCount + code[s] + 1) * sub), s * sub);
+      }
+      return out;
+    }
+
+    /**
+     * Build a function scoring codes against a full-precision query using
+     * precomputed per-subspace tables (asymmetric distance computation).
+     * Metrics without a decomposable form fall back to decoding.
+     * @param {ArrayLike<number>} query - Query vector
+     * @param {string|null} metric - Name of the store's similarity metric
+     * @param {Function} similarityFn - The store's similarity function
+     * @returns {Function} `code => similarity`
+     */
+    scorer(query, metric, similarityFn) {
+      const sub = this.subDimensions;
+      const k = this.centroidCount;
+      const m = this.m;
+
+      // table[s * k + j] holds the contribution of centroid j in subspace s
+      const buildTable = contribution => {
+        const table = new Float64Array(m * k);
+        for (let s = 0; s < m; s++) {
+          for (let j = 0; j < k; j++) {
+            const base = (s * k + j) * sub;
+            let value = 0;
+            for (let i = 0; i < sub; i++) {
+              value += contribution(query[s * sub + i], this.codebooks[base + i]);
+            }
+            table[s * k + j] = value;
+          }
+        }
+        return table;
+      };
+      const lookup = (table, code) => {
+        let sum = 0;
+        for (let s = 0; s < m; s++) sum += table[s * k + code[s]];
+        return sum;
+      };
+
+      switch (metric) {
+        case 'euclidean': {
+          const table = buildTable((q, c) => (q - c) * (q - c));
+          return code => 1 / (1 + Math.sqrt(lookup(table, code)));
+        }
+        case 'manhattan': {
+          const table = buildTable((q, c) => Math.abs(q - c));
+          return code => 1 / (1 + lookup(table, code));
+        }
+        case 'dot': {
+          const table = buildTable((q, c) => q * c);
+          return code => lookup(table, code);
+        }
+        case 'cosine': {
+          const dots = buildTable((q, c) => q * c);
+          const norms = buildTable((q, c) => c * c);
+          let queryNorm = 0;
+          for (let i = 0; i < query.length; i++) queryNorm += query[i] * query[i];
+          queryNorm = Math.sqrt(queryNorm);
+
+          return code => {
+            const norm = Math.sqrt(lookup(norms, code));
+            if (queryNorm === 0 || norm === 0) return 0;
+            return lookup(dots, code) / (queryNorm * norm);
+          };
+        }
+        default: {
+          const scratch = new Float32Array(this.dimensions);
+          return code => similarityFn(query, this.decode(code, scratch));
+        }
+      }
+    }
+
+    /** @returns {Object} Serializable parameters */
+    toJSON() {
+      return {
+        type: 'pq',
+        m: this.m,
+        nbits: this.nbits,
+        centroidCount: this.centroidCount,
+        codebooks: Array.from(this.codebooks)
+      };
+    }
+
+    /**
+     * Restore parameters produced by `toJSON()`
+     * @param {Object} data - Serialized parameters
+     */
+    load(data) {
+      this.centroidCount = data.centroidCount;
+      this.codebooks = Float32Array.from(data.codebooks);
+      this.trained = true;
+    }
+  }
+
+  /**
+   * Cluster points with Lloyd's k-means under squared Euclidean distance,
+   * seeded with k-means++
+   * @param {Float32Array[]} points - Points to cluster
+   * @param {number} k - Number of centroids (at most the number of points)
+   * @param {number} iterations - Maximum number of iterations
+   * @param {Function} random - Random number generator
+   * @returns {Float32Array[]} Centroids
+   */
+  function kMeansL2(points, k, iterations, random) {
+    const dim = points[0].length;
+    const squaredDistance = (a, b) => {
+      let d = 0;
+      for (let i = 0; i < dim; i++) {
+        const diff = a[i] - b[i];
+        d += diff * diff;
+      }
+      return d;
+    };
+
+    // k-means++ seeding: pick each new centroid with probability proportional to D(x)^2
+    const centroids = [Float32Array.from(points[Math.floor(random() * points.length)])];
+    const nearest = points.map(p => squaredDistance(p, centroids[0]));
+    while (centroids.length < k) {
+      const total = nearest.reduce((sum, d) => sum + d, 0);
+      let target = random() * total;
+      let chosen = 0;
+      for (; chosen < points.length - 1; chosen++) {
+        target -= nearest[chosen];
+        if (target <= 0) break;
+      }
+      const centroid = Float32Array.from(points[chosen]);
+      centroids.push(centroid);
+      points.forEach((p, i) => {
+        nearest[i] = Math.min(nearest[i], squaredDistance(p, centroid));
+      });
+    }
+
+    const assignments = new Int32Array(points.length).fill(-1);
+    for (let iter = 0; iter < iterations; iter++) {
+      let changed = false;
+
+      points.forEach((p, i) => {
+        let best = 0;
+        let bestDistance = Infinity;
+        centroids.forEach((c, j) => {
+          const d = squaredDistance(p, c);
+          if (d < bestDistance) {
+            bestDistance = d;
+            best = j;
+          }
+        });
+        if (assignments[i] !== best) {
+          assignments[i] = best;
+          changed = true;
+        }
+      });
+
+      if (!changed) break;
+
+      // Move each centroid to the mean of its points; empty centroids stay put
+      const sums = centroids.map(() => new Float64Array(dim));
+      const counts = new Int32Array(k);
+      points.forEach((p, i) => {
+        const a = assignments[i];
+        counts[a]++;
+        for (let d = 0; d < dim; d++) sums[a][d] += p[d];
+      });
+      centroids.forEach((c, j) => {
+        if (counts[j] > 0) {
+          for (let d = 0; d < dim; d++) c[d] = sums[j][d] / counts[j];
+        }
+      });
+    }
+
+    return centroids;
+  }
+
+  /**
+   * Enhanced vector store with clustering capabilities
+   */
+  class atomicVDB {
+    /**
+     * Create a new clustered vector store
+     * @param {atomicVDBOptions} [options] - Configuration options
+     */
+    constructor(options = {}) {
+      const metric = resolveSimilarity(options);
+      
+      this.options = {
+        similarity: metric.name,
+        similarityFn: metric.fn,
+        clusterThreshold: options.clusterThreshold ?? 0.85,
+        dynamicClustering: options.dynamicClustering ?? true,
+        recalculateCenters: options.recalculateCenters ?? true,
+        maxClusters: options.maxClusters ?? (options.hierarchy ? Infinity : 100),
+        indexType: options.indexType ?? 'clusters',
+        nProbe: options.nProbe ?? null,
+        minClustersToProbe: options.minClustersToProbe ?? 1,
+        vectorType: options.vectorType ?? 'float32'
+      };
+      
+      if (this.options.vectorType === 'float16' || this.options.vectorType === 'int8') {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Vector type ${this.options.vectorType} is only supported by exportBinary(); use the quantization option for compact in-memory vectors`);
+      }
+      if (!VECTOR_TYPES[this.options.vectorType]) {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Unknown vector type: ${this.options.vectorType}`);
+      }
+      
+      if (options.quantization) {
+        const { type, m, nbits = 8, keepVectors = true, rerank = true, rerankFactor = 4 } = options.quantization;
+        if (type !== 'sq8' && type !== 'pq') {
+          throw new atomicVDBError('INVALID_ARGUMENT', `Unknown quantization type: ${type}`);
+        }
+        this.options.quantization = type === 'pq'
+          ? { type, m, nbits, keepVectors, rerank, rerankFactor }
+          : { type, keepVectors, rerank, rerankFactor };
+      }
+      
+      if (options.maxVectors != null) {
+        if (!Number.isInteger(options.maxVectors) || options.maxVectors < 1) {
+          throw new atomicVDBError('INVALID_ARGUMENT', 'maxVectors must be a positive integer');
+        }
+        this.options.maxVectors = options.maxVectors;
+        this.options.eviction = options.eviction ?? 'fifo';
+        this.options.priorityField = options.priorityField ?? 'priority';
+        
+        if (!['fifo', 'lru', 'priority'].includes(this.options.eviction)) {
+          throw new atomicVDBError('INVALID_ARGUMENT', `Unknown eviction policy: ${this.options.eviction}`);
+        }
+      }
+      
+      if (options.autoMaintain) {
+        const { maxRadius = null, maxSize = null, minSize = null, mergeSimilarity = null } = options.autoMaintain;
+        this.options.autoMaintain = { maxRadius, maxSize, minSize, mergeSimilarity };
+      }
+      
+      if (options.workers) {
+        const size = typeof options.workers === 'number' ? options.workers : options.workers.size ?? WorkerPool.defaultSize();
+        if (!Number.isInteger(size) || size < 1) {
+          throw new atomicVDBError('INVALID_ARGUMENT', 'workers must be a positive integer');
+        }
+        WorkerPool.checkSource(this.options.similarityFn);
+        this.options.workers = { size };
+      }
+      
+      if (options.changeLog) {
+        const maxRecords = options.changeLog.maxRecords ?? 10000;
+        if (!Number.isInteger(maxRecords) || maxRecords < 1) {
+          throw new atomicVDBError('INVALID_ARGUMENT', 'changeLog.maxRecords must be a positive integer');
+        }
+        this.options.changeLog = { maxRecords };
+      }
+      
+      if (this.options.indexType !== 'clusters' && this.options.indexType !== 'hnsw') {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Unknown index type: ${this.options.indexType}`);
+      }
+      
+      /** @type {Function} Converts a similarity score into a distance */
+      this._toDistance = metric.toDistance;
+      
+      /** @type {Function|null} Bounds member similarity from center similarity and radius; null when the metric can't */
+      this._maxSimilarity = metric.maxSimilarity || null;
+      
+      /** @type {Cluster[]} */
+      this.clusters = [];
+      
+      /** @type {Object.<string, VectorEntry>} */
+      this.vectorIndex = {};
+      
+      /** @type {Object.<string, string>} */
+      this.vectorToCluster = {};
+      
+      /** @type {number|null} Fixed by the `dimensions` option or the first vector */
+      this.dimensions = options.dimensions ?? null;
+      if (this.dimensions !== null && (!Number.isInteger(this.dimensions) || this.dimensions < 1)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'dimensions must be a positive integer');
+      }
+      
+      /** @type {VectorArena|null} Created once the dimensions are known */
+      this.arena = null;
+      
+      /** @type {Quantizer|null} Created by `trainQuantizer()` */
+      this.quantizer = null;
+      
+      /** @type {Object|null} Persistence adapter attached by `atomicVDB.open()` */
+      this.storage = null;
+      this._storageState = null;
+      
+      // Write-ahead log bookkeeping: nesting depth of logged calls and the IDs
+      // generated (or, during replay, to be reused) by the current call
+      this._walDepth = 0;
+      this._generatedIds = null;
+      this._replayIds = null;
+      
+      /** @type {number} Sequence number of the latest change recorded with the `changeLog` option */
+      this.changeSeq = 0;
+      
+      /** @type {string} Identifies this instance as the origin of the changes it records */
+      this.replicaId = uuid();
+      
+      // Change journal for exportChanges(): serialized records, the last sequence
+      // number no longer retained, the highest one handed out, metadata version
+      // stamps by entry ID and the latest change applied from each origin
+      this._changeLog = this.options.changeLog
+        ? { records: [], floor: 0, exportedSeq: 0, stamps: new Map(), applied: new Map() }
+        : null;
+      
+      /** @type {Object.<string, MetadataIndex>} */
+      this.indexes = {};
+      
+      /** @type {Map<string, Object>} Point-in-time states captured by `snapshot()` */
+      this._snapshots = new Map();
+      
+      /** @type {Map<string, true>} Entry IDs, oldest first (least recently used first under `lru` eviction) */
+      this._accessOrder = new Map();
+      
+      /** @type {WorkerPool|null} Started by the first async search or recluster when `workers` is set */
+      this._pool = null;
+      
+      /** @type {HNSWIndex|null} */
+      this.hnsw = null;
+      if (this.options.indexType === 'hnsw') {
+        this.options.hnsw = {
+          M: options.hnsw?.M ?? 16,
+          efConstruction: options.hnsw?.efConstruction ?? 200,
+          ef: options.hnsw?.ef ?? 50
+        };
+        this.hnsw = new HNSWIndex(this.options.hnsw, this.options.similarityFn);
+      }
+      
+      /** @type {TextIndex|null} */
+      this.textIndex = null;
+      if (options.textFields && options.textFields.length > 0) {
+        this.options.textFields = [...options.textFields];
+        this.textIndex = new TextIndex(this.options.textFields);
+      }
+      
+      if (options.embedder) {
+        this.options.embedder = resolveEmbedder(options.embedder);
+        const { batchSize = 64, cacheSize = 1000, textField = 'text' } = options.embedding || {};
+        this.options.embedding = { batchSize, cacheSize, textField };
+        
+        if (this.dimensions === null && Number.isInteger(this.options.embedder.dimensions)) {
+          this.dimensions = this.options.embedder.dimensions;
+        }
+      }
+      
+      /** @type {Map<string, ArrayLike<number>>} Recent embeddings by text, least recently used first */
+      this._embedCache = new Map();
+      
+      /** @type {ClusterTree|null} */
+      this.clusterTree = null;
+      if (options.hierarchy) {
+        this.options.hierarchy = {
+          branching: options.hierarchy.branching ?? 32,
+          beamWidth: options.hierarchy.beamWidth ?? 4
+        };
+        if (this.options.hierarchy.branching < 2) {
+          throw new atomicVDBError('INVALID_ARGUMENT', 'hierarchy.branching must be at least 2');
+        }
+        this.clusterTree = new ClusterTree(this.options.hierarchy, this.options.similarityFn);
+      }
+    }
+  
+    /**
+     * Add a new cluster with the given vector as its center
+     * @param {number[]|Float32Array|Float64Array} initialVector - Vector to use as the cluster center
+     * @param {Object} [metadata] - Optional metadata for the initial vector
+     * @returns {string} ID of the new cluster
+     */
+    addCluster(initialVector, metadata = null) {
+      if (this._shouldLog()) return this._logged('addCluster', [initialVector, metadata], () => this.addCluster(initialVector, metadata));
+      
+      this._validateVector(initialVector);
+      
+      // Check if we've exceeded the maximum cluster limit
+      if (this.clusters.length >= this.options.maxClusters) {
+        throw new atomicVDBError('LIMIT_EXCEEDED', `Maximum number of clusters (${this.options.maxClusters}) reached`);
+      }
+      
+      // Set dimensions if this is the first vector
+      if (this.dimensions === null) {
+        this.dimensions = initialVector.length;
+      }
+      
+      const entry = this._createEntry(this._newId(), initialVector, metadata);
+      this._registerEntry(entry);
+      
+      return this._createCluster(entry).id;
+    }
+  
+    /**
+     * Insert a vector into the store
+     * @param {number[]|Float32Array|Float64Array} vector - The vector to insert
+     * @param {Object} [metadata] - Optional metadata to associate with the vector
+     * @param {Object} [options] - Insert options
+     * @param {string} [options.id] - ID for the entry (generated when omitted); must not already exist
+     * @param {number} [options.ttl] - Time to live in milliseconds
+     * @param {number} [options.expiresAt] - Expiry time in milliseconds since the epoch (instead of `ttl`)
+     * @returns {string} ID of the vector entry
+     */
+    insert(vector, metadata = null, options = {}) {
+      // Fix the expiry time now so that log replay doesn't extend it
+      options = this._resolveExpiry(options);
+      if (this._shouldLog()) {
+        const id = this._logged('insert', [vector, metadata, options], () => this.insert(vector, metadata, options));
+        this._enforceCapacity();
+        return id;
+      }
+      
+      // Validate vector and ID before changing anything
+      this._validateVector(vector);
+      if (options.id !== undefined) this._validateNewId(options.id);
+      
+      // Find the cluster the vector belongs to (null means a new cluster)
+      const cluster = this._chooseCluster(vector);
+      
+      // Set dimensions if this is the first vector
+      if (this.dimensions === null) {
+        this.dimensions = vector.length;
+      }
+      
+      const entry = this._createEntry(options.id ?? this._newId(), vector, metadata, options.expiresAt);
+      
+      // Store the vector in the index
+      this._registerEntry(entry);
+      
+      const clusterId = cluster ? cluster.id : this._createCluster(entry).id;
+      if (cluster) this._joinCluster(entry, cluster);
+      
+      this._autoMaintain([clusterId], ['merge', 'split']);
+      this._enforceCapacity();
+      return entry.id;
+    }
+  
+    /**
+     * Insert a vector under the given ID, or replace the vector and metadata
+     * of the entry that already has it
+     * @param {string} id - Entry ID
+     * @param {number[]|Float32Array|Float64Array} vector - The vector
+     * @param {Object} [metadata] - Metadata for the entry
+     * @param {Object} [options] - Expiry options, as for `insert()`; an existing entry keeps its expiry unless one is given
+     * @returns {string} The entry ID
+     */
+    upsert(id, vector, metadata = null, options = {}) {
+      options = this._resolveExpiry(options);
+      if (this._shouldLog()) {
+        this._logged('upsert', [id, vector, metadata, options], () => this.upsert(id, vector, metadata, options));
+        this._enforceCapacity();
+        return id;
+      }
+      
+      if (!this.vectorIndex[id]) {
+        return this.insert(vector, metadata, { ...options, id });
+      }
+      
+      this.updateVector(id, vector);
+      this.updateMetadata(id, metadata);
+      if (options.expiresAt !== undefined) {
+        this.vectorIndex[id].expiresAt = options.expiresAt;
+      }
+      return id;
+    }
+  
+    /**
+     * Turn a `ttl` option into an absolute `expiresAt`
+     * @param {Object} options - Insert options
+     * @returns {Object} Options with `expiresAt` set if either was given
+     * @private
+     */
+    _resolveExpiry(options) {
+      const { ttl, ...rest } = options;
+      if (ttl === undefined) return options;
+      
+      if (typeof ttl !== 'number' || !(ttl >= 0)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'ttl must be a non-negative number of milliseconds');
+      }
+      return { ...rest, expiresAt: Date.now() + ttl };
+    }
+  
+    /**
+     * Whether an entry has expired
+     * @param {VectorEntry} entry - The entry
+     * @param {number} [time] - Current time in milliseconds
+     * @returns {boolean} Whether it has expired
+     * @private
+     */
+    _isExpired(entry, time = Date.now()) {
+      return entry.expiresAt !== undefined && entry.expiresAt !== null && entry.expiresAt <= time;
+    }
+  
+    /**
+     * Remove every expired entry, updating cluster centers and radii and
+     * dropping empty clusters as `removeVector()` does. Searches also skip
+     * and remove expired entries they come across.
+     * @returns {number} Number of entries removed
+     */
+    purgeExpired() {
+      const time = Date.now();
+      let removed = 0;
+      
+      for (const entry of Object.values(this.vectorIndex)) {
+        if (this._isExpired(entry, time) && this.removeVector(entry.id)) removed++;
+      }
+      
+      return removed;
+    }
+  
+    /**
+     * Evict entries until the store is within `maxVectors`: expired entries
+     * first, then according to the eviction policy. Evictions are separate
+     * logged removals, so they are skipped inside logged calls and replay.
+     * @private
+     */
+    _enforceCapacity() {
+      const { maxVectors, eviction, priorityField } = this.options;
+      if (!maxVectors || this._walDepth > 0 || this._replayIds) return;
+      if (this._accessOrder.size <= maxVectors) return;
+      
+      this.purgeExpired();
+      
+      let excess = this._accessOrder.size - maxVectors;
+      if (excess <= 0) return;
+      
+      let victims;
+      if (eviction === 'priority') {
+        // Lowest priority first; ties go to the oldest entry
+        const ranked = [...this._accessOrder.keys()].map((id, order) => {
+          const priority = getFieldValue(this.vectorIndex[id].metadata, priorityField);
+          return { id, order, priority: typeof priority === 'number' ? priority : 0 };
+        });
+        ranked.sort((a, b) => a.priority - b.priority || a.order - b.order);
+        victims = ranked.slice(0, excess).map(r => r.id);
+      } else {
+        // Oldest inserted (fifo) or least recently used (lru) first
+        victims = [];
+        for (const id of this._accessOrder.keys()) {
+          if (excess-- <= 0) break;
+          victims.push(id);
+        }
+      }
+      
+      for (const id of victims) {
+        this.removeVector(id);
+      }
+    }
+  
+    /**
+     * Record that entries were returned by a search (for `lru` eviction)
+     * @param {SearchResult[]} results - Search results
+     * @private
+     */
+    _touch(results) {
+      if (this.options.eviction !== 'lru') return;
+      
+      for (const { entry } of results) {
+        if (this._accessOrder.delete(entry.id)) this._accessOrder.set(entry.id, true);
+      }
+    }
+  
+    /**
+     * Replace an entry's vector. The entry is re-assigned to the closest
+     * cluster; centers and radii of the clusters it leaves and joins are
+     * updated.
+     * @param {string} id - The ID of the vector to update
+     * @param {number[]|Float32Array|Float64Array} vector - The new vector
+     * @returns {boolean} Whether the vector was successfully updated
+     */
+    updateVector(id, vector) {
+      if (this._shouldLog()) return this._logged('updateVector', [id, vector], () => this.updateVector(id, vector));
+      
+      const entry = this.vectorIndex[id];
+      if (!entry) return false;
+      
+      this._validateVector(vector);
+      
+      // Leave the current cluster first so its center no longer reflects the old vector
+      const previous = this.getClusterById(this.vectorToCluster[id]);
+      if (previous) {
+        this._leaveCluster(entry, previous);
+        this._autoMaintain([previous.id], ['dissolve', 'merge']);
+      }
+      
+      if (this.arena) this.arena.release(entry.vector);
+      this._setEntryVector(entry, vector);
+      if (this.hnsw) {
+        this.hnsw.remove(id);
+        this.hnsw.insert(id, entry.vector);
+      }
+      
+      // Moving never fails: at the cluster limit the entry joins its nearest cluster
+      const cluster = this._chooseCluster(vector, { force: true });
+      const clusterId = cluster ? cluster.id : this._createCluster(entry).id;
+      if (cluster) this._joinCluster(entry, cluster);
+      
+      this._autoMaintain([clusterId], ['merge', 'split']);
+      return true;
+    }
+  
+    /**
+     * Check that a caller-supplied entry ID is a non-empty string not already in use
+     * @param {*} id - The ID to check
+     * @private
+     */
+    _validateNewId(id) {
+      if (typeof id !== 'string' || id.length === 0) {
+        throw new atomicVDBError('INVALID_ID', 'Vector ID must be a non-empty string');
+      }
+      if (this.vectorIndex[id]) {
+        throw new atomicVDBError('DUPLICATE_ID', `Vector with ID "${id}" already exists`);
+      }
+    }
+  
+    /**
+     * Decide which cluster a vector should join
+     * @param {ArrayLike<number>} vector - The vector
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.force=false] - Join the nearest cluster instead of throwing when a new cluster is needed but `maxClusters` is reached
+     * @returns {Cluster|null} The cluster to join, or null to start a new one
+     * @private
+     */
+    _chooseCluster(vector, options = {}) {
+      const { cluster, similarity } = this._nearestCluster(vector);
+      if (!cluster) return null;
+      
+      if (similarity >= this.options.clusterThreshold || !this.options.dynamicClustering) {
+        // Join the closest cluster (forced when dynamic clustering is disabled)
+        return cluster;
+      }
+      
+      if (this.clusters.length >= this.options.maxClusters) {
+        if (options.force) return cluster;
+        throw new atomicVDBError('LIMIT_EXCEEDED', `Maximum number of clusters (${this.options.maxClusters}) reached`);
+      }
+      
+      return null;
+    }
+  
+    /**
+     * Add an entry to a cluster and update the cluster's center and radius
+     * @param {VectorEntry} entry - The entry
+     * @param {Cluster} cluster - The cluster to join
+     * @private
+     */
+    _joinCluster(entry, cluster) {
+      cluster.members.push(entry);
+      this.vectorToCluster[entry.id] = cluster.id;
+      
+      // Update the cluster center if configured to do so
+      if (this.options.recalculateCenters) {
+        cluster.center = this._recalculateCenter(cluster);
+      }
+      
+      // Update cluster radius
+      this._updateClusterRadius(cluster);
+      if (this.clusterTree) this.clusterTree.update(cluster);
+    }
+  
+    /**
+     * Take an entry out of its cluster, updating the cluster's center and
+     * radius or removing the cluster once it is empty
+     * @param {VectorEntry} entry - The entry
+     * @param {Cluster} cluster - The entry's cluster
+     * @private
+     */
+    _leaveCluster(entry, cluster) {
+      cluster.members = cluster.members.filter(m => m.id !== entry.id);
+      delete this.vectorToCluster[entry.id];
+      
+      if (cluster.members.length > 0) {
+        if (this.options.recalculateCenters) {
+          cluster.center = this._recalculateCenter(cluster);
+        }
+        this._updateClusterRadius(cluster);
+        if (this.clusterTree) this.clusterTree.update(cluster);
+      } else {
+        // Remove empty cluster
+        this.clusters = this.clusters.filter(c => c.id !== cluster.id);
+        if (this.clusterTree) this.clusterTree.remove(cluster);
+      }
+    }
+  
+    /**
+     * Check that a vector is a non-empty numeric array matching the store's dimensions
+     * @param {*} vector - The vector to check
+     * @param {number|null} [dimensions] - Expected length (defaults to the store's dimensions)
+     * @private
+     */
+    _validateVector(vector, dimensions = this.dimensions) {
+      if (!isVectorLike(vector) || vector.length === 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Vector must be a non-empty array of numbers');
+      }
+      
+      for (let i = 0; i < vector.length; i++) {
+        if (typeof vector[i] !== 'number' || isNaN(vector[i])) {
+          throw new atomicVDBError('INVALID_ARGUMENT', `Invalid vector: element at index ${i} is not a number`);
+        }
+      }
+      
+      if (dimensions !== null && vector.length !== dimensions) {
+        throw new atomicVDBError('DIMENSION_MISMATCH', `Vector dimension mismatch: expected ${dimensions}, got ${vector.length}`);
+      }
+    }
+  
+    /**
+     * Add a new entry to the vector index, secondary indexes and HNSW graph
+     * @param {VectorEntry} entry - The entry
+     * @private
+     */
+    _registerEntry(entry) {
+      this.vectorIndex[entry.id] = entry;
+      this._accessOrder.set(entry.id, true);
+      this._indexEntry(entry);
+      if (this.hnsw) this.hnsw.insert(entry.id, entry.vector);
+    }
+  
+    /**
+     * Create a cluster whose only member (and center) is the given entry
+     * @param {VectorEntry} entry - An entry that belongs to no cluster yet
+     * @returns {Cluster} The new cluster
+     * @private
+     */
+    _createCluster(entry) {
+      const cluster = {
+        id: this._newId(),
+        center: this._newCenter(entry.vector),
+        members: [entry],
+        radius: 0
+      };
+      
+      this.clusters.push(cluster);
+      this.vectorToCluster[entry.id] = cluster.id;
+      if (this.clusterTree) this.clusterTree.add(cluster);
+      return cluster;
+    }
+  
+    /**
+     * Find the cluster whose center is most similar to a vector, descending
+     * the cluster tree when there is one
+     * @param {ArrayLike<number>} vector - The vector
+     * @returns {{cluster: Cluster|null, similarity: number}} The cluster (null if there are none) and its similarity
+     * @private
+     */
+    _nearestCluster(vector) {
+      if (this.clusterTree) {
+        const [best] = this.clusterTree.search(vector);
+        return best || { cluster: null, similarity: -Infinity };
+      }
+      
+      const { index, similarity } = this._nearestCenter(vector, this.clusters.map(c => c.center));
+      return { cluster: index === -1 ? null : this.clusters[index], similarity };
+    }
+  
+    /**
+     * Find the cluster center most similar to a vector
+     * @param {ArrayLike<number>} vector - The vector
+     * @param {ArrayLike<number>[]} centers - Candidate centers
+     * @returns {{index: number, similarity: number}} Index of the best center (-1 if none) and its similarity
+     * @private
+     */
+    _nearestCenter(vector, centers) {
+      let index = -1;
+      let similarity = -Infinity;
+      
+      for (let i = 0; i < centers.length; i++) {
+        const s = this.options.similarityFn(vector, centers[i]);
+        if (s > similarity) {
+          similarity = s;
+          index = i;
+        }
+      }
+      
+      return { index, similarity };
+    }
+  
+    /**
+     * Insert many vectors at once. Every item is validated before anything is
+     * inserted, centers and radii are updated once per batch rather than once
+     * per vector, and when `maxClusters` is reached vectors join their nearest
+     * cluster instead of failing.
+     * @param {Array<{vector: number[], metadata?: Object, id?: string, ttl?: number, expiresAt?: number}|number[]>} items - Vectors, or objects
+     *   with a vector and optional metadata, ID and expiry (as for `insert()`)
+     * @param {Object} [options] - Insert options
+     * @param {number} [options.batchSize=1000] - Number of vectors placed between center updates
+     * @param {Function} [options.onProgress] - Called after each batch with `{inserted, total}`
+     * @returns {string[]} IDs of the new entries, in input order
+     */
+    insertMany(items, options = {}) {
+      if (!Array.isArray(items)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'insertMany requires an array of items');
+      }
+      
+      // Fix expiry times now so that log replay doesn't extend them
+      if (items.some(item => item && item.ttl !== undefined)) {
+        items = items.map(item => (item && item.ttl !== undefined
+          ? { ...item, ...this._resolveExpiry({ ttl: item.ttl }), ttl: undefined }
+          : item));
+      }
+      if (this._shouldLog()) {
+        const ids = this._logged('insertMany', [items, options], () => this.insertMany(items, options));
+        this._enforceCapacity();
+        return ids;
+      }
+      
+      const { batchSize = 1000, onProgress = null } = options;
+      
+      const normalized = items.map(item => (isVectorLike(item)
+        ? { vector: item, metadata: null, id: undefined, expiresAt: undefined }
+        : {
+          vector: item && item.vector,
+          metadata: (item && item.metadata) ?? null,
+          id: item && item.id,
+          expiresAt: item && item.expiresAt
+        }));
+      
+      // Validate everything up front so a bad item can't leave a partial insert
+      const dimensions = this.dimensions ?? (normalized.length > 0 && isVectorLike(normalized[0].vector) ? normalized[0].vector.length : null);
+      const seen = new Set();
+      normalized.forEach(({ vector, id }, i) => {
+        try {
+          this._validateVector(vector, dimensions);
+          if (id !== undefined) {
+            this._validateNewId(id);
+            if (seen.has(id)) throw new atomicVDBError('INVALID_ID', `Vector with ID "${id}" appears more than once`);
+            seen.add(id);
+          }
+        } catch (err) {
+          const message = `Item ${i}: ${err.message}`;
+          throw err instanceof atomicVDBError ? new atomicVDBError(err.code, message) : new Error(message);
+        }
+      });
+      
+      if (normalized.length === 0) return [];
+      this.dimensions = dimensions;
+      
+      const ids = [];
+      for (let start = 0; start < normalized.length; start += batchSize) {
+        const touched = new Set();
+        
+        for (const { vector, metadata, id, expiresAt } of normalized.slice(start, start + batchSize)) {
+          const entry = this._createEntry(id ?? this._newId(), vector, metadata, expiresAt);
+          this._registerEntry(entry);
+          ids.push(entry.id);
+          
+          const cluster = this._chooseCluster(vector, { force: true });
+          if (!cluster) {
+            touched.add(this._createCluster(entry));
+          } else {
+            cluster.members.push(entry);
+            this.vectorToCluster[entry.id] = cluster.id;
+            touched.add(cluster);
+          }
+        }
+        
+        for (const cluster of touched) {
+          if (cluster.members.length === 1) continue; // Created in this batch; center and radius are exact
+          if (this.options.recalculateCenters) {
+            cluster.center = this._recalculateCenter(cluster);
+          }
+          this._updateClusterRadius(cluster);
+          if (this.clusterTree) this.clusterTree.update(cluster);
+        }
+        this._autoMaintain([...touched].map(c => c.id), ['merge', 'split']);
+        
+        if (onProgress) {
+          onProgress({ inserted: ids.length, total: normalized.length });
+        }
+      }
+      
+      this._enforceCapacity();
+      return ids;
+    }
+  
+    /**
+     * Embed texts with the store's embedder. Texts are sent in batches of
+     * `embedding.batchSize`, and recently embedded texts come from a cache.
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<ArrayLike<number>[]>} One vector per text
+     */
+    async embed(texts) {
+      const embedder = this.options.embedder;
+      if (!embedder) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'No embedder configured; pass the embedder option');
+      }
+      if (!Array.isArray(texts) || texts.some(text => typeof text !== 'string')) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'embed requires an array of strings');
+      }
+      
+      const { batchSize, cacheSize } = this.options.embedding;
+      const cache = this._embedCache;
+      const missing = [...new Set(texts.filter(text => !cache.has(text)))];
+      const computed = new Map();
+      
+      for (let start = 0; start < missing.length; start += batchSize) {
+        const batch = missing.slice(start, start + batchSize);
+        const vectors = await embedder.embed(batch);
+        if (!Array.isArray(vectors) || vectors.length !== batch.length || !vectors.every(isVectorLike)) {
+          throw new Error(`Embedder returned ${Array.isArray(vectors) ? vectors.length : 'no'} vectors for ${batch.length} texts`);
+        }
+        batch.forEach((text, i) => computed.set(text, vectors[i]));
+      }
+      
+      const results = texts.map(text => {
+        const vector = computed.get(text) ?? cache.get(text);
+        
+        // Refresh the text's place in the cache, dropping the least recently used
+        cache.delete(text);
+        if (cacheSize > 0) cache.set(text, vector);
+        return vector;
+      });
+      while (cache.size > cacheSize) {
+        cache.delete(cache.keys().next().value);
+      }
+      
+      return results;
+    }
+  
+    /**
+     * Embed a text and insert it; the text is kept in the entry's metadata
+     * under `embedding.textField`
+     * @param {string} text - Text to insert
+     * @param {Object} [metadata] - Optional metadata
+     * @param {Object} [options] - Insert options, as for `insert()`
+     * @returns {Promise<string>} ID of the vector entry
+     */
+    async insertText(text, metadata = null, options = {}) {
+      const [id] = await this.insertTexts([{ text, metadata, ...options }]);
+      return id;
+    }
+  
+    /**
+     * Embed several texts and insert them with `insertMany()`
+     * @param {Array<string|{text: string, metadata?: Object, id?: string, ttl?: number, expiresAt?: number}>} items - Texts, or objects
+     *   with a text and optional metadata, ID and expiry
+     * @param {Object} [options] - Options passed to `insertMany()`
+     * @returns {Promise<string[]>} IDs of the new entries, in input order
+     */
+    async insertTexts(items, options = {}) {
+      if (!Array.isArray(items)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'insertTexts requires an array of items');
+      }
+      
+      const normalized = items.map(item => (typeof item === 'string' ? { text: item } : item || {}));
+      normalized.forEach(({ text }, i) => {
+        if (typeof text !== 'string') throw new atomicVDBError('INVALID_ARGUMENT', `Item ${i}: text must be a string`);
+      });
+      
+      const vectors = await this.embed(normalized.map(item => item.text));
+      const { textField } = this.options.embedding;
+      
+      return this.insertMany(normalized.map(({ text, metadata = null, ...rest }, i) => ({
+        ...rest,
+        vector: vectors[i],
+        metadata: { ...metadata, [textField]: text }
+      })), options);
+    }
+  
+    /**
+     * Split a document with `chunkText()` and insert every chunk. Each
+     * chunk's metadata holds the document metadata, its text and
+     * `chunk: {index, start, end}`; put a document ID in the metadata to
+     * group results by document.
+     * @param {string} text - Document text
+     * @param {Object} [metadata] - Metadata shared by all chunks
+     * @param {Object} [options] - Chunking options
+     * @param {number} [options.size=1000] - Maximum chunk length in characters
+     * @param {number} [options.overlap=100] - Characters repeated at the start of the next chunk
+     * @returns {Promise<string[]>} IDs of the chunk entries, in document order
+     */
+    async insertDocument(text, metadata = null, options = {}) {
+      const chunks = chunkText(text, options);
+      return this.insertTexts(chunks.map(({ text: chunk, index, start, end }) => ({
+        text: chunk,
+        metadata: { ...metadata, chunk: { index, start, end } }
+      })));
+    }
+  
+    /**
+     * Rebuild every cluster from scratch with k-means, replacing the greedy
+     * insertion-order clustering. Cluster IDs change; entries are unaffected.
+     * Entries are visited in ID order, so replicas with the same contents
+     * and seed get the same clusters.
+     * @param {Object} [options] - Clustering options
+     * @param {number} [options.k] - Number of clusters (defaults to the current count; capped by the number of vectors)
+     * @param {'kmeans++'|'minibatch'} [options.algorithm='kmeans++'] - Full Lloyd iterations, or mini-batch updates for large stores
+     * @param {number} [options.maxIterations=25] - Maximum number of iterations
+     * @param {number} [options.batchSize=256] - Vectors sampled per mini-batch iteration
+     * @param {number} [options.seed] - Seed for deterministic results
+     * @param {Function} [options.onProgress] - Called with `{phase, iteration, maxIterations, changed}` as the run advances
+     * @returns {{k: number, iterations: number, converged: boolean}} Summary of the run
+     */
+    recluster(options = {}) {
+      // Pin the seed before logging so that replay reproduces the same clusters
+      if (options.seed === undefined) {
+        options = { ...options, seed: Math.floor(Math.random() * 0x100000000) };
+      }
+      if (this._shouldLog()) return this._logged('recluster', [options], () => this.recluster(options));
+      
+      const run = this._startRecluster(options);
+      if (!run) return { k: 0, iterations: 0, converged: true };
+      
+      if (run.algorithm === 'kmeans++') {
+        // Lloyd's algorithm: assign everything, then move centers to their members' mean
+        while (run.iterations < run.maxIterations) {
+          const nearest = Int32Array.from(run.vectors, vector => this._nearestCenter(vector, run.centers).index);
+          if (this._lloydStep(run, nearest)) break;
+        }
+      } else {
+        this._miniBatchUpdate(run);
+        run.assignments = Int32Array.from(run.vectors, vector => this._nearestCenter(vector, run.centers).index);
+      }
+      
+      return this._finishRecluster(run);
+    }
+  
+    /**
+     * Re-cluster like `recluster()`, computing assignments on the worker
+     * pool. Produces the same clusters as `recluster()` with the same seed;
+     * without the `workers` option it runs synchronously.
+     * @param {Object} [options] - Clustering options, as for `recluster()`
+     * @returns {Promise<{k: number, iterations: number, converged: boolean}>} Summary of the run; rejects if the store
+     *   was modified while it ran
+     */
+    async reclusterAsync(options = {}) {
+      if (options.seed === undefined) {
+        options = { ...options, seed: Math.floor(Math.random() * 0x100000000) };
+      }
+      
+      const pool = await this._workerPool();
+      const run = pool ? this._startRecluster(options) : null;
+      if (!run) return this.recluster(options);
+      
+      if (run.algorithm === 'kmeans++') {
+        while (run.iterations < run.maxIterations) {
+          const nearest = await pool.assign(run.vectors, run.centers, this.arena);
+          if (this._lloydStep(run, nearest)) break;
+        }
+      } else {
+        this._miniBatchUpdate(run);
+        run.assignments = await pool.assign(run.vectors, run.centers, this.arena);
+      }
+      
+      // Entries are captured up front; any change since then invalidates the run
+      const unchanged = Object.keys(this.vectorIndex).length === run.entries.length &&
+        run.entries.every((entry, i) => this.vectorIndex[entry.id] === entry && entry.vector === run.vectors[i]);
+      if (!unchanged) {
+        throw new atomicVDBError('CONFLICT', 'The store was modified while reclusterAsync() was running');
+      }
+      
+      // Logged as a plain recluster, which replays to the same clusters
+      if (this._shouldLog()) return this._logged('recluster', [options], () => this._finishRecluster(run));
+      return this._finishRecluster(run);
+    }
+  
+    /**
+     * Validate re-clustering options and seed the initial centers
+     * @param {Object} options - Clustering options, as for `recluster()`
+     * @returns {Object|null} State of the run, or null if the store is empty
+     * @private
+     */
+    _startRecluster(options) {
+      const {
+        algorithm = 'kmeans++',
+        maxIterations = 25,
+        batchSize = 256,
+        seed,
+        onProgress = null
+      } = options;
+      
+      if (algorithm !== 'kmeans++' && algorithm !== 'minibatch') {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Unknown clustering algorithm: ${algorithm}`);
+      }
+      
+      // ID order, not insertion order, so replicas with the same contents recluster identically
+      const entries = Object.values(this.vectorIndex).sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+      if (entries.length === 0) return null;
+      
+      const k = Math.min(options.k ?? Math.max(1, this.clusters.length), entries.length);
+      if (!Number.isInteger(k) || k < 1) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'k must be a positive integer');
+      }
+      if (k > this.options.maxClusters) {
+        throw new atomicVDBError('LIMIT_EXCEEDED', `Maximum number of clusters (${this.options.maxClusters}) reached`);
+      }
+      
+      const random = createRandom(seed);
+      const vectors = entries.map(e => e.vector);
+      const centers = this._seedCenters(vectors, k, random);
+      if (onProgress) onProgress({ phase: 'init', iteration: 0, maxIterations, changed: vectors.length });
+      
+      return {
+        algorithm, maxIterations, batchSize, onProgress, random, entries, vectors, centers,
+        assignments: new Int32Array(vectors.length).fill(-1),
+        iterations: 0,
+        converged: false
+      };
+    }
+  
+    /**
+     * Apply one Lloyd iteration: take the new assignments, then move each
+     * center to its members' mean
+     * @param {Object} run - State from `_startRecluster()`
+     * @param {Int32Array} nearest - Index of the nearest center for each vector
+     * @returns {boolean} Whether the run has converged
+     * @private
+     */
+    _lloydStep(run, nearest) {
+      const { vectors, centers, assignments, onProgress, maxIterations } = run;
+      const dim = this.dimensions;
+      run.iterations++;
+      
+      let changed = 0;
+      for (let i = 0; i < vectors.length; i++) {
+        if (assignments[i] !== nearest[i]) {
+          assignments[i] = nearest[i];
+          changed++;
+        }
+      }
+      
+      if (onProgress) onProgress({ phase: 'iterate', iteration: run.iterations, maxIterations, changed });
+      if (changed === 0) {
+        run.converged = true;
+        return true;
+      }
+      
+      const sums = centers.map(() => new Float64Array(dim));
+      const counts = new Int32Array(centers.length);
+      vectors.forEach((vector, i) => {
+        const c = assignments[i];
+        counts[c]++;
+        for (let d = 0; d < dim; d++) sums[c][d] += vector[d];
+      });
+      centers.forEach((center, c) => {
+        if (counts[c] > 0) {
+          for (let d = 0; d < dim; d++) center[d] = sums[c][d] / counts[c];
+        }
+      });
+      return false;
+    }
+  
+    /**
+     * Mini-batch k-means: nudge centers toward sampled vectors with a decaying rate
+     * @param {Object} run - State from `_startRecluster()`
+     * @private
+     */
+    _miniBatchUpdate(run) {
+      const { vectors, centers, random, batchSize, maxIterations, onProgress } = run;
+      const dim = this.dimensions;
+      const counts = new Int32Array(centers.length);
+      
+      while (run.iterations < maxIterations) {
+        run.iterations++;
+        
+        for (let b = 0; b < batchSize; b++) {
+          const vector = vectors[Math.floor(random() * vectors.length)];
+          const { index } = this._nearestCenter(vector, centers);
+          counts[index]++;
+          const rate = 1 / counts[index];
+          for (let d = 0; d < dim; d++) {
+            centers[index][d] += rate * (vector[d] - centers[index][d]);
+          }
+        }
+        
+        if (onProgress) onProgress({ phase: 'iterate', iteration: run.iterations, maxIterations, changed: batchSize });
+      }
+    }
+  
+    /**
+     * Replace the clusters with those of a finished run
+     * @param {Object} run - State from `_startRecluster()` with final assignments
+     * @returns {{k: number, iterations: number, converged: boolean}} Summary of the run
+     * @private
+     */
+    _finishRecluster(run) {
+      const { entries, centers, assignments, iterations, converged, maxIterations, onProgress } = run;
+      
+      // Rebuild clusters, centers, radii and the vector-to-cluster map
+      const groups = centers.map(() => []);
+      entries.forEach((entry, i) => groups[assignments[i]].push(entry));
+      
+      this.clusters = [];
+      this.vectorToCluster = {};
+      for (const members of groups) {
+        if (members.length === 0) continue;
+        
+        const cluster = { id: this._newId(), center: null, members, radius: 0 };
+        cluster.center = this._recalculateCenter(cluster);
+        this._updateClusterRadius(cluster);
+        
+        this.clusters.push(cluster);
+        for (const member of members) {
+          this.vectorToCluster[member.id] = cluster.id;
+        }
+      }
+      
+      if (this.clusterTree) this.clusterTree.rebuild(this.clusters);
+      if (onProgress) onProgress({ phase: 'done', iteration: iterations, maxIterations, changed: 0 });
+      
+      return { k: this.clusters.length, iterations, converged };
+    }
+  
+    /**
+     * Choose initial k-means centers with k-means++: each new center is
+     * drawn with probability proportional to its squared distance (per the
+     * store's metric) from the nearest center chosen so far
+     * @param {ArrayLike<number>[]} vectors - Vectors to cluster
+     * @param {number} k - Number of centers
+     * @param {Function} random - Random number generator
+     * @returns {Float64Array[]} Initial centers
+     * @private
+     */
+    _seedCenters(vectors, k, random) {
+      const centers = [Float64Array.from(vectors[Math.floor(random() * vectors.length)])];
+      const nearest = vectors.map(v => this._distance(v, centers[0]) ** 2);
+      
+      while (centers.length < k) {
+        const total = nearest.reduce((sum, d) => sum + d, 0);
+        let chosen;
+        
+        if (total === 0) {
+          // Every vector coincides with a center; any choice is as good as another
+          chosen = Math.floor(random() * vectors.length);
+        } else {
+          let target = random() * total;
+          for (chosen = 0; chosen < vectors.length - 1; chosen++) {
+            target -= nearest[chosen];
+            if (target <= 0) break;
+          }
+        }
+        
+        const center = Float64Array.from(vectors[chosen]);
+        centers.push(center);
+        vectors.forEach((v, i) => {
+          nearest[i] = Math.min(nearest[i], this._distance(v, center) ** 2);
+        });
+      }
+      
+      return centers;
+    }
+  
+    /**
+     * Update the radius of a cluster. Metrics whose distances can be
+     * negative (such as `'dot'`) can have negative radii.
+     * @param {Cluster} cluster - The cluster to update
+     * @private
+     */
+    _updateClusterRadius(cluster) {
+      let maxDistance = cluster.members.length > 0 ? -Infinity : 0;
+      
+      for (const member of cluster.members) {
+        // Calculate distance from center using the metric's own conversion
+        const similarity = this.options.similarityFn(member.vector, cluster.center);
+        const distance = this._toDistance(similarity);
+        
+        maxDistance = Math.max(maxDistance, distance);
+      }
+      
+      cluster.radius = maxDistance;
+    }
+  
+    /**
+     * Create a vector entry, storing its vector in typed storage and, once a
+     * quantizer is trained, as a quantized code
+     * @param {string} id - Entry ID
+     * @param {ArrayLike<number>} vector - The vector (copied to prevent mutations)
+     * @param {Object|null} metadata - Entry metadata
+     * @param {number|null} [expiresAt] - Expiry time in milliseconds since the epoch
+     * @returns {VectorEntry} The new entry
+     * @private
+     */
+    _createEntry(id, vector, metadata, expiresAt) {
+      const entry = { id, vector: null, metadata };
+      if (expiresAt !== undefined && expiresAt !== null) entry.expiresAt = expiresAt;
+      Object.defineProperty(entry, 'toJSON', { value: entryToJSON });
+      this._setEntryVector(entry, vector);
+      return entry;
+    }
+  
+    /**
+     * Store a vector for an entry (and encode it when a trained quantizer
+     * exists), replacing whatever the entry held before. The previous
+     * storage slot is not released.
+     * @param {VectorEntry} entry - The entry
+     * @param {ArrayLike<number>} vector - The vector
+     * @private
+     */
+    _setEntryVector(entry, vector) {
+      if (this.quantizer && this.quantizer.trained) {
+        this.quantizer.encode(entry.id, vector);
+        if (!this.options.quantization.keepVectors) {
+          this._useQuantizedVector(entry);
+          return;
+        }
+      }
+      
+      Object.defineProperty(entry, 'vector', {
+        value: this._storeVector(vector),
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    }
+  
+    /**
+     * Replace an entry's full-precision vector with one decoded on access
+     * from its quantized code
+     * @param {VectorEntry} entry - The entry
+     * @private
+     */
+    _useQuantizedVector(entry) {
+      const quantizer = this.quantizer;
+      Object.defineProperty(entry, 'vector', {
+        get: () => quantizer.decodeEntry(entry.id),
+        enumerable: true,
+        configurable: true
+      });
+    }
+  
+    /**
+     * Free the storage of a removed entry, leaving it a private copy of its vector
+     * @param {VectorEntry} entry - The removed entry
+     * @private
+     */
+    _releaseEntryVector(entry) {
+      const vector = this.arena ? this.arena.release(entry.vector) : entry.vector;
+      
+      if (this.quantizer) this.quantizer.remove(entry.id);
+      
+      Object.defineProperty(entry, 'vector', {
+        value: vector,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    }
+  
+    /**
+     * Train the quantizer on the current cluster members and encode every
+     * entry. When `quantization.keepVectors` is false the full-precision
+     * vectors are dropped afterwards. Can be called again to retrain.
+     * @param {Object} [options] - Training options
+     * @param {number} [options.sampleSize=10000] - Maximum number of vectors to train on
+     * @param {number} [options.iterations=25] - Maximum k-means iterations (product quantization)
+     * @param {number} [options.seed] - Seed for deterministic training
+     * @returns {{type: string, trainedOn: number, codeSize: number}} Summary of the trained quantizer
+     */
+    trainQuantizer(options = {}) {
+      if (this._shouldLog()) return this._logged('trainQuantizer', [options], () => this.trainQuantizer(options));
+      
+      const { sampleSize = 10000, iterations = 25, seed } = options;
+      
+      if (!this.options.quantization) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Quantization is not enabled for this store');
+      }
+      
+      const entries = [];
+      for (const cluster of this.clusters) {
+        entries.push(...cluster.members);
+      }
+      if (entries.length === 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Cannot train a quantizer on an empty store');
+      }
+      
+      if (!this.quantizer) {
+        this.quantizer = this._createQuantizer();
+      }
+      
+      // Read every vector before the old codes (which may back them) are cleared
+      const vectors = entries.map(e => e.vector);
+      const random = createRandom(seed);
+      
+      const step = Math.max(1, entries.length / sampleSize);
+      const sample = [];
+      for (let i = 0; i < entries.length && sample.length < sampleSize; i += step) {
+        sample.push(vectors[Math.floor(i)]);
+      }
+      
+      this.quantizer.train(sample, { iterations, random });
+      this.quantizer.clear();
+      
+      entries.forEach((entry, i) => {
+        this.quantizer.encode(entry.id, vectors[i]);
+        
+        if (!this.options.quantization.keepVectors) {
+          if (this.arena) this.arena.release(entry.vector);
+          this._useQuantizedVector(entry);
+        }
+      });
+      
+      return { type: this.options.quantization.type, trainedOn: sample.length, codeSize: this.quantizer.codeSize };
+    }
+  
+    /**
+     * Create an untrained quantizer from the store's quantization options
+     * @returns {Quantizer} The quantizer
+     * @private
+     */
+    _createQuantizer() {
+      const { type, m, nbits } = this.options.quantization;
+      return type === 'pq'
+        ? new ProductQuantizer(this.dimensions, m, nbits)
+        : new ScalarQuantizer(this.dimensions);
+    }
+  
+    /**
+     * Build a function scoring entries against a query, using quantized
+     * codes when a quantizer is trained
+     * @param {ArrayLike<number>} queryVector - The query
+     * @returns {Function} `entry => similarity`
+     * @private
+     */
+    _scorer(queryVector) {
+      const similarityFn = this.options.similarityFn;
+      
+      if (this.quantizer && this.quantizer.trained) {
+        const quantizer = this.quantizer;
+        const scoreCode = quantizer.scorer(queryVector, this.options.similarity, similarityFn);
+        return entry => {
+          const code = quantizer.codes.get(entry.id);
+          return code ? scoreCode(code) : similarityFn(queryVector, entry.vector);
+        };
+      }
+      
+      return entry => similarityFn(queryVector, entry.vector);
+    }
+  
+    /**
+     * Copy a vector into the store's contiguous storage
+     * @param {ArrayLike<number>} vector - The vector to store
+     * @returns {Float32Array|Float64Array} The stored copy
+     * @private
+     */
+    _storeVector(vector) {
+      if (!this.arena) {
+        // Worker threads read vectors in place when the arena is shared
+        const shared = Boolean(this.options.workers) && typeof SharedArrayBuffer !== 'undefined';
+        this.arena = new VectorArena(this.dimensions, VECTOR_TYPES[this.options.vectorType], 1024, shared);
+      }
+      return this.arena.allocate(vector);
+    }
+  
+    /**
+     * Create a standalone cluster center from a vector
+     * @param {ArrayLike<number>} vector - Center values
+     * @returns {Float32Array|Float64Array} The new center
+     * @private
+     */
+    _newCenter(vector) {
+      return VECTOR_TYPES[this.options.vectorType].from(vector);
+    }
+  
+    /**
+     * Recalculate the center of a cluster
+     * @param {Cluster} cluster - The cluster to recalculate
+     * @returns {number[]} The new center vector
+     * @private
+     */
+    _recalculateCenter(cluster) {
+      // If there's only one member, use its vector as the center
+      if (cluster.members.length === 1) {
+        return this._newCenter(cluster.members[0].vector);
+      }
+      
+      const dim = this.dimensions;
+      const sum = new Float64Array(dim);
+      
+      // Sum all vectors
+      for (const { vector } of cluster.members) {
+        for (let i = 0; i < dim; i++) {
+          sum[i] += vector[i];
+        }
+      }
+      
+      // Divide by count to get average
+      return this._newCenter(sum.map(val => val / cluster.members.length));
+    }
+  
+    /**
+     * Get all clusters in the store
+     * @param {boolean} [includeRadius=true] - Whether to include radius information
+     * @returns {ClusterSummary[]} Summary of all clusters
+     */
+    getClusters(includeRadius = true) {
+      return this.clusters.map(c => {
+        const summary = {
+          id: c.id,
+          center: c.center,
+          size: c.members.length
+        };
+        
+        if (includeRadius) {
+          summary.radius = c.radius;
+        }
+        
+        return summary;
+      });
+    }
+  
+    /**
+     * Get a specific cluster by ID
      * @param {string} id - The ID of the cluster to retrieve
      * @returns {Cluster|null} The cluster, or null if not found
      */
-    getClusterById(id) {
-      return this.clusters.find(c => c.id === id) || null;
+    getClusterById(id) {
+      return this.clusters.find(c => c.id === id) || null;
+    }
+  
+    /**
+     * Get all vectors in the store, leaving out expired entries
+     * @param {MetadataFilter} [filter] - Only return entries whose metadata matches this filter
+     * @returns {VectorEntry[]} All vector entries
+     */
+    getAllVectors(filter = null) {
+      const time = Date.now();
+      return this._matching(filter).filter(entry => !this._isExpired(entry, time));
+    }
+  
+    /**
+     * Entries whose metadata matches a filter, including expired ones
+     * @param {MetadataFilter|null} filter - Metadata filter, or null for every entry
+     * @returns {VectorEntry[]} Matching entries
+     * @private
+     */
+    _matching(filter) {
+      if (!filter) return Object.values(this.vectorIndex);
+      validateFilter(filter);
+      
+      const entries = this._filterCandidates(filter) || Object.values(this.vectorIndex);
+      return entries.filter(entry => matchesFilter(entry.metadata, filter));
+    }
+  
+    /**
+     * Find the most similar vectors to the query vector
+     * @param {number[]} queryVector - The vector to compare against
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit=10] - Maximum number of results
+     * @param {number} [options.minSimilarity=0] - Minimum similarity threshold
+     * @param {boolean} [options.searchAllClusters=false] - Whether to search in all clusters
+     * @param {MetadataFilter} [options.filter] - Only consider entries whose metadata matches this filter
+     * @param {number} [options.ef] - HNSW candidate list size (defaults to the store's `hnsw.ef`)
+     * @param {boolean} [options.rerank] - Re-score quantized candidates with full-precision vectors (defaults to the store's `quantization.rerank`)
+     * @param {number|null} [options.nProbe] - Visit exactly this many clusters (defaults to the store's `nProbe`)
+     * @param {number} [options.minClustersToProbe] - Visit at least this many clusters before stopping early (defaults to the store's `minClustersToProbe`)
+     * @param {number} [options.beamWidth] - Cluster tree nodes kept per level (defaults to the store's `hierarchy.beamWidth`)
+     * @param {Object} [options.diversity] - Re-rank candidates by Maximal Marginal Relevance
+     * @param {number} [options.diversity.mmr=0.5] - Trade-off between relevance (1) and diversity (0)
+     * @param {number} [options.diversity.fetchK] - Candidates fetched before re-ranking (defaults to four times `limit`, at least 20)
+     * @param {string} [options.groupBy] - Entry field path to group results by, e.g. `'metadata.docId'`; entries without the field share the `null` group
+     * @param {number} [options.groupSize=3] - Maximum results per group
+     * @returns {SearchResult[]|{group: *, results: SearchResult[]}[]} The most similar vectors with their similarity scores; with `groupBy`,
+     *   up to `limit` groups ordered by their best result
+     */
+    search(queryVector, options = {}) {
+      const { diversity = null, groupBy = null, groupSize = 3, ...searchOptions } = options;
+      
+      if (!diversity && !groupBy) {
+        return this._search(queryVector, searchOptions).results;
+      }
+      
+      const plan = this._rankingPlan(options);
+      for (;;) {
+        const candidates = this._search(queryVector, { ...searchOptions, limit: plan.fetchK }).results;
+        const ranked = this._rankCandidates(candidates, plan);
+        if (ranked) return ranked;
+        plan.fetchK *= 2;
+      }
+    }
+  
+    /**
+     * Validate the diversity and grouping options of a search
+     * @param {Object} options - Search options, as for `search()`
+     * @returns {Object} The ranking parameters, with the number of candidates to fetch first as `fetchK`
+     * @private
+     */
+    _rankingPlan(options) {
+      const { limit = 10, diversity = null, groupBy = null, groupSize = 3 } = options;
+      const lambda = diversity ? diversity.mmr ?? 0.5 : 1;
+      if (typeof lambda !== 'number' || lambda < 0 || lambda > 1) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'diversity.mmr must be a number between 0 and 1');
+      }
+      if (groupBy !== null && (!Number.isInteger(groupSize) || groupSize < 1)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'groupSize must be a positive integer');
+      }
+      
+      const wanted = groupBy ? limit * groupSize : limit;
+      const explicitFetchK = diversity ? diversity.fetchK : undefined;
+      return {
+        limit, diversity, lambda, groupBy, groupSize, explicitFetchK,
+        fetchK: explicitFetchK ?? Math.max(wanted * 4, 20)
+      };
+    }
+  
+    /**
+     * Apply diversity re-ranking and grouping to fetched candidates
+     * @param {SearchResult[]} candidates - Candidates sorted by similarity
+     * @param {Object} plan - Parameters from `_rankingPlan()`
+     * @returns {Array|null} The final results, or null when more candidates should be fetched
+     * @private
+     */
+    _rankCandidates(candidates, plan) {
+      const { limit, diversity, lambda, groupBy, groupSize, explicitFetchK, fetchK } = plan;
+      const ranked = diversity ? this._mmrRerank(candidates, lambda, groupBy ? candidates.length : limit) : candidates;
+      
+      if (!groupBy) return ranked.slice(0, limit);
+      
+      const groups = new Map();
+      for (const result of ranked) {
+        const key = getFieldValue(result.entry, groupBy) ?? null;
+        const group = groups.get(key);
+        if (group) {
+          if (group.results.length < groupSize) group.results.push(result);
+        } else if (groups.size < limit) {
+          groups.set(key, { group: key, results: [result] });
+        }
+      }
+      
+      // Fetch more candidates if groups are missing or short and the store has more to give
+      const complete = groups.size >= limit && [...groups.values()].every(g => g.results.length >= groupSize);
+      if (complete || explicitFetchK !== undefined || candidates.length < fetchK) {
+        return [...groups.values()];
+      }
+      return null;
+    }
+  
+    /**
+     * Order search results by Maximal Marginal Relevance: repeatedly pick the
+     * candidate with the best balance of similarity to the query and
+     * dissimilarity to the candidates already picked
+     * @param {SearchResult[]} candidates - Results sorted by similarity
+     * @param {number} lambda - Weight of query similarity (1 - lambda weighs redundancy)
+     * @param {number} count - Number of results to pick
+     * @returns {SearchResult[]} Picked results in MMR order
+     * @private
+     */
+    _mmrRerank(candidates, lambda, count) {
+      const remaining = [...candidates];
+      const redundancy = new Array(remaining.length).fill(-Infinity);
+      const selected = [];
+      
+      while (selected.length < count && remaining.length > 0) {
+        let best = 0;
+        let bestScore = -Infinity;
+        
+        for (let i = 0; i < remaining.length; i++) {
+          const penalty = selected.length > 0 ? redundancy[i] : 0;
+          const score = lambda * remaining[i].similarity - (1 - lambda) * penalty;
+          if (score > bestScore) {
+            bestScore = score;
+            best = i;
+          }
+        }
+        
+        const [picked] = remaining.splice(best, 1);
+        redundancy.splice(best, 1);
+        selected.push(picked);
+        
+        // Track each candidate's highest similarity to anything picked so far
+        for (let i = 0; i < remaining.length; i++) {
+          const similarity = this.options.similarityFn(remaining[i].entry.vector, picked.entry.vector);
+          if (similarity > redundancy[i]) redundancy[i] = similarity;
+        }
+      }
+      
+      return selected;
+    }
+  
+    /**
+     * Run a search and report how much of the store it visited
+     * @param {number[]} queryVector - The vector to compare against
+     * @param {Object} [options] - Search options, as for `search()`
+     * @param {Map<string, number>} [options.centerSimilarities] - Precomputed query-center similarities by cluster ID
+     * @param {boolean} [options.readOnly=false] - Leave the `lru` order and expired entries as they are
+     * @returns {{results: SearchResult[], clustersVisited: number}} Results and number of clusters scanned
+     * @private
+     */
+    _search(queryVector, options = {}) {
+      const {
+        limit = 10,
+        minSimilarity = 0,
+        searchAllClusters = false,
+        filter = null,
+        ef = this.hnsw ? this.options.hnsw.ef : 0,
+        nProbe = this.options.nProbe,
+        minClustersToProbe = this.options.minClustersToProbe,
+        centerSimilarities = null,
+        readOnly = false
+      } = options;
+      
+      if (filter) validateFilter(filter);
+      if (this.clusters.length === 0) {
+        return { results: [], clustersVisited: 0 };
+      }
+      
+      // Validate vector dimensions
+      if (queryVector.length !== this.dimensions) {
+        throw new atomicVDBError('DIMENSION_MISMATCH', `Vector dimension mismatch: expected ${this.dimensions}, got ${queryVector.length}`);
+      }
+      
+      const results = [];
+      let clustersVisited = 0;
+      
+      // Expired entries are skipped now and removed once the search is done
+      const time = Date.now();
+      const expired = [];
+      const live = entry => {
+        if (!this._isExpired(entry, time)) return true;
+        expired.push(entry.id);
+        return false;
+      };
+      
+      // With quantized codes, over-fetch on approximate scores and re-rank exactly at the end
+      const quantization = this.options.quantization;
+      const rerank = Boolean(this.quantizer && this.quantizer.trained && quantization.keepVectors &&
+        (options.rerank ?? quantization.rerank));
+      const fetchLimit = rerank ? limit * quantization.rerankFactor : limit;
+      const approximateMin = rerank ? -Infinity : minSimilarity;
+      const score = this._scorer(queryVector);
+      
+      // Narrow the candidates with secondary indexes before scoring anything
+      const candidates = filter ? this._filterCandidates(filter) : null;
+      
+      if (searchAllClusters || (this.hnsw && candidates)) {
+        // Search all vectors regardless of clusters
+        for (const entry of candidates || Object.values(this.vectorIndex)) {
+          if (filter && !matchesFilter(entry.metadata, filter)) continue;
+          if (!live(entry)) continue;
+          
+          const similarity = score(entry);
+          
+          if (similarity >= approximateMin) {
+            results.push({
+              entry,
+              similarity,
+              clusterId: this.vectorToCluster[entry.id]
+            });
+          }
+        }
+      } else if (this.hnsw) {
+        // Walk the graph; entries rejected by the filter are traversed but not returned
+        const accept = id => {
+          const entry = this.vectorIndex[id];
+          return (!filter || matchesFilter(entry.metadata, filter)) && live(entry);
+        };
+        
+        for (const { id, similarity } of this.hnsw.search(queryVector, limit, ef, accept)) {
+          if (similarity >= minSimilarity) {
+            results.push({
+              entry: this.vectorIndex[id],
+              similarity,
+              clusterId: this.vectorToCluster[id]
+            });
+          }
+        }
+      } else {
+        // Group indexed candidates by cluster so untouched clusters can be skipped
+        let candidatesByCluster = null;
+        if (candidates) {
+          candidatesByCluster = new Map();
+          for (const entry of candidates) {
+            const clusterId = this.vectorToCluster[entry.id];
+            if (!candidatesByCluster.has(clusterId)) candidatesByCluster.set(clusterId, []);
+            candidatesByCluster.get(clusterId).push(entry);
+          }
+        }
+        
+        // First, find clusters that might contain similar vectors; the cluster
+        // tree narrows them down without comparing every center
+        let clusterSimilarities;
+        if (this.clusterTree && !candidatesByCluster) {
+          clusterSimilarities = this.clusterTree.search(queryVector, options.beamWidth);
+        } else {
+          const clusters = candidatesByCluster
+            ? this.clusters.filter(c => candidatesByCluster.has(c.id))
+            : this.clusters;
+          clusterSimilarities = clusters.map(cluster => ({
+            cluster,
+            similarity: centerSimilarities
+              ? centerSimilarities.get(cluster.id)
+              : this.options.similarityFn(queryVector, cluster.center)
+          }));
+        }
+        
+        // Sort clusters by similarity to query
+        clusterSimilarities.sort((a, b) => b.similarity - a.similarity);
+        
+        // Search within clusters, starting with the most similar
+        for (const { cluster, similarity } of clusterSimilarities) {
+          // Stop once the explicit probe budget is spent
+          if (nProbe && clustersVisited >= nProbe) break;
+          
+          // Skip clusters that are too dissimilar
+          if (similarity < minSimilarity) continue;
+          
+          clustersVisited++;
+          
+          // Search within this cluster, skipping entries rejected by the filter
+          const members = candidatesByCluster ? candidatesByCluster.get(cluster.id) : cluster.members;
+          for (const entry of members) {
+            if (filter && !matchesFilter(entry.metadata, filter)) continue;
+            if (!live(entry)) continue;
+            
+            const similarity = score(entry);
+            
+            if (similarity >= approximateMin) {
+              results.push({
+                entry,
+                similarity,
+                clusterId: cluster.id
+              });
+            }
+          }
+          
+          // Without an explicit probe count, stop as soon as we have enough results
+          if (!nProbe && clustersVisited >= minClustersToProbe && results.length >= fetchLimit) break;
+        }
+      }
+      
+      // Sort results by similarity (highest first)
+      results.sort((a, b) => b.similarity - a.similarity);
+      
+      let top = results.slice(0, fetchLimit);
+      if (rerank) {
+        for (const result of top) {
+          result.similarity = this.options.similarityFn(queryVector, result.entry.vector);
+        }
+        top = top.filter(r => r.similarity >= minSimilarity);
+        top.sort((a, b) => b.similarity - a.similarity);
+      }
+      
+      // Limit the number of results
+      top = top.slice(0, limit);
+      if (readOnly) return { results: top, clustersVisited };
+      this._touch(top);
+      
+      for (const id of new Set(expired)) {
+        this.removeVector(id);
+      }
+      
+      return { results: top, clustersVisited };
+    }
+  
+    /**
+     * Search by text: embed the query with the store's `embedder` and search
+     * by vector similarity, as `search()` does
+     * @param {string} query - Query text
+     * @param {Object} [options] - Search options, as for `search()`
+     * @returns {Promise<SearchResult[]>} The results of `search()`
+     */
+    async searchByText(query, options = {}) {
+      if (typeof query !== 'string') {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Text query must be a string');
+      }
+      const [vector] = await this.embed([query]);
+      return this.search(vector, options);
+    }
+  
+    /**
+     * Keyword search over the `textFields` metadata fields, ranked by BM25
+     * @param {string} query - Query text
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit=10] - Maximum number of results
+     * @param {MetadataFilter} [options.filter] - Only consider entries whose metadata matches this filter
+     * @returns {SearchResult[]} Matching entries; `similarity` holds the BM25 score
+     */
+    searchText(query, options = {}) {
+      const { limit = 10, filter = null } = options;
+      
+      if (!this.textIndex) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'searchText requires the textFields option');
+      }
+      if (typeof query !== 'string') {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Text query must be a string');
+      }
+      if (filter) validateFilter(filter);
+      
+      const results = [];
+      const time = Date.now();
+      for (const { id, score } of this.textIndex.search(query)) {
+        if (results.length >= limit) break;
+        
+        const entry = this.vectorIndex[id];
+        if (!entry || (filter && !matchesFilter(entry.metadata, filter)) || this._isExpired(entry, time)) continue;
+        
+        results.push({
+          entry,
+          similarity: score,
+          clusterId: this.vectorToCluster[id],
+          scores: { vector: null, text: score }
+        });
+      }
+      
+      return results;
+    }
+  
+    /**
+     * Combine vector similarity and BM25 keyword search. Each side fetches
+     * `fetchK` candidates, which are fused into one ranking.
+     * @param {{vector?: number[], text?: string}} query - Query vector, query text, or both
+     * @param {Object} [options] - Search options; other options are passed to `search()`
+     * @param {number} [options.limit=10] - Maximum number of results
+     * @param {'rrf'|'weighted'} [options.fusion='rrf'] - Reciprocal rank fusion, or a weighted sum of min-max normalized scores
+     * @param {number} [options.alpha=0.5] - Weight of the vector score with `'weighted'` fusion (the text score gets `1 - alpha`)
+     * @param {number} [options.rrfK=60] - Rank offset for reciprocal rank fusion
+     * @param {number} [options.fetchK] - Candidates fetched from each side (defaults to four times `limit`, at least 50)
+     * @param {MetadataFilter} [options.filter] - Only consider entries whose metadata matches this filter
+     * @returns {SearchResult[]} Fused results; `similarity` holds the fused score and `scores` the vector and text scores (null when that side missed)
+     */
+    hybridSearch(query, options = {}) {
+      const {
+        limit = 10,
+        fusion = 'rrf',
+        alpha = 0.5,
+        rrfK = 60,
+        fetchK = Math.max(limit * 4, 50),
+        filter = null,
+        ...searchOptions
+      } = options;
+      const { vector = null, text = null } = query || {};
+      
+      if (fusion !== 'rrf' && fusion !== 'weighted') {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Unknown fusion method: ${fusion}`);
+      }
+      if (vector === null && text === null) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'hybridSearch requires a query vector, query text, or both');
+      }
+      
+      const lists = {
+        vector: vector !== null ? this.search(vector, { ...searchOptions, filter, limit: fetchK }) : [],
+        text: text !== null ? this.searchText(text, { filter, limit: fetchK }) : []
+      };
+      
+      const fused = new Map();
+      for (const [component, results] of Object.entries(lists)) {
+        const weight = component === 'vector' ? alpha : 1 - alpha;
+        const scores = results.map(r => r.similarity);
+        const min = Math.min(...scores);
+        const range = Math.max(...scores) - min;
+        
+        results.forEach((result, rank) => {
+          let item = fused.get(result.entry.id);
+          if (!item) {
+            item = {
+              entry: result.entry,
+              similarity: 0,
+              clusterId: result.clusterId,
+              scores: { vector: null, text: null }
+            };
+            fused.set(result.entry.id, item);
+          }
+          
+          item.scores[component] = result.similarity;
+          item.similarity += fusion === 'rrf'
+            ? 1 / (rrfK + rank + 1)
+            : weight * (range > 0 ? (result.similarity - min) / range : 1);
+        });
+      }
+      
+      return [...fused.values()]
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+    }
+  
+    /**
+     * Find every entry at least `threshold` similar to a vector. Clusters
+     * whose center and radius rule out a match are skipped when the metric
+     * allows it (all built-in metrics except `'dot'`).
+     * @param {number[]|Float32Array|Float64Array} queryVector - The query vector
+     * @param {number} threshold - Minimum similarity
+     * @param {Object} [options] - Search options
+     * @param {MetadataFilter} [options.filter] - Only consider entries whose metadata matches this filter
+     * @param {number} [options.limit=Infinity] - Maximum number of results
+     * @returns {SearchResult[]} Matching entries, most similar first
+     */
+    rangeSearch(queryVector, threshold, options = {}) {
+      return this._rangeSearch(queryVector, threshold, options).results;
+    }
+  
+    /**
+     * Range search, also reporting how many clusters were scanned
+     * @param {number[]|Float32Array|Float64Array} queryVector - The query vector
+     * @param {number} threshold - Minimum similarity
+     * @param {Object} [options] - Search options, as for `rangeSearch()`
+     * @returns {{results: SearchResult[], clustersVisited: number}} Results and number of clusters scanned
+     * @private
+     */
+    _rangeSearch(queryVector, threshold, options = {}) {
+      const { filter = null, limit = Infinity } = options;
+      
+      if (typeof threshold !== 'number' || isNaN(threshold)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Range search threshold must be a number');
+      }
+      if (filter) validateFilter(filter);
+      if (this.clusters.length === 0) {
+        return { results: [], clustersVisited: 0 };
+      }
+      if (queryVector.length !== this.dimensions) {
+        throw new atomicVDBError('DIMENSION_MISMATCH', `Vector dimension mismatch: expected ${this.dimensions}, got ${queryVector.length}`);
+      }
+      
+      const candidates = filter ? this._filterCandidates(filter) : null;
+      const candidateIds = candidates && new Set(candidates.map(e => e.id));
+      const results = [];
+      const time = Date.now();
+      const expired = [];
+      let clustersVisited = 0;
+      
+      for (const cluster of this.clusters) {
+        // Tolerate rounding in the bound so borderline members are never lost
+        if (this._maxSimilarity) {
+          const centerSimilarity = this.options.similarityFn(queryVector, cluster.center);
+          if (this._maxSimilarity(centerSimilarity, cluster.radius) < threshold - 1e-9) continue;
+        }
+        
+        clustersVisited++;
+        for (const entry of cluster.members) {
+          if (candidateIds && !candidateIds.has(entry.id)) continue;
+          if (filter && !matchesFilter(entry.metadata, filter)) continue;
+          if (this._isExpired(entry, time)) {
+            expired.push(entry.id);
+            continue;
+          }
+          
+          const similarity = this.options.similarityFn(queryVector, entry.vector);
+          if (similarity >= threshold) {
+            results.push({ entry, similarity, clusterId: cluster.id });
+          }
+        }
+      }
+      
+      results.sort((a, b) => b.similarity - a.similarity);
+      const top = results.slice(0, limit);
+      this._touch(top);
+      
+      for (const id of expired) {
+        this.removeVector(id);
+      }
+      
+      return { results: top, clustersVisited };
+    }
+  
+    /**
+     * Run several searches at once. Query-center similarities for the
+     * cluster search path are computed together up front (for cosine, with
+     * center norms computed once for all queries).
+     * @param {Array<number[]|Float32Array|Float64Array>} queries - Query vectors
+     * @param {Object} [options] - Search options, as for `search()`
+     * @returns {Array<SearchResult[]>} Results for each query, in order
+     */
+    searchBatch(queries, options = {}) {
+      if (!Array.isArray(queries)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'searchBatch requires an array of query vectors');
+      }
+      
+      // Only the plain cluster path benefits from shared center similarities
+      if (this.hnsw || this.clusterTree || options.searchAllClusters || options.diversity || options.groupBy ||
+          this.clusters.length === 0) {
+        return queries.map(query => this.search(query, options));
+      }
+      
+      for (const query of queries) {
+        if (query.length !== this.dimensions) {
+          throw new atomicVDBError('DIMENSION_MISMATCH', `Vector dimension mismatch: expected ${this.dimensions}, got ${query.length}`);
+        }
+      }
+      
+      const centers = this.clusters.map(c => c.center);
+      let similarities;
+      
+      if (this.options.similarityFn === cosineSimilarity) {
+        const norm = v => {
+          let sum = 0;
+          for (let i = 0; i < v.length; i++) sum += v[i] * v[i];
+          return Math.sqrt(sum);
+        };
+        const centerNorms = centers.map(norm);
+        
+        similarities = queries.map(query => {
+          const queryNorm = norm(query);
+          return centers.map((center, c) => {
+            if (queryNorm === 0 || centerNorms[c] === 0) return 0;
+            let dot = 0;
+            for (let i = 0; i < query.length; i++) dot += query[i] * center[i];
+            return dot / (queryNorm * centerNorms[c]);
+          });
+        });
+      } else {
+        similarities = queries.map(query => centers.map(center => this.options.similarityFn(query, center)));
+      }
+      
+      return queries.map((query, q) => {
+        const centerSimilarities = new Map(this.clusters.map((cluster, c) => [cluster.id, similarities[q][c]]));
+        return this._search(query, { ...options, centerSimilarities }).results;
+      });
+    }
+  
+    /**
+     * Search like `search()`, scoring vectors on the worker pool so that
+     * large scans don't block the main thread. Returns the same results as
+     * `search()`; stores without the `workers` option, HNSW stores and
+     * stores with a trained quantizer search synchronously.
+     * @param {number[]} queryVector - The vector to compare against
+     * @param {Object} [options] - Search options, as for `search()`
+     * @returns {Promise<SearchResult[]|{group: *, results: SearchResult[]}[]>} The results `search()` would return;
+     *   entries removed while the search ran are left out
+     */
+    async searchAsync(queryVector, options = {}) {
+      const { diversity = null, groupBy = null, groupSize = 3, ...searchOptions } = options;
+      
+      if (!diversity && !groupBy) {
+        return (await this._searchAsync(queryVector, searchOptions)).results;
+      }
+      
+      const plan = this._rankingPlan(options);
+      for (;;) {
+        const candidates = (await this._searchAsync(queryVector, { ...searchOptions, limit: plan.fetchK })).results;
+        const ranked = this._rankCandidates(candidates, plan);
+        if (ranked) return ranked;
+        plan.fetchK *= 2;
+      }
+    }
+  
+    /**
+     * Run several searches on the worker pool
+     * @param {Array<number[]|Float32Array|Float64Array>} queries - Query vectors
+     * @param {Object} [options] - Search options, as for `search()`
+     * @returns {Promise<Array<SearchResult[]>>} Results for each query, in order
+     */
+    async searchBatchAsync(queries, options = {}) {
+      if (!Array.isArray(queries)) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'searchBatchAsync requires an array of query vectors');
+      }
+      return Promise.all(queries.map(query => this.searchAsync(query, options)));
+    }
+  
+    /**
+     * Stop the worker pool. It starts again on the next async call.
+     * @returns {Promise<void>} Resolves once the workers have exited
+     */
+    async closeWorkers() {
+      const pool = this._pool;
+      this._pool = null;
+      if (pool) await pool.terminate();
+    }
+  
+    /**
+     * The worker pool, started on first use
+     * @returns {Promise<WorkerPool|null>} The pool, or null without the `workers` option or worker support;
+     *   rejects if the similarity function gives a different result in a worker
+     * @private
+     */
+    async _workerPool() {
+      if (!this.options.workers || !WorkerPool.isSupported()) return null;
+      // A pool whose worker failed rejects everything; start over with a fresh one
+      if (!this._pool || this._pool.failed) {
+        this._pool = new WorkerPool(this.options.workers.size, this.options.similarityFn, this.dimensions || 8);
+      }
+
+      const pool = this._pool;
+      try {
+        await pool.ready;
+      } catch (err) {
+        if (this._pool === pool) this._pool = null;
+        throw err;
+      }
+      return pool;
+    }
+  
+    /**
+     * `_search()` with scoring done on the worker pool. Clusters are scored
+     * in waves of increasing size; the early-stopping rule of `_search()` is
+     * applied to the scored clusters in order, so the same clusters count as
+     * visited and the same results come back.
+     * @param {number[]} queryVector - The vector to compare against
+     * @param {Object} [options] - Search options, as for `_search()`
+     * @returns {Promise<{results: SearchResult[], clustersVisited: number}>} Results and number of clusters scanned
+     * @private
+     */
+    async _searchAsync(queryVector, options = {}) {
+      const pool = this.hnsw || (this.quantizer && this.quantizer.trained) ? null : await this._workerPool();
+      if (!pool || this.clusters.length === 0) return this._search(queryVector, options);
+      
+      const {
+        limit = 10,
+        minSimilarity = 0,
+        searchAllClusters = false,
+        filter = null,
+        nProbe = this.options.nProbe,
+        minClustersToProbe = this.options.minClustersToProbe
+      } = options;
+      
+      if (filter) validateFilter(filter);
+      if (queryVector.length !== this.dimensions) {
+        throw new atomicVDBError('DIMENSION_MISMATCH', `Vector dimension mismatch: expected ${this.dimensions}, got ${queryVector.length}`);
+      }
+      
+      // Entries eligible for scoring; expired ones are collected for removal
+      const time = Date.now();
+      const eligible = (entries, expired) => entries.filter(entry => {
+        if (filter && !matchesFilter(entry.metadata, filter)) return false;
+        if (!this._isExpired(entry, time)) return true;
+        expired.push(entry.id);
+        return false;
+      });
+      
+      const candidates = filter ? this._filterCandidates(filter) : null;
+      const scored = [];
+      const expired = [];
+      let clustersVisited = 0;
+      
+      if (searchAllClusters) {
+        // One contiguous chunk per worker keeps the scan order of `_search()`
+        const entries = eligible(candidates || Object.values(this.vectorIndex), expired);
+        const chunk = Math.ceil(entries.length / pool.size) || 1;
+        const groups = [];
+        for (let start = 0; start < entries.length; start += chunk) {
+          groups.push(entries.slice(start, start + chunk));
+        }
+        
+        const scores = await pool.score(queryVector, groups.map(g => g.map(e => e.vector)), {
+          arena: this.arena, limit, min: minSimilarity
+        });
+        groups.forEach((group, g) => scored.push({ group, clusterId: null, ...scores[g] }));
+      } else {
+        let candidatesByCluster = null;
+        if (candidates) {
+          candidatesByCluster = new Map();
+          for (const entry of candidates) {
+            const clusterId = this.vectorToCluster[entry.id];
+            if (!candidatesByCluster.has(clusterId)) candidatesByCluster.set(clusterId, []);
+            candidatesByCluster.get(clusterId).push(entry);
+          }
+        }
+        
+        let clusterSimilarities;
+        if (this.clusterTree && !candidatesByCluster) {
+          clusterSimilarities = this.clusterTree.search(queryVector, options.beamWidth);
+        } else {
+          const clusters = candidatesByCluster
+            ? this.clusters.filter(c => candidatesByCluster.has(c.id))
+            : this.clusters;
+          clusterSimilarities = clusters.map(cluster => ({
+            cluster,
+            similarity: this.options.similarityFn(queryVector, cluster.center)
+          }));
+        }
+        clusterSimilarities.sort((a, b) => b.similarity - a.similarity);
+        
+        let queue = clusterSimilarities.filter(c => c.similarity >= minSimilarity).map(c => c.cluster);
+        if (nProbe) queue = queue.slice(0, nProbe);
+        
+        let found = 0;
+        let waveSize = nProbe ? queue.length : Math.max(minClustersToProbe, pool.size);
+        let done = false;
+        while (!done && queue.length > 0) {
+          const wave = queue.splice(0, waveSize);
+          waveSize *= 2;
+          
+          const waveExpired = wave.map(() => []);
+          const groups = wave.map((cluster, i) =>
+            eligible(candidatesByCluster ? candidatesByCluster.get(cluster.id) : cluster.members, waveExpired[i]));
+          const scores = await pool.score(queryVector, groups.map(g => g.map(e => e.vector)), {
+            arena: this.arena, limit, min: minSimilarity
+          });
+          
+          // Replay the early-stopping rule of `_search()` cluster by cluster
+          for (let i = 0; i < wave.length; i++) {
+            clustersVisited++;
+            found += scores[i].count;
+            expired.push(...waveExpired[i]);
+            scored.push({ group: groups[i], clusterId: wave[i].id, ...scores[i] });
+            
+            if (!nProbe && clustersVisited >= minClustersToProbe && found >= limit) {
+              done = true;
+              break;
+            }
+          }
+        }
+      }
+      
+      // Concatenate in scan order so the stable sort breaks ties like `_search()`
+      const results = [];
+      for (const { group, clusterId, indices, similarities } of scored) {
+        indices.forEach((index, i) => {
+          const entry = group[index];
+          results.push({ entry, similarity: similarities[i], clusterId: clusterId ?? this.vectorToCluster[entry.id] });
+        });
+      }
+      results.sort((a, b) => b.similarity - a.similarity);
+      
+      // Drop entries removed or replaced while the workers ran
+      const top = results.slice(0, limit).filter(r => this.vectorIndex[r.entry.id] === r.entry);
+      this._touch(top);
+      
+      for (const id of new Set(expired)) {
+        if (this.vectorIndex[id]) this.removeVector(id);
+      }
+      
+      return { results: top, clustersVisited };
+    }
+  
+    /**
+     * Find groups of near-identical entries across the whole store. Entries
+     * are grouped transitively: two entries share a group when a chain of
+     * pairs at least `threshold` similar links them.
+     * @param {Object} [options] - Detection options
+     * @param {number} [options.threshold=0.98] - Minimum similarity for two entries to count as duplicates
+     * @param {MetadataFilter} [options.filter] - Only consider entries whose metadata matches this filter
+     * @returns {VectorEntry[][]} Groups of two or more entries, largest first
+     */
+    findDuplicates(options = {}) {
+      const { threshold = 0.98, filter = null } = options;
+      
+      const entries = this.getAllVectors(filter);
+      
+      // Union-find over entry IDs
+      const parent = new Map(entries.map(e => [e.id, e.id]));
+      const find = id => {
+        while (parent.get(id) !== id) {
+          parent.set(id, parent.get(parent.get(id)));
+          id = parent.get(id);
+        }
+        return id;
+      };
+      
+      for (const entry of entries) {
+        for (const { entry: match } of this._rangeSearch(entry.vector, threshold, { filter }).results) {
+          if (match.id === entry.id) continue;
+          const a = find(entry.id);
+          const b = find(match.id);
+          if (a !== b) parent.set(a, b);
+        }
+      }
+      
+      const groups = new Map();
+      for (const entry of entries) {
+        const root = find(entry.id);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(entry);
+      }
+      
+      return [...groups.values()]
+        .filter(group => group.length > 1)
+        .sort((a, b) => b.length - a.length);
+    }
+  
+    /**
+     * Measure search quality against exact brute-force search. Each query
+     * runs through the normal search path and through `searchAllClusters`,
+     * without touching the `lru` order or removing expired entries.
+     * @param {number[][]} queries - Query vectors
+     * @param {Object} [options] - Evaluation options; other search options are passed through
+     * @param {number} [options.k=10] - Number of neighbours to compare (recall@k)
+     * @returns {{queries: number, k: number, recall: {mean: number, min: number}, latency: {approximate: Object, exact: Object}, clustersVisited: {mean: number, max: number, total: number}}} Evaluation report; latencies are in milliseconds
+     */
+    evaluate(queries, options = {}) {
+      const { k = 10, ...searchOptions } = options;
+      
+      if (!Array.isArray(queries) || queries.length === 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'evaluate requires a non-empty array of query vectors');
+      }
+      
+      const recalls = [];
+      const approximateTimes = [];
+      const exactTimes = [];
+      const visited = [];
+      
+      for (const query of queries) {
+        let start = now();
+        const exact = this._search(query, { ...searchOptions, limit: k, searchAllClusters: true, readOnly: true }).results;
+        exactTimes.push(now() - start);
+        
+        start = now();
+        const approximate = this._search(query, { ...searchOptions, limit: k, searchAllClusters: false, readOnly: true });
+        approximateTimes.push(now() - start);
+        visited.push(approximate.clustersVisited);
+        
+        const expected = new Set(exact.map(r => r.entry.id));
+        const found = approximate.results.filter(r => expected.has(r.entry.id)).length;
+        recalls.push(expected.size === 0 ? 1 : found / expected.size);
+      }
+      
+      const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+      const summarize = times => {
+        const sorted = [...times].sort((a, b) => a - b);
+        return {
+          mean: mean(sorted),
+          p50: percentile(sorted, 50),
+          p95: percentile(sorted, 95),
+          p99: percentile(sorted, 99)
+        };
+      };
+      
+      return {
+        queries: queries.length,
+        k,
+        recall: {
+          mean: mean(recalls),
+          min: Math.min(...recalls)
+        },
+        latency: {
+          approximate: summarize(approximateTimes),
+          exact: summarize(exactTimes)
+        },
+        clustersVisited: {
+          mean: mean(visited),
+          max: Math.max(...visited),
+          total: this.clusters.length
+        }
+      };
+    }
+  
+    /**
+     * Find the smallest `nProbe` that reaches a target recall on a sample
+     * of queries and make it the store default. Only the cluster search
+     * path uses `nProbe`.
+     * @param {Object} [options] - Tuning options; other search options are passed through
+     * @param {number} [options.targetRecall=0.95] - Mean recall@k to reach
+     * @param {number} [options.k=10] - Number of neighbours to compare
+     * @param {number[][]} [options.queries] - Query vectors (defaults to a sample of stored vectors)
+     * @param {number} [options.sampleSize=100] - Number of stored vectors to sample when no queries are given
+     * @param {boolean} [options.apply=true] - Whether to set the chosen value as the store's `nProbe`
+     * @returns {{nProbe: number, recall: number, latency: number, reachedTarget: boolean, trials: {nProbe: number, recall: number, latency: number}[]}} The chosen value and the measurements behind it
+     */
+    autoTune(options = {}) {
+      const {
+        targetRecall = 0.95,
+        k = 10,
+        queries = null,
+        sampleSize = 100,
+        apply = true,
+        ...searchOptions
+      } = options;
+      
+      const sample = queries || this._sampleEntries(sampleSize).map(e => e.vector);
+      
+      if (sample.length === 0 || this.clusters.length === 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'autoTune requires a non-empty store or query set');
+      }
+      
+      const trials = [];
+      const trial = nProbe => {
+        const report = this.evaluate(sample, { ...searchOptions, k, nProbe });
+        const result = { nProbe, recall: report.recall.mean, latency: report.latency.approximate.mean };
+        trials.push(result);
+        return result;
+      };
+      
+      // Grow the probe count geometrically, then narrow down to the smallest passing value
+      let low = 0;
+      let best = null;
+      for (let nProbe = 1; ; nProbe = Math.min(this.clusters.length, Math.ceil(nProbe * 2))) {
+        const result = trial(nProbe);
+        if (result.recall >= targetRecall) {
+          best = result;
+          break;
+        }
+        low = nProbe;
+        if (nProbe >= this.clusters.length) break;
+      }
+      
+      if (best) {
+        let high = best.nProbe;
+        while (high - low > 1) {
+          const mid = (low + high) >> 1;
+          const result = trial(mid);
+          if (result.recall >= targetRecall) {
+            high = mid;
+            best = result;
+          } else {
+            low = mid;
+          }
+        }
+      } else {
+        // The target is unreachable; probing everything is the best we can do
+        best = trials[trials.length - 1];
+      }
+      
+      if (apply) {
+        this.options.nProbe = best.nProbe;
+      }
+      
+      return {
+        nProbe: best.nProbe,
+        recall: best.recall,
+        latency: best.latency,
+        reachedTarget: best.recall >= targetRecall,
+        trials
+      };
+    }
+  
+    /**
+     * Get a vector by its ID
+     * @param {string} id - The ID of the vector to retrieve
+     * @returns {VectorEntry|null} The vector entry, or null if not found or expired
+     */
+    getVectorById(id) {
+      const entry = this.vectorIndex[id];
+      return entry && !this._isExpired(entry) ? entry : null;
+    }
+  
+    /**
+     * Remove a vector from the store
+     * @param {string} id - The ID of the vector to remove
+     * @returns {boolean} Whether the vector was successfully removed
+     */
+    removeVector(id) {
+      if (this._shouldLog()) return this._logged('removeVector', [id], () => this.removeVector(id));
+      
+      const entry = this.vectorIndex[id];
+      if (!entry) return false;
+      
+      const clusterId = this.vectorToCluster[id];
+      const cluster = this.getClusterById(clusterId);
+      
+      if (cluster) {
+        // Delete from indexes
+        delete this.vectorIndex[id];
+        this._accessOrder.delete(id);
+        this._unindexEntry(id);
+        if (this.hnsw) this.hnsw.remove(id);
+        
+        // Free the storage slot; the removed entry keeps a private copy
+        this._releaseEntryVector(entry);
+        
+        // Remove from cluster members, updating or dropping the cluster
+        this._leaveCluster(entry, cluster);
+        this._autoMaintain([clusterId], ['dissolve', 'merge']);
+        
+        return true;
+      }
+      
+      return false;
+    }
+  
+    /**
+     * Remove every vector whose metadata matches a filter
+     * @param {MetadataFilter} filter - Filter selecting the vectors to remove
+     * @returns {number} Number of vectors removed
+     */
+    deleteWhere(filter) {
+      if (!filter || typeof filter !== 'object') {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'deleteWhere requires a filter object');
+      }
+      
+      let removed = 0;
+      for (const entry of this._matching(filter)) {
+        if (this.removeVector(entry.id)) removed++;
+      }
+      
+      return removed;
+    }
+  
+    /**
+     * Update a vector's metadata
+     * @param {string} id - The ID of the vector to update
+     * @param {Object} metadata - The new metadata
+     * @returns {boolean} Whether the vector was successfully updated
+     */
+    updateMetadata(id, metadata) {
+      if (this._shouldLog()) return this._logged('updateMetadata', [id, metadata], () => this.updateMetadata(id, metadata));
+      
+      const entry = this.vectorIndex[id];
+      if (!entry) return false;
+      
+      entry.metadata = metadata;
+      this._indexEntry(entry);
+      return true;
+    }
+  
+    /**
+     * Create a secondary index on a metadata field. Searches, `getAllVectors()`
+     * and `deleteWhere()` use it to restrict candidates before evaluating the
+     * filter and scoring similarity.
+     * @param {string} fieldPath - Metadata field path (dot notation for nested fields)
+     * @param {Object} [options] - Index options
+     * @param {'hash'|'sorted'} [options.type='hash'] - `'hash'` for equality lookups, `'sorted'` to also serve range queries
+     * @returns {boolean} Whether a new index was created (false if an identical one exists)
+     */
+    createIndex(fieldPath, options = {}) {
+      if (this._shouldLog()) return this._logged('createIndex', [fieldPath, options], () => this.createIndex(fieldPath, options));
+      
+      const { type = 'hash' } = options;
+      
+      if (typeof fieldPath !== 'string' || fieldPath.length === 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Index field path must be a non-empty string');
+      }
+      
+      const existing = this.indexes[fieldPath];
+      if (existing && existing.type === type) return false;
+      
+      const index = new MetadataIndex(fieldPath, type);
+      for (const entry of Object.values(this.vectorIndex)) {
+        index.add(entry);
+      }
+      
+      this.indexes[fieldPath] = index;
+      return true;
+    }
+  
+    /**
+     * Remove a secondary index
+     * @param {string} fieldPath - Metadata field path of the index
+     * @returns {boolean} Whether an index was removed
+     */
+    dropIndex(fieldPath) {
+      if (this._shouldLog()) return this._logged('dropIndex', [fieldPath], () => this.dropIndex(fieldPath));
+      
+      if (!this.indexes[fieldPath]) return false;
+      
+      delete this.indexes[fieldPath];
+      return true;
+    }
+  
+    /**
+     * List the secondary indexes defined on the store
+     * @returns {{field: string, type: string}[]} Index definitions
+     */
+    listIndexes() {
+      return Object.values(this.indexes).map(({ field, type }) => ({ field, type }));
+    }
+  
+    /**
+     * Add or refresh an entry in every secondary index
+     * @param {VectorEntry} entry - The entry to index
+     * @private
+     */
+    _indexEntry(entry) {
+      for (const index of Object.values(this.indexes)) {
+        index.add(entry);
+      }
+      if (this.textIndex) this.textIndex.add(entry);
+    }
+  
+    /**
+     * Remove an entry from every secondary index
+     * @param {string} id - ID of the entry
+     * @private
+     */
+    _unindexEntry(id) {
+      for (const index of Object.values(this.indexes)) {
+        index.remove(id);
+      }
+      if (this.textIndex) this.textIndex.remove(id);
+    }
+  
+    /**
+     * Use secondary indexes to find entries that may match a filter
+     * @param {MetadataFilter} filter - The filter to plan
+     * @returns {VectorEntry[]|null} Candidate entries, or null if no index applies
+     * @private
+     */
+    _filterCandidates(filter) {
+      const ids = this._planFilter(filter);
+      if (ids === null) return null;
+      
+      const entries = [];
+      for (const id of ids) {
+        const entry = this.vectorIndex[id];
+        if (entry) entries.push(entry);
+      }
+      return entries;
+    }
+  
+    /**
+     * Compute the candidate ID set for a filter. The result is a superset of
+     * the matching entries; null means the filter cannot be narrowed.
+     * @param {MetadataFilter} filter - The filter to plan
+     * @returns {Set<string>|null} Candidate IDs
+     * @private
+     */
+    _planFilter(filter) {
+      let candidates = null;
+      
+      for (const [key, condition] of Object.entries(filter)) {
+        let planned = null;
+        
+        if (key === '$and' && Array.isArray(condition)) {
+          for (const subFilter of condition) {
+            planned = intersectCandidates(planned, this._planFilter(subFilter));
+          }
+        } else if (key === '$or' && Array.isArray(condition)) {
+          // A disjunction can only be narrowed if every branch can
+          planned = new Set();
+          for (const subFilter of condition) {
+            const branch = this._planFilter(subFilter);
+            if (branch === null) {
+              planned = null;
+              break;
+            }
+            branch.forEach(id => planned.add(id));
+          }
+        } else if (this.indexes[key]) {
+          planned = this._planCondition(this.indexes[key], condition);
+        }
+        
+        candidates = intersectCandidates(candidates, planned);
+      }
+      
+      return candidates;
+    }
+  
+    /**
+     * Compute the candidate ID set for a single field condition
+     * @param {MetadataIndex} index - Index on the field
+     * @param {*} condition - Literal value or operator object
+     * @returns {Set<string>|null} Candidate IDs
+     * @private
+     */
+    _planCondition(index, condition) {
+      const isScalar = v => v === null || v instanceof Date || (typeof v !== 'object' && v !== undefined);
+      
+      if (!isOperatorObject(condition)) {
+        return isScalar(condition) ? index.lookup([condition]) : null;
+      }
+      
+      let candidates = null;
+      
+      if ('$eq' in condition && isScalar(condition.$eq)) {
+        candidates = intersectCandidates(candidates, index.lookup([condition.$eq]));
+      }
+      
+      if (Array.isArray(condition.$in) && condition.$in.every(isScalar)) {
+        candidates = intersectCandidates(candidates, index.lookup(condition.$in));
+      }
+      
+      if (['$gt', '$gte', '$lt', '$lte'].some(op => op in condition)) {
+        candidates = intersectCandidates(candidates, index.range(condition));
+      }
+      
+      return candidates;
+    }
+  
+    /**
+     * Merge two clusters
+     * @param {string} clusterId1 - ID of the first cluster
+     * @param {string} clusterId2 - ID of the second cluster
+     * @returns {string} ID of the merged cluster
+     */
+    mergeClusters(clusterId1, clusterId2) {
+      if (this._shouldLog()) return this._logged('mergeClusters', [clusterId1, clusterId2], () => this.mergeClusters(clusterId1, clusterId2));
+      
+      const cluster1 = this.getClusterById(clusterId1);
+      const cluster2 = this.getClusterById(clusterId2);
+      
+      if (!cluster1 || !cluster2) {
+        throw new atomicVDBError('NOT_FOUND', 'One or both cluster IDs are invalid');
+      }
+      if (cluster1 === cluster2) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Cannot merge a cluster with itself');
+      }
+      
+      // Merge members from cluster2 into cluster1
+      cluster1.members = [...cluster1.members, ...cluster2.members];
+      
+      // Update vectorToCluster index
+      for (const member of cluster2.members) {
+        this.vectorToCluster[member.id] = clusterId1;
+      }
+      
+      // Remove cluster2
+      this.clusters = this.clusters.filter(c => c.id !== clusterId2);
+      
+      // Recalculate center of merged cluster
+      if (this.options.recalculateCenters) {
+        cluster1.center = this._recalculateCenter(cluster1);
+      }
+      
+      // Update cluster radius
+      this._updateClusterRadius(cluster1);
+      
+      // Keep the cluster tree consistent
+      if (this.clusterTree) {
+        this.clusterTree.remove(cluster2);
+        this.clusterTree.update(cluster1);
+      }
+      
+      return clusterId1;
+    }
+  
+    /**
+     * Split a cluster into two using k-means
+     * @param {string} clusterId - ID of the cluster to split
+     * @returns {string[]} IDs of the resulting clusters
+     */
+    splitCluster(clusterId) {
+      if (this._shouldLog()) return this._logged('splitCluster', [clusterId], () => this.splitCluster(clusterId));
+      
+      const cluster = this._splittableCluster(clusterId);
+      return this._splitAround(cluster, this._farthestPair(cluster.members));
+    }
+  
+    /**
+     * `splitCluster()` with the quadratic search for the two most distant
+     * members done on the worker pool (when the `workers` option is set),
+     * so large clusters split without blocking. Produces the same split.
+     * @param {string} clusterId - ID of the cluster to split
+     * @returns {Promise<string[]>} IDs of the resulting clusters
+     */
+    async splitClusterAsync(clusterId) {
+      const pool = await this._workerPool();
+      if (!pool) return this.splitCluster(clusterId);
+      
+      const cluster = this._splittableCluster(clusterId);
+      const members = [...cluster.members];
+      const vectors = members.map(m => m.vector);
+      const pair = await pool.farthestPair(vectors, this.arena);
+      
+      // Members are captured up front; any change since then invalidates the scan
+      const unchanged = this.getClusterById(clusterId) === cluster && cluster.members.length === members.length &&
+        cluster.members.every((member, i) => member === members[i] && member.vector === vectors[i]);
+      if (!unchanged) {
+        throw new atomicVDBError('CONFLICT', 'The store was modified while splitClusterAsync() was running');
+      }
+      
+      // Logged as a plain split, which replays to the same clusters
+      if (this._shouldLog()) return this._logged('splitCluster', [clusterId], () => this._splitAround(cluster, pair));
+      return this._splitAround(cluster, pair);
+    }
+  
+    /**
+     * Look up a cluster that can be split
+     * @param {string} clusterId - Cluster ID
+     * @returns {Cluster} The cluster
+     * @private
+     */
+    _splittableCluster(clusterId) {
+      const cluster = this.getClusterById(clusterId);
+      
+      if (!cluster) {
+        throw new atomicVDBError('NOT_FOUND', 'Invalid cluster ID');
+      }
+      
+      if (cluster.members.length < 2) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Cannot split a cluster with fewer than 2 members');
+      }
+      
+      return cluster;
+    }
+  
+    /**
+     * Find the two most distant members of a cluster (the first such pair).
+     * Distance falls as similarity rises for every metric, so this looks for
+     * the least similar pair, as the worker pool does.
+     * @param {VectorEntry[]} members - Cluster members (at least 2)
+     * @returns {number[]} Indices of the two members
+     * @private
+     */
+    _farthestPair(members) {
+      let minSimilarity = Infinity;
+      let center1Index = 0;
+      let center2Index = 1;
+      
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const similarity = this.options.similarityFn(members[i].vector, members[j].vector);
+          
+          if (similarity < minSimilarity) {
+            minSimilarity = similarity;
+            center1Index = i;
+            center2Index = j;
+          }
+        }
+      }
+      
+      return [center1Index, center2Index];
+    }
+  
+    /**
+     * Replace a cluster with two, seeded with two of its members; every
+     * other member joins the more similar seed
+     * @param {Cluster} cluster - The cluster to split
+     * @param {number[]} seeds - Indices of the seed members
+     * @returns {string[]} IDs of the resulting clusters
+     * @private
+     */
+    _splitAround(cluster, [center1Index, center2Index]) {
+      const clusterId = cluster.id;
+      
+      // Create two new clusters
+      const cluster1Id = this._newId();
+      const cluster2Id = this._newId();
+      
+      const cluster1 = {
+        id: cluster1Id,
+        center: this._newCenter(cluster.members[center1Index].vector),
+        members: [cluster.members[center1Index]],
+        radius: 0
+      };
+      
+      const cluster2 = {
+        id: cluster2Id,
+        center: this._newCenter(cluster.members[center2Index].vector),
+        members: [cluster.members[center2Index]],
+        radius: 0
+      };
+      
+      // Update index for initial members
+      this.vectorToCluster[cluster.members[center1Index].id] = cluster1Id;
+      this.vectorToCluster[cluster.members[center2Index].id] = cluster2Id;
+      
+      // Assign remaining vectors to the closest center
+      for (let i = 0; i < cluster.members.length; i++) {
+        if (i === center1Index || i === center2Index) continue;
+        
+        const member = cluster.members[i];
+        const sim1 = this.options.similarityFn(member.vector, cluster1.center);
+        const sim2 = this.options.similarityFn(member.vector, cluster2.center);
+        
+        // Ties (such as duplicate vectors) go to the smaller side so the halves stay balanced
+        if (sim1 > sim2 || (sim1 === sim2 && cluster1.members.length <= cluster2.members.length)) {
+          cluster1.members.push(member);
+          this.vectorToCluster[member.id] = cluster1Id;
+        } else {
+          cluster2.members.push(member);
+          this.vectorToCluster[member.id] = cluster2Id;
+        }
+      }
+      
+      // Recalculate centers
+      if (this.options.recalculateCenters) {
+        cluster1.center = this._recalculateCenter(cluster1);
+        cluster2.center = this._recalculateCenter(cluster2);
+      }
+      
+      // Update radii
+      this._updateClusterRadius(cluster1);
+      this._updateClusterRadius(cluster2);
+      
+      // Replace the old cluster with the two new ones
+      this.clusters = this.clusters.filter(c => c.id !== clusterId);
+      this.clusters.push(cluster1, cluster2);
+      
+      if (this.clusterTree) {
+        this.clusterTree.remove(cluster);
+        this.clusterTree.add(cluster1);
+        this.clusterTree.add(cluster2);
+      }
+      
+      return [cluster1Id, cluster2Id];
+    }
+  
+    /**
+     * Apply a cluster maintenance policy to every cluster: dissolve clusters
+     * that are too small into their nearest neighbours, merge clusters whose
+     * centers are too similar, and split clusters that are too wide or too
+     * large. Splits that would exceed `maxClusters` are skipped and reported.
+     * @param {Object} [policy] - Rules to apply (defaults to the `autoMaintain` option)
+     * @param {number} [policy.maxRadius] - Split clusters whose radius exceeds this distance
+     * @param {number} [policy.maxSize] - Split clusters with more members than this
+     * @param {number} [policy.minSize] - Dissolve clusters with fewer members than this
+     * @param {number} [policy.mergeSimilarity] - Merge clusters whose centers are at least this similar
+     * @returns {{split: Object[], merged: Object[], dissolved: Object[], skipped: Object[]}} Actions taken
+     */
+    maintain(policy = this.options.autoMaintain ?? {}) {
+      if (this._shouldLog()) return this._logged('maintain', [policy], () => this.maintain(policy));
+      
+      return this._maintain(policy, null, ['dissolve', 'merge', 'split']);
+    }
+  
+    /**
+     * Apply the `autoMaintain` policy, if any, to clusters affected by a mutation
+     * @param {string[]} clusterIds - IDs of the affected clusters
+     * @param {string[]} actions - Rules worth checking: `'split'` and `'merge'` after clusters grow, `'dissolve'` and `'merge'` after they shrink
+     * @private
+     */
+    _autoMaintain(clusterIds, actions) {
+      if (this.options.autoMaintain) {
+        this._maintain(this.options.autoMaintain, clusterIds, actions);
+      }
+    }
+  
+    /**
+     * Apply maintenance rules to a set of clusters
+     * @param {Object} policy - Rules to apply (see `maintain()`)
+     * @param {string[]|null} clusterIds - Clusters to examine, or null for all; clusters changed along the way are added
+     * @param {string[]} actions - Which of `'dissolve'`, `'merge'` and `'split'` to run
+     * @returns {{split: Object[], merged: Object[], dissolved: Object[], skipped: Object[]}} Actions taken
+     * @private
+     */
+    _maintain(policy, clusterIds, actions) {
+      const { maxRadius = null, maxSize = null, minSize = null, mergeSimilarity = null } = policy;
+      const report = { split: [], merged: [], dissolved: [], skipped: [] };
+      
+      const scope = clusterIds && new Set(clusterIds);
+      const inScope = cluster => !scope || scope.has(cluster.id);
+      const touch = cluster => scope && scope.add(cluster.id);
+      
+      // Dissolve clusters that are too small, moving each member to its nearest remaining cluster
+      if (actions.includes('dissolve') && minSize !== null) {
+        for (const cluster of this.clusters.filter(c => inScope(c) && c.members.length < minSize)) {
+          if (cluster.members.length >= minSize) continue; // Grew while absorbing an earlier cluster
+          if (this.clusters.length < 2) break;
+          
+          const others = this.clusters.filter(c => c !== cluster);
+          const centers = others.map(c => c.center);
+          const targets = new Set();
+          
+          for (const member of cluster.members) {
+            const target = others[this._nearestCenter(member.vector, centers).index];
+            target.members.push(member);
+            this.vectorToCluster[member.id] = target.id;
+            targets.add(target);
+          }
+          
+          this.clusters = others;
+          if (this.clusterTree) this.clusterTree.remove(cluster);
+          for (const target of targets) {
+            if (this.options.recalculateCenters) {
+              target.center = this._recalculateCenter(target);
+            }
+            this._updateClusterRadius(target);
+            if (this.clusterTree) this.clusterTree.update(target);
+            touch(target);
+          }
+          
+          report.dissolved.push({
+            clusterId: cluster.id,
+            size: cluster.members.length,
+            movedTo: [...targets].map(t => t.id)
+          });
+        }
+      }
+      
+      // Merge the most similar pair of centers until none is above the threshold,
+      // skipping pairs that would immediately be split again for size
+      if (actions.includes('merge') && mergeSimilarity !== null) {
+        for (;;) {
+          let best = null;
+          
+          for (let i = 0; i < this.clusters.length; i++) {
+            for (let j = i + 1; j < this.clusters.length; j++) {
+              const a = this.clusters[i];
+              const b = this.clusters[j];
+              if (!inScope(a) && !inScope(b)) continue;
+              if (maxSize !== null && a.members.length + b.members.length > maxSize) continue;
+              
+              const similarity = this.options.similarityFn(a.center, b.center);
+              if (similarity >= mergeSimilarity && (!best || similarity > best.similarity)) {
+                best = { a, b, similarity };
+              }
+            }
+          }
+          
+          if (!best) break;
+          
+          // Keep the larger cluster's ID
+          const [kept, merged] = best.a.members.length >= best.b.members.length
+            ? [best.a, best.b]
+            : [best.b, best.a];
+          this.mergeClusters(kept.id, merged.id);
+          touch(kept);
+          
+          report.merged.push({ clusterId: kept.id, mergedId: merged.id, similarity: best.similarity });
+        }
+      }
+      
+      // Split clusters that are too large or too wide, re-checking the halves
+      if (actions.includes('split') && (maxRadius !== null || maxSize !== null)) {
+        const reasonToSplit = cluster => {
+          if (cluster.members.length < 2) return null;
+          if (maxSize !== null && cluster.members.length > maxSize) return 'size';
+          if (maxRadius !== null && cluster.radius > maxRadius) return 'radius';
+          return null;
+        };
+        
+        const queue = this.clusters.filter(c => inScope(c) && reasonToSplit(c));
+        while (queue.length > 0) {
+          if (this.clusters.length >= this.options.maxClusters) {
+            for (const cluster of queue) {
+              report.skipped.push({ action: 'split', clusterId: cluster.id, reason: 'maxClusters' });
+            }
+            break;
+          }
+          
+          const cluster = queue.shift();
+          const reason = reasonToSplit(cluster);
+          const into = this.splitCluster(cluster.id);
+          report.split.push({ clusterId: cluster.id, into, reason });
+          
+          for (const id of into) {
+            const half = this.getClusterById(id);
+            if (reasonToSplit(half)) queue.push(half);
+          }
+        }
+      }
+      
+      return report;
+    }
+  
+    /**
+     * Pick up to `sampleSize` entries spread evenly over the store
+     * @param {number} sampleSize - Maximum number of entries
+     * @returns {VectorEntry[]} The sample
+     * @private
+     */
+    _sampleEntries(sampleSize) {
+      const entries = Object.values(this.vectorIndex);
+      const step = Math.max(1, Math.floor(entries.length / sampleSize));
+      return entries.filter((_, i) => i % step === 0).slice(0, sampleSize);
+    }
+  
+    /**
+     * Distance between two vectors under the store's metric, clamped at zero
+     * @param {ArrayLike<number>} a - First vector
+     * @param {ArrayLike<number>} b - Second vector
+     * @returns {number} The distance
+     * @private
+     */
+    _distance(a, b) {
+      return Math.max(0, this._toDistance(this.options.similarityFn(a, b)));
+    }
+  
+    /**
+     * Get statistics about the vector store
+     * @param {Object} [options] - Statistics options
+     * @param {boolean} [options.quality=false] - Also compute cluster quality metrics (see `quality` below)
+     * @param {number} [options.sampleSize=1000] - Vectors sampled for the silhouette score, which is quadratic in their number
+     * @returns {Object} Statistics about the store; with `quality`, `stats.quality` holds the silhouette score
+     *   (-1 to 1, higher is better), Davies–Bouldin index (lower is better), mean member-to-center distance,
+     *   center separation, radius distribution and size imbalance. Distances follow the store's metric.
+     */
+    getStats(options = {}) {
+      const { quality = false, sampleSize = 1000 } = options;
+      
+      const numClusters = this.clusters.length;
+      const numVectors = Object.keys(this.vectorIndex).length;
+      const dimensions = this.dimensions;
+      
+      let minClusterSize = Infinity;
+      let maxClusterSize = 0;
+      let avgClusterSize = 0;
+      
+      for (const cluster of this.clusters) {
+        const size = cluster.members.length;
+        minClusterSize = Math.min(minClusterSize, size);
+        maxClusterSize = Math.max(maxClusterSize, size);
+        avgClusterSize += size;
+      }
+      
+      if (numClusters > 0) {
+        avgClusterSize /= numClusters;
+      } else {
+        minClusterSize = 0;
+      }
+      
+      const stats = {
+        numVectors,
+        numClusters,
+        dimensions,
+        clusterStats: {
+          min: minClusterSize,
+          max: maxClusterSize,
+          avg: avgClusterSize
+        }
+      };
+      
+      // Memory used by vector data, compared with storing every vector at full precision
+      const bytesPerElement = VECTOR_TYPES[this.options.vectorType].BYTES_PER_ELEMENT;
+      const fullPrecisionBytes = numVectors * (dimensions || 0) * bytesPerElement;
+      const quantized = Boolean(this.quantizer && this.quantizer.trained);
+      const vectorBytes = quantized && !this.options.quantization.keepVectors ? 0 : fullPrecisionBytes;
+      const codeBytes = quantized ? this.quantizer.codeBytes + this.quantizer.parameterBytes : 0;
+      const bytesUsed = vectorBytes + codeBytes;
+      
+      stats.memory = {
+        vectorBytes,
+        codeBytes,
+        centerBytes: numClusters * (dimensions || 0) * bytesPerElement,
+        bytesUsed,
+        compressionRatio: bytesUsed > 0 ? fullPrecisionBytes / bytesUsed : 1
+      };
+      
+      if (this.clusterTree) {
+        stats.hierarchy = {
+          depth: this.clusterTree.depth,
+          branching: this.clusterTree.branching
+        };
+      }
+      
+      if (this.hnsw) {
+        stats.hnsw = {
+          nodes: this.hnsw.size,
+          tombstones: this.hnsw.deletedCount,
+          maxLevel: this.hnsw.maxLevel
+        };
+      }
+      
+      if (quality) {
+        stats.quality = this._clusterQuality(sampleSize);
+      }
+      
+      return stats;
+    }
+  
+    /**
+     * Compute cluster quality metrics for `getStats({quality: true})`
+     * @param {number} sampleSize - Vectors sampled for the silhouette score
+     * @returns {Object} Quality metrics
+     * @private
+     */
+    _clusterQuality(sampleSize) {
+      const clusters = this.clusters;
+      const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+      
+      // Mean member-to-center distance per cluster (the "scatter" used by Davies–Bouldin)
+      const scatter = clusters.map(c => mean(c.members.map(m => this._distance(m.vector, c.center))));
+      const numVectors = clusters.reduce((sum, c) => sum + c.members.length, 0);
+      const intraClusterDistance = numVectors > 0
+        ? clusters.reduce((sum, c, i) => sum + scatter[i] * c.members.length, 0) / numVectors
+        : 0;
+      
+      // Pairwise center distances
+      const centerDistances = clusters.map(() => []);
+      const separations = [];
+      for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+          const d = this._distance(clusters[i].center, clusters[j].center);
+          centerDistances[i][j] = centerDistances[j][i] = d;
+          separations.push(d);
+        }
+      }
+      
+      let daviesBouldin = null;
+      if (clusters.length > 1) {
+        daviesBouldin = mean(clusters.map((_, i) => {
+          let worst = 0;
+          for (let j = 0; j < clusters.length; j++) {
+            if (j === i) continue;
+            const d = centerDistances[i][j];
+            worst = Math.max(worst, d > 0 ? (scatter[i] + scatter[j]) / d : Infinity);
+          }
+          return worst;
+        }));
+      }
+      
+      // Silhouette over a sample: compare each vector's mean distance to its own
+      // cluster with its mean distance to the nearest other cluster
+      const sample = this._sampleEntries(sampleSize);
+      let silhouette = null;
+      if (clusters.length > 1 && sample.length > 1) {
+        const byCluster = new Map(clusters.map(c => [c.id, []]));
+        for (const entry of sample) {
+          byCluster.get(this.vectorToCluster[entry.id])?.push(entry);
+        }
+        
+        const scores = [];
+        for (const [clusterId, members] of byCluster) {
+          for (const entry of members) {
+            if (members.length < 2) {
+              scores.push(0);
+              continue;
+            }
+            
+            const a = mean(members.filter(m => m !== entry).map(m => this._distance(entry.vector, m.vector)));
+            let b = Infinity;
+            for (const [otherId, others] of byCluster) {
+              if (otherId === clusterId || others.length === 0) continue;
+              b = Math.min(b, mean(others.map(m => this._distance(entry.vector, m.vector))));
+            }
+            
+            const denominator = Math.max(a, b);
+            scores.push(b === Infinity || denominator === 0 ? 0 : (b - a) / denominator);
+          }
+        }
+        silhouette = mean(scores);
+      }
+      
+      const radii = clusters.map(c => c.radius).sort((a, b) => a - b);
+      const sizes = clusters.map(c => c.members.length);
+      const avgSize = mean(sizes);
+      const sizeStdDev = Math.sqrt(mean(sizes.map(size => (size - avgSize) ** 2)));
+      
+      return {
+        sampleSize: sample.length,
+        silhouette,
+        daviesBouldin,
+        intraClusterDistance,
+        interCentroidDistance: {
+          min: separations.length > 0 ? Math.min(...separations) : null,
+          avg: separations.length > 0 ? mean(separations) : null
+        },
+        radius: {
+          min: radii.length > 0 ? radii[0] : 0,
+          avg: mean(radii),
+          p50: percentile(radii, 50),
+          p90: percentile(radii, 90),
+          max: radii.length > 0 ? radii[radii.length - 1] : 0
+        },
+        imbalance: {
+          coefficientOfVariation: avgSize > 0 ? sizeStdDev / avgSize : 0,
+          maxToAvg: avgSize > 0 ? Math.max(...sizes) / avgSize : 0
+        }
+      };
+    }
+  
+    /**
+     * Sweep `clusterThreshold` over a sample of the stored vectors: for each
+     * candidate value the sample is clustered in a scratch store and scored
+     * for cluster quality and search recall. The store itself is unchanged.
+     * @param {Object} [options] - Sweep options; other search options are passed to the recall measurement
+     * @param {number[]} [options.thresholds] - Values to try (defaults to 0.5–0.95)
+     * @param {number} [options.sampleSize=1000] - Number of stored vectors to cluster per trial
+     * @param {number} [options.queries=50] - Number of sampled vectors used as recall queries
+     * @param {number} [options.k=10] - Number of neighbours to compare (recall@k)
+     * @returns {{threshold: number, trials: Object[]}} The threshold with the best silhouette score
+     *   (ties go to fewer clusters) and, per threshold, the cluster count, quality metrics, recall and clusters visited
+     */
+    suggestThreshold(options = {}) {
+      const {
+        thresholds = [0.5, 0.6, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95],
+        sampleSize = 1000,
+        queries = 50,
+        k = 10,
+        ...searchOptions
+      } = options;
+      
+      const sample = this._sampleEntries(sampleSize).map(e => e.vector);
+      if (sample.length < 2) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'suggestThreshold requires at least 2 stored vectors');
+      }
+      const querySample = sample.filter((_, i) => i % Math.max(1, Math.floor(sample.length / queries)) === 0).slice(0, queries);
+      
+      // Cluster with the store's own settings, minus the parts that don't affect clustering
+      const { quantization, hnsw, ...storeOptions } = this._exportOptions();
+      
+      const trials = thresholds.map(clusterThreshold => {
+        const scratch = new atomicVDB({
+          ...storeOptions,
+          similarityFn: this.options.similarityFn,
+          indexType: 'clusters',
+          clusterThreshold
+        });
+        scratch.insertMany(sample);
+        
+        const { numClusters, clusterStats, quality } = scratch.getStats({ quality: true, sampleSize });
+        const report = scratch.evaluate(querySample, { ...searchOptions, k });
+        
+        return {
+          threshold: clusterThreshold,
+          numClusters,
+          avgClusterSize: clusterStats.avg,
+          silhouette: quality.silhouette,
+          daviesBouldin: quality.daviesBouldin,
+          intraClusterDistance: quality.intraClusterDistance,
+          recall: report.recall.mean,
+          clustersVisited: report.clustersVisited.mean,
+          reachedMaxClusters: numClusters >= this.options.maxClusters
+        };
+      });
+      
+      // Best silhouette wins; a single cluster has no silhouette and ranks last
+      const best = trials.reduce((a, b) => {
+        const sa = a.silhouette ?? -Infinity;
+        const sb = b.silhouette ?? -Infinity;
+        if (sb > sa) return b;
+        if (sb === sa && b.numClusters < a.numClusters) return b;
+        return a;
+      });
+      
+      return { threshold: best.threshold, trials };
+    }
+  
+    /**
+     * Export the store for serialization. The payload carries its format
+     * `version` and a `checksum` of its contents, which `import()` verifies.
+     * @returns {Object} Serializable representation of the store
+     */
+    export() {
+      const data = {
+        version: EXPORT_VERSION,
+        dimensions: this.dimensions,
+        options: this._exportOptions(),
+        clusters: this.clusters.map(cluster => ({
+          id: cluster.id,
+          center: Array.from(cluster.center),
+          members: cluster.members.map(({ id, vector, metadata, expiresAt }) => ({
+            id,
+            vector: Array.from(vector),
+            metadata,
+            expiresAt
+          })),
+          radius: cluster.radius
+        })),
+        vectorToCluster: { ...this.vectorToCluster },
+        indexes: this.listIndexes(),
+        hnsw: this.hnsw ? this.hnsw.toJSON() : undefined,
+        quantizer: this.quantizer && this.quantizer.trained ? this.quantizer.toJSON() : undefined
+      };
+      data.checksum = exportChecksum(data);
+      return data;
+    }
+  
+    /**
+     * Export the store in the compact binary format. Vectors and centers are
+     * written as raw little-endian arrays; options and metadata as JSON blocks.
+     * @param {Object} [options] - Export options
+     * @param {'float32'|'float64'|'float16'|'int8'} [options.dtype] - Element encoding (defaults to the store's `vectorType`); `int8` stores one scale per vector
+     * @returns {ArrayBuffer} The encoded store
+     */
+    exportBinary(options = {}) {
+      const { dtype = this.options.vectorType } = options;
+      
+      const entries = [];
+      for (const cluster of this.clusters) {
+        entries.push(...cluster.members);
+      }
+      
+      return encodeBinary({
+        dtype,
+        dimensions: this.dimensions || 0,
+        options: this._exportOptions(),
+        centers: this.clusters.map(c => c.center),
+        vectors: entries.map(e => e.vector),
+        metadata: {
+          clusters: this.clusters.map(c => ({ id: c.id, radius: c.radius, size: c.members.length })),
+          entries: entries.map(({ id, metadata, expiresAt }) => ({ id, metadata, expiresAt })),
+          indexes: this.listIndexes(),
+          hnsw: this.hnsw ? this.hnsw.toJSON() : undefined,
+          quantizer: this.quantizer && this.quantizer.trained ? this.quantizer.toJSON() : undefined
+        }
+      });
     }
   
     /**
-     * Get all vectors in the store
-     * @returns {VectorEntry[]} All vector entries
+     * Serializable copy of the store options
+     * @returns {Object} Options without function values
+     * @private
      */
-    getAllVectors() {
-      return Object.values(this.vectorIndex);
+    _exportOptions() {
+      // Functions don't survive serialization; the metric is stored by name
+      // and built-in embedders by their configuration
+      const { similarityFn, embedder, ...options } = this.options;
+      if (embedder && typeof embedder.toJSON === 'function') {
+        options.embedder = embedder.toJSON();
+      } else {
+        delete options.embedding;
+      }
+      return options;
     }
   
     /**
-     * Find the most similar vectors to the query vector
-     * @param {number[]} queryVector - The vector to compare against
-     * @param {Object} [options] - Search options
-     * @param {number} [options.limit=10] - Maximum number of results
-     * @param {number} [options.minSimilarity=0] - Minimum similarity threshold
-     * @param {boolean} [options.searchAllClusters=false] - Whether to search in all clusters
-     * @returns {SearchResult[]} The most similar vectors with their similarity scores
+     * Load clusters, entries and derived structures into an empty store
+     * @param {Object} data - Store contents
+     * @param {number|null} data.dimensions - Vector dimensions
+     * @param {Cluster[]} data.clusters - Clusters with their member entries; a `null` center or radius is recomputed
+     * @param {{field: string, type: string}[]} [data.indexes] - Secondary index definitions
+     * @param {Object} [data.hnsw] - Serialized HNSW graph
+     * @param {Object} [data.quantizer] - Trained quantizer parameters
+     * @private
      */
-    search(queryVector, options = {}) {
-      const {
-        limit = 10,
-        minSimilarity = 0,
-        searchAllClusters = false
-      } = options;
+    _restore(data) {
+      this.dimensions = data.dimensions || null;
+      this.clusters = [];
+      this.vectorIndex = {};
+      this.vectorToCluster = {};
+      this._accessOrder = new Map();
       
-      if (this.clusters.length === 0) {
-        return [];
+      // Restore the trained quantizer first so entries are encoded as they are created
+      if (data.quantizer && this.options.quantization) {
+        this.quantizer = this._createQuantizer();
+        this.quantizer.load(data.quantizer);
       }
       
-      // Validate vector dimensions
-      if (queryVector.length !== this.dimensions) {
-        throw new Error(`Vector dimension mismatch: expected ${this.dimensions}, got ${queryVector.length}`);
+      // Copy vectors into contiguous storage and rebuild the vector index
+      for (const cluster of data.clusters) {
+        const members = cluster.members.map(({ id, vector, metadata, expiresAt }) =>
+          this._createEntry(id, vector, metadata ?? null, expiresAt)
+        );
+        
+        for (const entry of members) {
+          this.vectorIndex[entry.id] = entry;
+          this._accessOrder.set(entry.id, true);
+          this.vectorToCluster[entry.id] = cluster.id;
+        }
+        
+        const restored = { id: cluster.id, center: null, members, radius: cluster.radius };
+        restored.center = cluster.center ? this._newCenter(cluster.center) : this._recalculateCenter(restored);
+        if (restored.radius == null) this._updateClusterRadius(restored);
+        this.clusters.push(restored);
       }
       
-      const results = [];
+      if (this.clusterTree) this.clusterTree.rebuild(this.clusters);
       
-      if (searchAllClusters) {
-        // Search all vectors regardless of clusters
-        for (const entry of Object.values(this.vectorIndex)) {
-          const similarity = this.options.similarityFn(queryVector, entry.vector);
-          
-          if (similarity >= minSimilarity) {
-            results.push({
-              entry,
-              similarity,
-              clusterId: this.vectorToCluster[entry.id]
-            });
+      // Restore the HNSW graph, or build it if the export did not include one
+      if (this.hnsw) {
+        if (data.hnsw) {
+          this.hnsw.load(data.hnsw, id => (this.vectorIndex[id] ? this.vectorIndex[id].vector : null));
+        } else {
+          for (const entry of Object.values(this.vectorIndex)) {
+            this.hnsw.insert(entry.id, entry.vector);
           }
         }
-      } else {
-        // First, find clusters that might contain similar vectors
-        const clusterSimilarities = this.clusters.map(cluster => ({
-          cluster,
-          similarity: this.options.similarityFn(queryVector, cluster.center)
-        }));
+      }
+      
+      // Rebuild secondary indexes
+      for (const { field, type } of data.indexes || []) {
+        this.createIndex(field, { type });
+      }
+      
+      // The keyword index is cheap to rebuild and isn't exported
+      if (this.textIndex) {
+        this.textIndex = new TextIndex(this.options.textFields);
+        for (const entry of Object.values(this.vectorIndex)) {
+          this.textIndex.add(entry);
+        }
+      }
+    }
+  
+    /**
+     * Import data into the store. The checksum is verified and older
+     * format versions are migrated first. By default the contents are
+     * trusted; with `validate` they are checked for inconsistencies
+     * (see `atomicVDB.validateExport()`), and with `repair` the problems
+     * are fixed instead of rejected.
+     * @param {Object} data - Data exported from another store
+     * @param {Object} [options] - Import options
+     * @param {boolean} [options.validate=false] - Check the contents and throw if any issue is found (the error has an `issues` array)
+     * @param {boolean} [options.repair=false] - Check the contents and repair them: drop unusable entries and clusters, recompute bad centers and radii, rebuild the cluster mapping
+     * @param {Function} [options.onIssues] - With `repair`, called with the {@link ExportIssue} list when anything was repaired
+     * @param {boolean} [options.verifyChecksum=true] - Whether to verify the checksum; with `validate` or `repair` a mismatch is reported as an issue
+     * @returns {atomicVDB} The updated store instance
+     */
+    static import(data, options = {}) {
+      data = atomicVDB._prepareImport(data, options);
+      const store = atomicVDB._fromOptions(data.options);
+      store._restore(data);
+      return store;
+    }
+  
+    /**
+     * Check an export for inconsistencies without importing it: a checksum
+     * mismatch, missing or wrong dimensions, non-finite vector values,
+     * invalid or duplicate IDs, invalid centers and radii, empty clusters,
+     * `vectorToCluster` entries that point to unknown clusters or missing
+     * entries, and an HNSW graph that doesn't match the entries
+     * @param {Object} data - Data from `export()`
+     * @param {Object} [options] - Validation options
+     * @param {boolean} [options.verifyChecksum=true] - Whether to check the checksum
+     * @returns {{valid: boolean, issues: ExportIssue[]}} Validation report
+     */
+    static validateExport(data, options = {}) {
+      const { verifyChecksum = true } = options;
+      const issues = atomicVDB._checksumIssues(data, verifyChecksum);
+      issues.push(...checkExport(migrateExport(data), false).issues);
+      return { valid: issues.length === 0, issues };
+    }
+  
+    /**
+     * Register a migration for JSON exports of an older format version,
+     * replacing the built-in one. Migrations run in sequence on import,
+     * each turning a payload of `fromVersion` into one of `fromVersion + 1`.
+     * @param {number} fromVersion - Version the migration upgrades from (exports without a version are version 1)
+     * @param {Function} migrate - Function taking the old payload and returning the upgraded one
+     */
+    static registerMigration(fromVersion, migrate) {
+      if (!Number.isInteger(fromVersion) || fromVersion < 1 || fromVersion >= EXPORT_VERSION) {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Migrations must start from a version between 1 and ${EXPORT_VERSION - 1}`);
+      }
+      if (typeof migrate !== 'function') {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Migration must be a function');
+      }
+      exportMigrations.set(fromVersion, migrate);
+    }
+  
+    /**
+     * Checksum issues of an export; exports without a checksum have none
+     * @param {Object} data - Export payload
+     * @param {boolean} verifyChecksum - Whether to check at all
+     * @returns {ExportIssue[]} A 'checksum' issue, or nothing
+     * @private
+     */
+    static _checksumIssues(data, verifyChecksum) {
+      if (!data || typeof data !== 'object') {
+        throw new atomicVDBError('INVALID_DATA', 'Invalid export: expected an object');
+      }
+      if (!verifyChecksum || data.checksum === undefined || data.checksum === exportChecksum(data)) {
+        return [];
+      }
+      return [{ type: 'checksum', message: 'The export checksum does not match its contents' }];
+    }
+  
+    /**
+     * Verify, migrate and (optionally) validate or repair an export before it is restored
+     * @param {Object} data - Export payload
+     * @param {Object} options - Options of `import()`
+     * @returns {Object} Payload ready for `_restore()`
+     * @private
+     */
+    static _prepareImport(data, options) {
+      const { validate = false, repair = false, onIssues, verifyChecksum = true } = options;
+      
+      const issues = atomicVDB._checksumIssues(data, verifyChecksum);
+      if (issues.length > 0 && !validate && !repair) {
+        throw new atomicVDBError('INVALID_DATA', 'Invalid export: checksum mismatch');
+      }
+      
+      data = migrateExport(data);
+      if (!validate && !repair) return data;
+      
+      const checked = checkExport(data, repair);
+      issues.push(...checked.issues);
+      if (issues.length > 0) {
+        if (!repair) {
+          const types = [...new Set(issues.map(issue => issue.type))];
+          const error = new atomicVDBError('INVALID_DATA', `Invalid export: ${issues.length} issue(s) found (${types.join(', ')})`);
+          error.issues = issues;
+          throw error;
+        }
+        if (onIssues) onIssues(issues);
+      }
+      return checked.data;
+    }
+  
+    /**
+     * Import a store produced by `exportBinary()`. A file checksum mismatch
+     * throws unless `verifyChecksum` is false; `validate` and `repair` work
+     * as in `import()`.
+     * @param {ArrayBuffer|ArrayBufferView} buffer - Encoded store (an ArrayBuffer, Uint8Array or Node Buffer)
+     * @param {Object} [options] - Import options, as for `import()`
+     * @returns {atomicVDB} The imported store
+     */
+    static importBinary(buffer, options = {}) {
+      const decoded = decodeBinary(buffer, options.verifyChecksum ?? true);
+      
+      // Re-attach members to their clusters; vectors are stored cluster by cluster
+      let offset = 0;
+      const clusters = decoded.metadata.clusters.map((cluster, i) => {
+        const members = [];
+        for (let j = 0; j < cluster.size; j++, offset++) {
+          members.push({
+            id: decoded.metadata.entries[offset].id,
+            vector: decoded.vectors[offset],
+            metadata: decoded.metadata.entries[offset].metadata,
+            expiresAt: decoded.metadata.entries[offset].expiresAt
+          });
+        }
+        return { id: cluster.id, center: decoded.centers[i], members, radius: cluster.radius };
+      });
+      
+      // The binary format has no separate cluster mapping; it follows membership
+      const vectorToCluster = {};
+      for (const cluster of clusters) {
+        for (const { id } of cluster.members) vectorToCluster[id] = cluster.id;
+      }
+      
+      const data = {
+        version: EXPORT_VERSION,
+        dimensions: decoded.dimensions,
+        options: decoded.options,
+        clusters,
+        vectorToCluster,
+        indexes: decoded.metadata.indexes,
+        hnsw: decoded.metadata.hnsw,
+        quantizer: decoded.metadata.quantizer
+      };
+      const prepared = atomicVDB._prepareImport(data, { ...options, verifyChecksum: false });
+      const store = atomicVDB._fromOptions(prepared.options);
+      store._restore(prepared);
+      return store;
+    }
+  
+    /**
+     * Take a cheap point-in-time snapshot that `restore()` can return to.
+     * Vectors are shared with the live store rather than copied; storage
+     * slots they occupy are not reused until the snapshot is dropped.
+     * Snapshots live in memory only.
+     * @returns {string} Snapshot ID
+     */
+    snapshot() {
+      const id = uuid();
+      this._snapshots.set(id, this._captureState());
+      return id;
+    }
+  
+    /**
+     * Return the store to a snapshot. The snapshot stays available until
+     * dropped. With a storage adapter attached, a storage snapshot of the
+     * restored state is written.
+     * @param {string} snapshotId - ID from `snapshot()`
+     */
+    restore(snapshotId) {
+      const state = this._snapshots.get(snapshotId);
+      if (!state) {
+        throw new atomicVDBError('NOT_FOUND', `Unknown snapshot: ${snapshotId}`);
+      }
+      
+      this._applyState(state);
+      
+      // The logs no longer lead to the current state; replace the write-ahead
+      // log with a snapshot and make replicas resynchronize
+      if (this.storage) this._enqueueStorage(() => this._writeSnapshot());
+      if (this._changeLog) this._resetChangeLog();
+    }
+  
+    /**
+     * Discard a snapshot and free the storage only it was holding
+     * @param {string} snapshotId - ID from `snapshot()`
+     * @returns {boolean} Whether the snapshot existed
+     */
+    dropSnapshot(snapshotId) {
+      const existed = this._snapshots.delete(snapshotId);
+      if (existed) this._reclaimStorage();
+      return existed;
+    }
+  
+    /**
+     * List the IDs of snapshots that have not been dropped
+     * @returns {string[]} Snapshot IDs
+     */
+    listSnapshots() {
+      return [...this._snapshots.keys()];
+    }
+  
+    /**
+     * Run a function that mutates the store, keeping all of its changes or
+     * none. If it throws (or its promise rejects) the store is rolled back
+     * to its state before the call and the error is rethrown. Other changes
+     * made while an async function is pending are rolled back with it.
+     * @param {Function} fn - Called with the store; may return a promise
+     * @returns {*} What `fn` returned (a promise if `fn` returned one)
+     */
+    transaction(fn) {
+      const snapshotId = this.snapshot();
+      const startSeq = this.storage ? this._storageState.seq : 0;
+      const startChangeSeq = this.changeSeq;
+      
+      const rollback = err => {
+        this._applyState(this._snapshots.get(snapshotId));
+        this.dropSnapshot(snapshotId);
+        if (this._changeLog) this._discardChanges(startChangeSeq);
         
-        // Sort clusters by similarity to query
-        clusterSimilarities.sort((a, b) => b.similarity - a.similarity);
+        // Unwritten log records can simply be dropped; otherwise overwrite the log
+        if (this.storage && !this._discardLogRecords(startSeq)) {
+          this._enqueueStorage(() => this._writeSnapshot());
+        }
+        throw err;
+      };
+      
+      let result;
+      try {
+        result = fn(this);
+      } catch (err) {
+        rollback(err);
+      }
+      
+      if (result && typeof result.then === 'function') {
+        return result.then(value => {
+          this.dropSnapshot(snapshotId);
+          return value;
+        }, rollback);
+      }
+      
+      this.dropSnapshot(snapshotId);
+      return result;
+    }
+  
+    /**
+     * Drop change-log records made after a sequence number. If a replica
+     * may already have pulled them, the change log starts over instead.
+     * @param {number} seq - Last sequence number to keep
+     * @private
+     */
+    _discardChanges(seq) {
+      const log = this._changeLog;
+      if (this.changeSeq === seq) return;
+      
+      if (log.exportedSeq > seq) {
+        this._resetChangeLog();
+      } else {
+        log.records = log.records.filter(record => record.seq <= seq);
+      }
+    }
+  
+    /**
+     * Drop log records logged after a sequence number, if none has been written yet
+     * @param {number} seq - Last sequence number to keep
+     * @returns {boolean} Whether the records were dropped
+     * @private
+     */
+    _discardLogRecords(seq) {
+      const state = this._storageState;
+      const count = state.seq - seq;
+      const pending = state.pending;
+      
+      if (count > pending.length || (count > 0 && pending[pending.length - count].seq !== seq + 1)) {
+        return false;
+      }
+      
+      pending.splice(pending.length - count, count);
+      state.seq = seq;
+      return true;
+    }
+  
+    /**
+     * Capture the store's state for `snapshot()`, sharing vectors and codes
+     * @returns {Object} Captured state
+     * @private
+     */
+    _captureState() {
+      // Views captured here must survive later removals and updates
+      if (this.arena) this.arena.deferReleases = true;
+      if (this.quantizer && this.quantizer.codeArena) this.quantizer.codeArena.deferReleases = true;
+      
+      return {
+        dimensions: this.dimensions,
+        options: { ...this.options },
+        clusters: this.clusters.map(c => ({ ...c, members: [...c.members] })),
+        entries: Object.values(this.vectorIndex).map(entry => ({
+          entry,
+          metadata: entry.metadata,
+          expiresAt: entry.expiresAt,
+          // Entries without full-precision vectors decode from the quantizer
+          vector: Object.getOwnPropertyDescriptor(entry, 'vector').get ? null : entry.vector
+        })),
+        vectorToCluster: { ...this.vectorToCluster },
+        accessOrder: [...this._accessOrder.keys()],
+        quantizer: this.quantizer ? this._cloneQuantizer(this.quantizer) : null,
+        indexes: this.listIndexes(),
+        hnsw: this.hnsw ? this._cloneGraph(this.hnsw.toJSON()) : null,
+        changeLog: this._changeLog
+          ? { stamps: new Map(this._changeLog.stamps), applied: new Map(this._changeLog.applied) }
+          : null
+      };
+    }
+  
+    /**
+     * Replace the store's state with a captured one, leaving the capture intact
+     * @param {Object} state - State from `_captureState()`
+     * @private
+     */
+    _applyState(state) {
+      // Storage held by the current state becomes reclaimable unless something else holds it
+      for (const entry of Object.values(this.vectorIndex)) {
+        if (this.arena && !Object.getOwnPropertyDescriptor(entry, 'vector').get) this.arena.defer(entry.vector);
+      }
+      if (this.quantizer && this.quantizer.codeArena) {
+        for (const code of this.quantizer.codes.values()) this.quantizer.codeArena.defer(code);
+      }
+      
+      this.dimensions = state.dimensions;
+      this.options = { ...state.options };
+      this.quantizer = state.quantizer ? this._cloneQuantizer(state.quantizer) : null;
+      
+      this.vectorIndex = {};
+      for (const { entry, metadata, expiresAt, vector } of state.entries) {
+        entry.metadata = metadata;
+        if (expiresAt === undefined) delete entry.expiresAt;
+        else entry.expiresAt = expiresAt;
+        if (vector) {
+          Object.defineProperty(entry, 'vector', { value: vector, writable: true, enumerable: true, configurable: true });
+        } else {
+          this._useQuantizedVector(entry);
+        }
+        this.vectorIndex[entry.id] = entry;
+      }
+      
+      this.clusters = state.clusters.map(c => ({ ...c, members: [...c.members] }));
+      if (this.clusterTree) this.clusterTree.rebuild(this.clusters);
+      this.vectorToCluster = { ...state.vectorToCluster };
+      this._accessOrder = new Map(state.accessOrder.map(id => [id, true]));
+      
+      if (this._changeLog && state.changeLog) {
+        this._changeLog.stamps = new Map(state.changeLog.stamps);
+        this._changeLog.applied = new Map(state.changeLog.applied);
+      }
+      
+      if (state.hnsw) {
+        this.hnsw = new HNSWIndex(this.options.hnsw, this.options.similarityFn);
+        this.hnsw.load(this._cloneGraph(state.hnsw), id => (this.vectorIndex[id] ? this.vectorIndex[id].vector : null));
+      }
+      
+      this.indexes = {};
+      for (const { field, type } of state.indexes) {
+        const index = new MetadataIndex(field, type);
+        for (const entry of Object.values(this.vectorIndex)) index.add(entry);
+        this.indexes[field] = index;
+      }
+      
+      if (this.textIndex) {
+        this.textIndex = new TextIndex(this.options.textFields);
+        for (const entry of Object.values(this.vectorIndex)) this.textIndex.add(entry);
+      }
+      
+      this._reclaimStorage();
+    }
+  
+    /**
+     * Free set-aside storage slots that neither the store nor any snapshot
+     * references, and stop setting slots aside once no snapshot remains
+     * @private
+     */
+    _reclaimStorage() {
+      const states = [...this._snapshots.values()];
+      const holding = states.length > 0;
+      
+      if (this.arena) {
+        const live = new Set();
+        for (const entry of Object.values(this.vectorIndex)) live.add(entry.vector);
+        for (const state of states) {
+          for (const { vector } of state.entries) if (vector) live.add(vector);
+        }
+        this.arena.reclaim(live, holding);
+      }
+      
+      const codeArena = this.quantizer && this.quantizer.codeArena;
+      if (codeArena) {
+        const live = new Set(this.quantizer.codes.values());
+        for (const state of states) {
+          if (state.quantizer) for (const code of state.quantizer.codes.values()) live.add(code);
+        }
+        codeArena.reclaim(live, holding);
+      }
+    }
+  
+    /**
+     * Copy a quantizer's parameters and code table; codes themselves are shared
+     * @param {Quantizer} quantizer - The quantizer
+     * @returns {Quantizer} The copy
+     * @private
+     */
+    _cloneQuantizer(quantizer) {
+      return Object.assign(Object.create(Object.getPrototypeOf(quantizer)), quantizer, {
+        codes: new Map(quantizer.codes)
+      });
+    }
+  
+    /**
+     * Deep-copy a serialized HNSW graph's neighbour lists
+     * @param {Object} graph - Graph from `HNSWIndex#toJSON()`
+     * @returns {Object} The copy
+     * @private
+     */
+    _cloneGraph(graph) {
+      return {
+        ...graph,
+        nodes: graph.nodes.map(node => ({ ...node, neighbors: node.neighbors.map(level => [...level]) }))
+      };
+    }
+  
+    /**
+     * Generate an ID for a new entry or cluster. During write-ahead log
+     * replay the IDs recorded with the original call are reused instead.
+     * @returns {string} The ID
+     * @private
+     */
+    _newId() {
+      if (this._replayIds && this._replayIds.length > 0) {
+        return this._replayIds.shift();
+      }
+      
+      const id = uuid();
+      if (this._generatedIds) this._generatedIds.push(id);
+      return id;
+    }
+  
+    /**
+     * Whether the current call should be recorded in the write-ahead log or
+     * the change log (only outermost calls are recorded; nested ones replay
+     * with them)
+     * @returns {boolean} Whether to record
+     * @private
+     */
+    _shouldLog() {
+      return (this.storage !== null || this._changeLog !== null) && this._walDepth === 0;
+    }
+  
+    /**
+     * Run a mutation and record it. The record is written even if the
+     * mutation throws, because it may have partially applied; replay
+     * reproduces the same outcome. Metadata writes are stamped with a new
+     * version for conflict detection when the change log is kept.
+     * @param {string} op - Name of the store method
+     * @param {Array} args - Arguments of the call
+     * @param {Function} apply - Performs the mutation
+     * @returns {*} The mutation's return value
+     * @private
+     */
+    _logged(op, args, apply) {
+      const ids = [];
+      const log = this._changeLog;
+      const base = log && METADATA_OPERATIONS.includes(op) ? log.stamps.get(args[0]) ?? null : undefined;
+      this._walDepth++;
+      this._generatedIds = ids;
+      
+      try {
+        return apply();
+      } finally {
+        this._walDepth--;
+        this._generatedIds = null;
         
-        // Search within clusters, starting with the most similar
-        for (const { cluster, similarity } of clusterSimilarities) {
-          // Skip clusters that are too dissimilar
-          if (similarity < minSimilarity) continue;
-          
-          // Search within this cluster
-          for (const entry of cluster.members) {
-            const similarity = this.options.similarityFn(queryVector, entry.vector);
-            
-            if (similarity >= minSimilarity) {
-              results.push({
-                entry,
-                similarity,
-                clusterId: cluster.id
-              });
-            }
+        const record = { op, args, ids };
+        if (log) {
+          record.origin = this.replicaId;
+          record.originSeq = this.changeSeq + 1;
+          if (base !== undefined && this.vectorIndex[args[0]]) {
+            record.base = base;
+            record.stamp = { time: Date.now(), replica: this.replicaId, seq: record.originSeq };
           }
-          
-          // If we have enough results, stop searching
-          if (results.length >= limit) break;
+          this._trackChange(record);
         }
+        this._record(record);
       }
+    }
+  
+    /**
+     * Append a mutation record to the change log and the write-ahead log,
+     * numbering it in each
+     * @param {Object} record - Operation, arguments, generated IDs and change-log fields
+     * @private
+     */
+    _record(record) {
+      const serialize = numbered => JSON.stringify(numbered, (key, value) =>
+        (isVectorLike(value) && !Array.isArray(value) ? Array.from(value) : value)
+      );
       
-      // Sort results by similarity (highest first)
-      results.sort((a, b) => b.similarity - a.similarity);
+      const log = this._changeLog;
+      if (log) {
+        const seq = ++this.changeSeq;
+        log.records.push({ seq, record: serialize({ seq, ...record }) });
+        
+        const excess = log.records.length - this.options.changeLog.maxRecords;
+        if (excess > 0) log.floor = log.records.splice(0, excess).pop().seq;
+      }
       
-      // Limit the number of results
-      return results.slice(0, limit);
+      const state = this._storageState;
+      if (state) {
+        const seq = ++state.seq;
+        state.pending.push({ seq, record: serialize({ seq, ...record }) });
+        this._scheduleWrite();
+      }
     }
   
     /**
-     * Get a vector by its ID
-     * @param {string} id - The ID of the vector to retrieve
-     * @returns {VectorEntry|null} The vector entry, or null if not found
+     * Update metadata version stamps and the latest change seen from each
+     * origin after a change is made, applied or replayed
+     * @param {Object} record - The change
+     * @private
      */
-    getVectorById(id) {
-      return this.vectorIndex[id] || null;
+    _trackChange(record) {
+      const log = this._changeLog;
+      const id = record.args[0];
+      
+      if (record.op === 'removeVector') {
+        log.stamps.delete(id);
+      } else if (record.stamp && this.vectorIndex[id]) {
+        log.stamps.set(id, record.stamp);
+      }
+      
+      if (record.origin !== undefined && record.originSeq > (log.applied.get(record.origin) ?? 0)) {
+        log.applied.set(record.origin, record.originSeq);
+      }
     }
   
     /**
-     * Remove a vector from the store
-     * @param {string} id - The ID of the vector to remove
-     * @returns {boolean} Whether the vector was successfully removed
+     * Queue pending log records for writing, batching records produced in
+     * the same tick, and compact once enough records have accumulated
+     * @private
      */
-    removeVector(id) {
-      const entry = this.vectorIndex[id];
-      if (!entry) return false;
-      
-      const clusterId = this.vectorToCluster[id];
-      const cluster = this.getClusterById(clusterId);
+    _scheduleWrite() {
+      const state = this._storageState;
+      if (state.writeScheduled) return;
+      state.writeScheduled = true;
       
-      if (cluster) {
-        // Remove from cluster members
-        cluster.members = cluster.members.filter(m => m.id !== id);
+      this._enqueueStorage(async () => {
+        state.writeScheduled = false;
+        const batch = state.pending.splice(0);
+        if (batch.length === 0) return;
         
-        // Delete from indexes
-        delete this.vectorIndex[id];
-        delete this.vectorToCluster[id];
+        await this.storage.appendLog(batch);
+        state.recordsSinceSnapshot += batch.length;
         
-        // Recalculate cluster center if necessary
-        if (cluster.members.length > 0) {
-          if (this.options.recalculateCenters) {
-            cluster.center = this._recalculateCenter(cluster);
-          }
-          this._updateClusterRadius(cluster);
-        } else {
-          // Remove empty cluster
-          this.clusters = this.clusters.filter(c => c.id !== clusterId);
+        if (state.compactEvery && state.recordsSinceSnapshot >= state.compactEvery) {
+          await this._writeSnapshot();
         }
-        
-        return true;
-      }
-      
-      return false;
+      });
     }
   
     /**
-     * Update a vector's metadata
-     * @param {string} id - The ID of the vector to update
-     * @param {Object} metadata - The new metadata
-     * @returns {boolean} Whether the vector was successfully updated
+     * Run a storage task after all previously queued ones
+     * @param {Function} task - Async task
+     * @returns {Promise} Resolves when the task completes
+     * @private
      */
-    updateMetadata(id, metadata) {
-      const entry = this.vectorIndex[id];
-      if (!entry) return false;
+    _enqueueStorage(task) {
+      const state = this._storageState;
+      const run = state.queue.then(task);
       
-      entry.metadata = metadata;
-      return true;
+      // Keep the queue alive after a failure; the error surfaces from flush()
+      state.queue = run.catch(err => {
+        state.error = state.error || err;
+      });
+      return run;
     }
   
     /**
-     * Merge two clusters
-     * @param {string} clusterId1 - ID of the first cluster
-     * @param {string} clusterId2 - ID of the second cluster
-     * @returns {string} ID of the merged cluster
+     * Write a snapshot of the current state and truncate the log
+     * @private
      */
-    mergeClusters(clusterId1, clusterId2) {
-      const cluster1 = this.getClusterById(clusterId1);
-      const cluster2 = this.getClusterById(clusterId2);
+    async _writeSnapshot() {
+      const state = this._storageState;
       
-      if (!cluster1 || !cluster2) {
-        throw new Error('One or both cluster IDs are invalid');
-      }
+      // Every logged mutation is already applied in memory, including records
+      // still pending; those are appended later and skipped on replay by seq
+      await this.storage.writeSnapshot(JSON.stringify({ seq: state.seq, data: this.export() }));
+      await this.storage.clearLog();
+      state.recordsSinceSnapshot = 0;
+    }
+  
+    /**
+     * Wait until every logged mutation has been written to storage
+     * @returns {Promise<void>} Rejects if a storage write failed
+     */
+    async flush() {
+      if (!this.storage) return;
       
-      // Merge members from cluster2 into cluster1
-      cluster1.members = [...cluster1.members, ...cluster2.members];
+      const state = this._storageState;
+      if (state.pending.length > 0) this._scheduleWrite();
+      await state.queue;
       
-      // Update vectorToCluster index
-      for (const member of cluster2.members) {
-        this.vectorToCluster[member.id] = clusterId1;
+      if (state.error) {
+        const err = state.error;
+        state.error = null;
+        throw err;
+      }
+    }
+  
+    /**
+     * Write a snapshot and clear the write-ahead log
+     * @returns {Promise<void>} Resolves once the snapshot is stored
+     */
+    async compact() {
+      if (!this.storage) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'No storage adapter is attached; use atomicVDB.open()');
       }
       
-      // Remove cluster2
-      this.clusters = this.clusters.filter(c => c.id !== clusterId2);
+      await this.flush();
+      await this._enqueueStorage(() => this._writeSnapshot());
+    }
+  
+    /**
+     * Flush pending writes and detach the storage adapter
+     * @param {Object} [options] - Close options
+     * @param {boolean} [options.compact=false] - Whether to write a snapshot first
+     * @returns {Promise<void>} Resolves once everything is stored
+     */
+    async close(options = {}) {
+      if (!this.storage) return;
       
-      // Recalculate center of merged cluster
-      if (this.options.recalculateCenters) {
-        cluster1.center = this._recalculateCenter(cluster1);
+      if (options.compact) {
+        await this.compact();
+      } else {
+        await this.flush();
       }
       
-      // Update cluster radius
-      this._updateClusterRadius(cluster1);
-      
-      return clusterId1;
+      this.storage = null;
+      this._storageState = null;
     }
   
     /**
-     * Split a cluster into two using k-means
-     * @param {string} clusterId - ID of the cluster to split
-     * @returns {string[]} IDs of the resulting clusters
+     * Open a persistent store: load the adapter's latest snapshot, replay
+     * the write-ahead log on top of it, and log every later mutation
+     * @param {Object} adapter - Storage adapter (see `atomicVDB.storageAdapters`)
+     * @param {Object} [options] - Open options
+     * @param {atomicVDBOptions} [options.storeOptions] - Options for a new store when the adapter is empty
+     * @param {number} [options.compactEvery=1000] - Write a snapshot after this many log records (0 to disable)
+     * @returns {Promise<atomicVDB>} The opened store
      */
-    splitCluster(clusterId) {
-      const cluster = this.getClusterById(clusterId);
+    static async open(adapter, options = {}) {
+      const { storeOptions = {}, compactEvery = 1000 } = options;
       
-      if (!cluster) {
-        throw new Error('Invalid cluster ID');
-      }
+      const snapshotJson = await adapter.readSnapshot();
+      const snapshot = snapshotJson ? JSON.parse(snapshotJson) : null;
+      const store = snapshot ? atomicVDB.import(snapshot.data) : new atomicVDB(storeOptions);
       
-      if (cluster.members.length < 2) {
-        throw new Error('Cannot split a cluster with fewer than 2 members');
+      // Persist a new store's options right away so the log can be replayed against them
+      if (!snapshot) {
+        await adapter.writeSnapshot(JSON.stringify({ seq: 0, data: store.export() }));
       }
       
-      // Simple k-means implementation for splitting
-      // 1. Choose two initial centers
-      const dim = this.dimensions;
+      let seq = snapshot ? snapshot.seq : 0;
+      let replayed = 0;
+      for (const line of await adapter.readLog()) {
+        const record = JSON.parse(line);
+        
+        // Records already covered by the snapshot are skipped
+        if (record.seq <= seq) continue;
+        
+        store._replay(record);
+        seq = record.seq;
+        replayed++;
+      }
       
-      // Find the two most distant vectors in the cluster
-      let maxDistance = -1;
-      let center1Index = 0;
-      let center2Index = 0;
+      store.storage = adapter;
+      store._storageState = {
+        seq,
+        pending: [],
+        queue: Promise.resolve(),
+        writeScheduled: false,
+        recordsSinceSnapshot: replayed,
+        compactEvery,
+        error: null
+      };
       
-      for (let i = 0; i < cluster.members.length; i++) {
-        for (let j = i + 1; j < cluster.members.length; j++) {
-          const dist = 1 - this.options.similarityFn(
-            cluster.members[i].vector,
-            cluster.members[j].vector
-          );
-          
-          if (dist > maxDistance) {
-            maxDistance = dist;
-            center1Index = i;
-            center2Index = j;
-          }
-        }
+      return store;
+    }
+  
+    /**
+     * Re-apply a write-ahead log record or a change from another replica,
+     * reusing the IDs it generated. Nothing is recorded while it runs.
+     * @param {{op: string, args: Array, ids: string[]}} record - Log record
+     * @returns {Error|null} What the operation threw, if anything
+     * @private
+     */
+    _replay(record) {
+      if (!WAL_OPERATIONS.includes(record.op)) {
+        throw new Error(`Unknown write-ahead log operation: ${record.op}`);
       }
       
-      // Create two new clusters
-      const cluster1Id = uuid();
-      const cluster2Id = uuid();
+      let error = null;
+      this._walDepth++;
+      this._replayIds = [...record.ids];
+      try {
+        this[record.op](...record.args);
+      } catch (err) {
+        // The original call failed the same way; its partial effects are what matter
+        error = err;
+      } finally {
+        this._walDepth--;
+        this._replayIds = null;
+      }
       
-      const cluster1 = {
-        id: cluster1Id,
-        center: [...cluster.members[center1Index].vector],
-        members: [cluster.members[center1Index]],
-        radius: 0
-      };
+      if (this._changeLog) this._trackChange(record);
+      return error;
+    }
+  
+    /**
+     * Changes recorded after a sequence number, for another replica to
+     * `applyChanges()`. Take a replica's starting point from `changeSeq`
+     * when copying the store with `export()`, and continue from `toSeq`.
+     * @param {number} [sinceSeq=0] - Sequence number the caller is up to date with
+     * @returns {{replicaId: string, fromSeq: number, toSeq: number, changes: Change[]}} The change set
+     */
+    exportChanges(sinceSeq = 0) {
+      const log = this._changeLog;
+      if (!log) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'exportChanges requires the changeLog option');
+      }
+      if (!Number.isInteger(sinceSeq) || sinceSeq < 0 || sinceSeq > this.changeSeq) {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Invalid sequence number ${sinceSeq}; resynchronize from export()`);
+      }
+      if (sinceSeq < log.floor) {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Changes since ${sinceSeq} are no longer retained (oldest is ${log.floor + 1}); resynchronize from export()`);
+      }
       
-      const cluster2 = {
-        id: cluster2Id,
-        center: [...cluster.members[center2Index].vector],
-        members: [cluster.members[center2Index]],
-        radius: 0
+      log.exportedSeq = this.changeSeq;
+      return {
+        replicaId: this.replicaId,
+        fromSeq: sinceSeq,
+        toSeq: this.changeSeq,
+        changes: log.records.filter(({ seq }) => seq > sinceSeq).map(({ record }) => JSON.parse(record))
       };
+    }
+  
+    /**
+     * Apply changes exported by another replica. Changes that originated
+     * here or were already applied (directly or relayed through another
+     * replica) are skipped, so change sets can be applied more than once.
+     * Applied changes are recorded again, keeping their origin, so this
+     * replica can pass them on.
+     *
+     * A metadata write conflicts when the entry's metadata was changed here
+     * since the version the write replaced. By default the newer write wins
+     * (last writer wins, with ties broken the same way on every replica);
+     * `onConflict` can pick a side or merge the two. A write that loses
+     * is skipped entirely, including the vector of an `upsert`. Removals
+     * win over concurrent metadata writes.
+     * @param {{changes: Change[]}} delta - Result of `exportChanges()` on another replica
+     * @param {Object} [options] - Apply options
+     * @param {Function} [options.onConflict] - Called with `{id, op, local, remote, localStamp, remoteStamp}` (`local`
+     *   and `remote` being the two metadata values); returns `'local'`, `'remote'` or merged metadata, which is
+     *   written as a new change here. Return the same result on every replica for them to converge.
+     * @returns {{applied: number, skipped: number, conflicts: Object[]}} Counts, and the metadata conflicts
+     *   (`type: 'metadata'` with the `resolution`) and changes that failed here (`type: 'failed'` with the `error`)
+     */
+    applyChanges(delta, options = {}) {
+      const log = this._changeLog;
+      if (!log) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'applyChanges requires the changeLog option');
+      }
+      if (!delta || !Array.isArray(delta.changes)) {
+        throw new atomicVDBError('INVALID_DATA', 'Invalid change set: changes must be an array');
+      }
+      for (const change of delta.changes) {
+        const valid = change && WAL_OPERATIONS.includes(change.op) && Array.isArray(change.args) &&
+          Array.isArray(change.ids) && typeof change.origin === 'string' && Number.isInteger(change.originSeq);
+        if (!valid) {
+          throw new atomicVDBError('INVALID_DATA', `Invalid change in change set: ${JSON.stringify(change && change.op)}`);
+        }
+      }
       
-      // Update index for initial members
-      this.vectorToCluster[cluster.members[center1Index].id] = cluster1Id;
-      this.vectorToCluster[cluster.members[center2Index].id] = cluster2Id;
+      const { onConflict = null } = options;
+      const report = { applied: 0, skipped: 0, conflicts: [] };
       
-      // Assign remaining vectors to the closest center
-      for (let i = 0; i < cluster.members.length; i++) {
-        if (i === center1Index || i === center2Index) continue;
+      for (const change of delta.changes) {
+        const { seq, ...record } = change;
+        const { op, args, origin, originSeq } = record;
         
-        const member = cluster.members[i];
-        const sim1 = this.options.similarityFn(member.vector, cluster1.center);
-        const sim2 = this.options.similarityFn(member.vector, cluster2.center);
+        if (origin === this.replicaId || originSeq <= (log.applied.get(origin) ?? 0)) {
+          report.skipped++;
+          continue;
+        }
         
-        if (sim1 > sim2) {
-          cluster1.members.push(member);
-          this.vectorToCluster[member.id] = cluster1Id;
-        } else {
-          cluster2.members.push(member);
-          this.vectorToCluster[member.id] = cluster2Id;
+        // A stamp that isn't the one the write replaced means a concurrent edit here
+        const id = args[0];
+        const localStamp = record.stamp ? log.stamps.get(id) : undefined;
+        let merged;
+        if (localStamp && this.vectorIndex[id] && !(record.base && compareStamps(localStamp, record.base) === 0)) {
+          const local = this.vectorIndex[id].metadata;
+          const remote = (op === 'upsert' ? args[2] : args[1]) ?? null;
+          const newer = compareStamps(record.stamp, localStamp) > 0 ? 'remote' : 'local';
+          
+          // Concurrent writes of the same value (such as two identical merges) only settle the version
+          const identical = JSON.stringify(local) === JSON.stringify(remote);
+          const resolution = onConflict && !identical
+            ? onConflict({ id, op, local, remote, localStamp, remoteStamp: record.stamp })
+            : newer;
+          
+          if (resolution !== 'local' && resolution !== 'remote' && (typeof resolution !== 'object' || Array.isArray(resolution))) {
+            throw new atomicVDBError('INVALID_ARGUMENT', 'onConflict must return "local", "remote" or merged metadata');
+          }
+          if (!identical) {
+            report.conflicts.push({
+              type: 'metadata',
+              op,
+              id,
+              origin,
+              originSeq,
+              resolution: typeof resolution === 'string' ? resolution : 'merged'
+            });
+          }
+          
+          if (resolution === 'local') {
+            log.applied.set(origin, originSeq);
+            report.skipped++;
+            continue;
+          }
+          if (typeof resolution === 'object') merged = resolution;
+        }
+        
+        const error = this._replay(record);
+        this._record(record);
+        report.applied++;
+        if (error) {
+          report.conflicts.push({ type: 'failed', op, origin, originSeq, error: error.message });
         }
+        
+        // The merge is a new edit on top of the remote one, so it travels back
+        if (merged !== undefined) this.updateMetadata(id, merged);
       }
       
-      // Recalculate centers
-      if (this.options.recalculateCenters) {
-        cluster1.center = this._recalculateCenter(cluster1);
-        cluster2.center = this._recalculateCenter(cluster2);
+      return report;
+    }
+  
+    /**
+     * Start the change log over: drop retained changes and move past the
+     * current sequence number, so replicas that may have seen discarded
+     * changes have to resynchronize
+     * @private
+     */
+    _resetChangeLog() {
+      const log = this._changeLog;
+      log.records = [];
+      log.floor = ++this.changeSeq;
+    }
+  
+    /**
+     * Create an empty store from exported options
+     * @param {Object} options - Options from an export
+     * @returns {atomicVDB} The new store
+     * @private
+     */
+    static _fromOptions(options) {
+      if (options && options.similarity === null) {
+        throw new atomicVDBError('INVALID_DATA', 'Exported store used an unregistered similarity function; register it with atomicVDB.registerSimilarity() before exporting');
       }
+      return new atomicVDB(options);
+    }
+  
+    /**
+     * Register a custom similarity metric so stores can refer to it by name
+     * (and therefore survive `export()`/`import()`)
+     * @param {string} name - Metric name, used as the `similarity` option
+     * @param {Function} fn - Function `(a, b) => number` where higher means more similar
+     * @param {Object} [options] - Metric options
+     * @param {Function} [options.toDistance] - Converts a similarity score into a distance (0 for identical vectors); defaults to `s => 1 - s`
+     * @param {Function} [options.maxSimilarity] - `(centerSimilarity, radius) => number` bounding the similarity of any vector within
+     *   `radius` of a center; lets `rangeSearch()` and `findDuplicates()` skip clusters. Omit unless the bound is exact.
+     */
+    static registerSimilarity(name, fn, options = {}) {
+      const { toDistance = s => 1 - s, maxSimilarity = null } = options;
       
-      // Update radii
-      this._updateClusterRadius(cluster1);
-      this._updateClusterRadius(cluster2);
+      if (typeof name !== 'string' || name.length === 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Similarity name must be a non-empty string');
+      }
+      if (typeof fn !== 'function' || typeof toDistance !== 'function' ||
+          (maxSimilarity !== null && typeof maxSimilarity !== 'function')) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Similarity function, toDistance and maxSimilarity must be functions');
+      }
       
-      // Replace the old cluster with the two new ones
-      this.clusters = this.clusters.filter(c => c.id !== clusterId);
-      this.clusters.push(cluster1, cluster2);
+      const existing = similarityRegistry.get(name);
+      if (existing && existing.builtIn) {
+        throw new atomicVDBError('INVALID_ARGUMENT', `Cannot replace built-in similarity metric: ${name}`);
+      }
       
-      return [cluster1Id, cluster2Id];
+      similarityRegistry.set(name, { name, fn, toDistance, maxSimilarity, builtIn: false });
+      atomicVDB.similarities[name] = fn;
+    }
+  }
+  
+  /**
+   * A set of named, independent stores (collections) managed together, e.g.
+   * one per tenant or per embedding model. Each collection has its own
+   * options, including dimensions and similarity metric.
+   */
+  class atomicVDBDatabase {
+    constructor() {
+      /** @type {Map<string, atomicVDB>} */
+      this.collections = new Map();
     }
   
     /**
-     * Get statistics about the vector store
-     * @returns {Object} Statistics about the store
+     * Create a new, empty collection
+     * @param {string} name - Collection name
+     * @param {atomicVDBOptions} [options] - Options for the collection's store
+     * @returns {atomicVDB} The new collection
      */
-    getStats() {
-      const numClusters = this.clusters.length;
-      const numVectors = Object.keys(this.vectorIndex).length;
-      const dimensions = this.dimensions;
-      
-      let minClusterSize = Infinity;
-      let maxClusterSize = 0;
-      let avgClusterSize = 0;
-      
-      for (const cluster of this.clusters) {
-        const size = cluster.members.length;
-        minClusterSize = Math.min(minClusterSize, size);
-        maxClusterSize = Math.max(maxClusterSize, size);
-        avgClusterSize += size;
+    createCollection(name, options = {}) {
+      if (typeof name !== 'string' || name.length === 0) {
+        throw new atomicVDBError('INVALID_ARGUMENT', 'Collection name must be a non-empty string');
+      }
+      if (this.collections.has(name)) {
+        throw new atomicVDBError('DUPLICATE_ID', `Collection "${name}" already exists`);
       }
       
-      if (numClusters > 0) {
-        avgClusterSize /= numClusters;
-      } else {
-        minClusterSize = 0;
+      const collection = new atomicVDB(options);
+      this.collections.set(name, collection);
+      return collection;
+    }
+  
+    /**
+     * Get a collection by name
+     * @param {string} name - Collection name
+     * @returns {atomicVDB|null} The collection, or null if not found
+     */
+    getCollection(name) {
+      return this.collections.get(name) || null;
+    }
+  
+    /**
+     * Remove a collection and everything in it
+     * @param {string} name - Collection name
+     * @returns {boolean} Whether the collection existed
+     */
+    dropCollection(name) {
+      return this.collections.delete(name);
+    }
+  
+    /**
+     * List collection names, in creation order
+     * @returns {string[]} Collection names
+     */
+    listCollections() {
+      return [...this.collections.keys()];
+    }
+  
+    /**
+     * Get statistics for every collection and totals across them
+     * @returns {{numCollections: number, numVectors: number, numClusters: number, bytesUsed: number, collections: Object.<string, Object>}} Statistics
+     */
+    stats() {
+      const collections = {};
+      let numVectors = 0;
+      let numClusters = 0;
+      let bytesUsed = 0;
+      
+      for (const [name, collection] of this.collections) {
+        const stats = collection.getStats();
+        collections[name] = {
+          ...stats,
+          similarity: collection.options.similarity
+        };
+        numVectors += stats.numVectors;
+        numClusters += stats.numClusters;
+        bytesUsed += stats.memory.bytesUsed;
       }
       
       return {
+        numCollections: this.collections.size,
         numVectors,
         numClusters,
-        dimensions,
-        clusterStats: {
-          min: minClusterSize,
-          max: maxClusterSize,
-          avg: avgClusterSize
-        }
+        bytesUsed,
+        collections
       };
     }
   
     /**
-     * Export the store for serialization
-     * @returns {Object} Serializable representation of the store
+     * Export every collection in one serializable object
+     * @returns {{version: number, collections: Object.<string, Object>}} Combined export
      */
     export() {
-      return {
-        dimensions: this.dimensions,
-        options: this.options,
-        clusters: this.clusters,
-        vectorToCluster: this.vectorToCluster
-      };
+      const collections = {};
+      for (const [name, collection] of this.collections) {
+        collections[name] = collection.export();
+      }
+      return { version: 1, collections };
     }
   
     /**
-     * Import data into the store
-     * @param {Object} data - Data exported from another store
-     * @returns {atomicVDB} The updated store instance
+     * Create a database from a combined export
+     * @param {Object} data - Data from `atomicVDBDatabase#export()`
+     * @param {Object} [options] - Import options applied to every collection, as for `atomicVDB.import()`
+     * @returns {atomicVDBDatabase} The new database
      */
-    static import(data) {
-      const store = new atomicVDB(data.options);
-      
-      store.dimensions = data.dimensions;
-      store.clusters = data.clusters;
-      store.vectorToCluster = data.vectorToCluster;
-      
-      // Rebuild the vector index
-      store.vectorIndex = {};
-      for (const cluster of store.clusters) {
-        for (const entry of cluster.members) {
-          store.vectorIndex[entry.id] = entry;
-        }
+    static import(data, options = {}) {
+      if (!data || typeof data.collections !== 'object' || data.collections === null) {
+        throw new atomicVDBError('INVALID_DATA', 'Invalid database export: missing collections');
       }
       
-      return store;
+      const database = new atomicVDBDatabase();
+      for (const [name, collectionData] of Object.entries(data.collections)) {
+        database.collections.set(name, atomicVDB.import(collectionData, options));
+      }
+      return database;
     }
   }
   
   // Export similarity functions
   atomicVDB.similarities = {
     cosine: cosineSimilarity,
-    euclidean: euclideanSimilarity
+    euclidean: euclideanSimilarity,
+    dot: dotSimilarity,
+    manhattan: manhattanSimilarity,
+    hamming: hammingSimilarity,
+    jaccard: jaccardSimilarity
+  };
+  
+  // Export persistence adapters
+  atomicVDB.storageAdapters = {
+    memory: MemoryStorageAdapter,
+    file: FileStorageAdapter,
+    keyValue: KeyValueStorageAdapter
   };
   
+  // Export embedders and the chunking helper
+  atomicVDB.embedders = {
+    hashed: HashedEmbedder,
+    ollama: OllamaEmbedder,
+    openAICompatible: OpenAICompatibleEmbedder,
+    transformers: TransformersEmbedder
+  };
+  atomicVDB.chunkText = chunkText;
+  
+  // Export the multi-collection container
+  atomicVDB.atomicVDBDatabase = atomicVDBDatabase;
+  
+  // Export the error class, for its codes
+  atomicVDB.atomicVDBError = atomicVDBError;
+  
   // Export for browser or Node
   if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
     module.exports = atomicVDB;
@@ -0,0 +1,581 @@
+#!/usr/bin/env node
+/**
+ * atomicvdb - command-line tool for atomicVDB store files
+ *
+ * Loads embeddings (JSONL, CSV or NPY) into stores, queries them and
+ * inspects or converts files written by `export()` and `exportBinary()`.
+ * Node only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const atomicVDB = require('./atomicVDB');
+
+const USAGE = `Usage: atomicvdb <command> [options]
+
+Commands:
+  ingest <file> --store <store>     Insert vectors from a JSONL, CSV or NPY file (creates the store if needed)
+  query --store <store> (--vector <v> | --id <id>)
+                                    Find the entries most similar to a vector or to a stored entry
+  stats --store <store>             Print store statistics
+  clusters --store <store>          List clusters with their sizes and radii
+  recluster --store <store>         Rebuild the clusters with k-means and save the store
+  export --store <store>            Write the store to --out (or stdout) as --format json|binary
+  convert <input> <output>          Convert a store file between JSON and binary
+
+Options:
+  --store, -s <file>        Store file (JSON from export() or binary from exportBinary())
+  --format <format>         Input format for ingest (jsonl|csv|npy) or output format for export/convert (json|binary)
+  --options <json>          Store options for a new store, e.g. '{"similarity":"euclidean"}'
+  --batch-size <n>          Vectors per insertMany() batch (ingest)
+  --vector <v>              Query vector as a JSON array or comma-separated numbers
+  --id <id>                 Query with a stored entry's vector
+  --limit <n>               Maximum number of results (query, default 10)
+  --filter <json>           Metadata filter (query)
+  --min-similarity <x>      Minimum similarity (query)
+  --exact                   Search every cluster (query)
+  --k <n>                   Number of clusters (recluster)
+  --algorithm <name>        kmeans++ or minibatch (recluster)
+  --seed <n>                Random seed (recluster)
+  --max-iterations <n>      Iteration limit (recluster)
+  --dtype <type>            Binary element type: float32, float64, float16 or int8 (export/convert)
+  --out, -o <file>          Output file (export)
+  --json                    Print JSON instead of a table
+  --help, -h                Show this help`;
+
+const OPTIONS = {
+  store: { type: 'string', short: 's' },
+  format: { type: 'string' },
+  options: { type: 'string' },
+  'batch-size': { type: 'string' },
+  vector: { type: 'string' },
+  id: { type: 'string' },
+  limit: { type: 'string' },
+  filter: { type: 'string' },
+  'min-similarity': { type: 'string' },
+  exact: { type: 'boolean' },
+  k: { type: 'string' },
+  algorithm: { type: 'string' },
+  seed: { type: 'string' },
+  'max-iterations': { type: 'string' },
+  dtype: { type: 'string' },
+  out: { type: 'string', short: 'o' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error reported to the user without a stack trace
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse an option as JSON
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for messages
+ * @returns {*} Parsed value
+ */
+function parseJSONOption(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new UsageError(`--${name} must be valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Parse an option as a number
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name, for messages
+ * @param {boolean} [integer=false] - Whether the number must be a positive integer
+ * @returns {number|undefined} Parsed value (undefined when the option is absent)
+ */
+function parseNumberOption(value, name, integer = false) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number) || (integer && (!Number.isInteger(number) || number < 1))) {
+    throw new UsageError(`--${name} must be ${integer ? 'a positive integer' : 'a number'}`);
+  }
+  return number;
+}
+
+/**
+ * Parse a vector given as a JSON array or comma-separated numbers
+ * @param {string} value - Option value
+ * @returns {number[]} The vector
+ */
+function parseVector(value) {
+  const vector = value.trim().startsWith('[') ? parseJSONOption(value, 'vector') : value.split(',').map(Number);
+  if (!Array.isArray(vector) || vector.length === 0 || vector.some(x => typeof x !== 'number' || Number.isNaN(x))) {
+    throw new UsageError('--vector must be a list of numbers');
+  }
+  return vector;
+}
+
+/**
+ * Read items from JSONL: each line is an object with `vector` (or
+ * `embedding`) and optional `id` and `metadata`, or a bare array
+ * @param {string} text - File contents
+ * @returns {{vector: number[], id?: string, metadata?: Object}[]} Items for `insertMany()`
+ */
+function readJSONL(text) {
+  const items = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return;
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (err) {
+      throw new UsageError(`Line ${i + 1}: invalid JSON: ${err.message}`);
+    }
+
+    if (Array.isArray(value)) {
+      items.push({ vector: value });
+      return;
+    }
+    const vector = value && (value.vector ?? value.embedding);
+    if (!Array.isArray(vector)) {
+      throw new UsageError(`Line ${i + 1}: expected an array or an object with a "vector" array`);
+    }
+    const item = { vector, metadata: value.metadata ?? null };
+    if (value.id !== undefined) item.id = String(value.id);
+    items.push(item);
+  });
+  return items;
+}
+
+/**
+ * Split CSV text into rows of fields, honouring double-quoted fields
+ * @param {string} text - File contents
+ * @returns {string[][]} Rows
+ */
+function splitCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Read items from CSV. Without a header every column is a vector
+ * component. With a header (a first row that isn't all numbers), an `id`
+ * column gives the ID, `metadata.<field>` columns give metadata fields and
+ * the remaining columns are vector components.
+ * @param {string} text - File contents
+ * @returns {{vector: number[], id?: string, metadata?: Object}[]} Items for `insertMany()`
+ */
+function readCSV(text) {
+  const rows = splitCSV(text);
+  if (rows.length === 0) return [];
+
+  const isNumeric = field => field.trim() !== '' && !Number.isNaN(Number(field));
+  const header = rows[0].every(isNumeric) ? null : rows[0].map(name => name.trim());
+  const body = header ? rows.slice(1) : rows;
+
+  return body.map((row, r) => {
+    const line = r + (header ? 2 : 1);
+    if (header && row.length !== header.length) {
+      throw new UsageError(`Line ${line}: expected ${header.length} fields, got ${row.length}`);
+    }
+
+    const item = { vector: [], metadata: null };
+    row.forEach((field, c) => {
+      const name = header ? header[c] : null;
+      if (name === 'id') {
+        item.id = field;
+      } else if (name && name.startsWith('metadata.')) {
+        item.metadata = item.metadata || {};
+        item.metadata[name.slice('metadata.'.length)] = isNumeric(field) ? Number(field) : field;
+      } else if (isNumeric(field)) {
+        item.vector.push(Number(field));
+      } else {
+        throw new UsageError(`Line ${line}: "${field}" is not a number`);
+      }
+    });
+    return item;
+  });
+}
+
+/** NPY element types, by their descr */
+const NPY_TYPES = {
+  '<f4': Float32Array,
+  '<f8': Float64Array,
+  '|i1': Int8Array,
+  '|u1': Uint8Array,
+  '<i2': Int16Array,
+  '<i4': Int32Array
+};
+
+/**
+ * Read items from a NumPy `.npy` file holding a 2-D array, one vector per row
+ * @param {Buffer} buffer - File contents
+ * @returns {{vector: ArrayLike<number>}[]} Items for `insertMany()`
+ */
+function readNPY(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 6) !== '\x93NUMPY') {
+    throw new UsageError('Not an NPY file');
+  }
+
+  const major = buffer[6];
+  const headerLength = major === 1 ? buffer.readUInt16LE(8) : buffer.readUInt32LE(8);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = buffer.toString('latin1', headerStart, headerStart + headerLength);
+
+  const descr = /'descr':\s*'([^']+)'/.exec(header);
+  const fortran = /'fortran_order':\s*(True|False)/.exec(header);
+  const shape = /'shape':\s*\(([^)]*)\)/.exec(header);
+  if (!descr || !fortran || !shape) {
+    throw new UsageError('Invalid NPY header');
+  }
+
+  const ArrayType = NPY_TYPES[descr[1]];
+  if (!ArrayType) {
+    throw new UsageError(`Unsupported NPY dtype: ${descr[1]}`);
+  }
+  if (fortran[1] === 'True') {
+    throw new UsageError('Fortran-ordered NPY arrays are not supported');
+  }
+
+  const dims = shape[1].split(',').map(s => s.trim()).filter(Boolean).map(Number);
+  if (dims.length !== 2) {
+    throw new UsageError(`Expected a 2-D array, got shape (${shape[1]})`);
+  }
+
+  const [rows, columns] = dims;
+  if (!dims.every(n => Number.isInteger(n) && n >= 0)) {
+    throw new UsageError(`Invalid NPY shape (${shape[1]})`);
+  }
+
+  // The slice below would read past the file, into unrelated memory, on a short file
+  const dataStart = headerStart + headerLength;
+  const dataLength = rows * columns * ArrayType.BYTES_PER_ELEMENT;
+  if (buffer.length - dataStart < dataLength) {
+    throw new UsageError(`NPY file is truncated: shape (${shape[1]}) needs ${dataLength} bytes of data, found ${Math.max(0, buffer.length - dataStart)}`);
+  }
+
+  const data = new ArrayType(buffer.buffer.slice(
+    buffer.byteOffset + dataStart,
+    buffer.byteOffset + dataStart + dataLength
+  ));
+
+  return Array.from({ length: rows }, (_, r) => ({ vector: data.subarray(r * columns, (r + 1) * columns) }));
+}
+
+/**
+ * Work out a data file's format from an explicit option or its extension
+ * @param {string} file - File path
+ * @param {string} [format] - Explicit format
+ * @returns {'jsonl'|'csv'|'npy'} The format
+ */
+function inputFormat(file, format) {
+  const resolved = format || { '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv', '.npy': 'npy' }[path.extname(file).toLowerCase()];
+  if (!['jsonl', 'csv', 'npy'].includes(resolved)) {
+    throw new UsageError(`Cannot tell the format of ${file}; use --format jsonl|csv|npy`);
+  }
+  return resolved;
+}
+
+/**
+ * Work out the format to write a store file in: an explicit option, the
+ * format of the existing file, or the extension (`.json` for JSON,
+ * anything else binary)
+ * @param {string} file - Store file path
+ * @param {string} [format] - Explicit format
+ * @returns {'json'|'binary'} The format
+ */
+function storeFormat(file, format) {
+  if (format) {
+    if (format !== 'json' && format !== 'binary') {
+      throw new UsageError('--format must be json or binary');
+    }
+    return format;
+  }
+  if (fs.existsSync(file)) {
+    return isBinaryStore(fs.readFileSync(file)) ? 'binary' : 'json';
+  }
+  return path.extname(file).toLowerCase() === '.json' ? 'json' : 'binary';
+}
+
+/**
+ * Whether file contents are a binary store
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} Whether the contents start with the binary magic number
+ */
+function isBinaryStore(buffer) {
+  return buffer.toString('latin1', 0, 4) === 'AVDB';
+}
+
+/**
+ * Load a store file
+ * @param {string} file - JSON or binary store file
+ * @returns {atomicVDB} The store
+ */
+function loadStore(file) {
+  if (!file) throw new UsageError('--store is required');
+  if (!fs.existsSync(file)) throw new UsageError(`Store file not found: ${file}`);
+
+  const buffer = fs.readFileSync(file);
+  if (isBinaryStore(buffer)) return atomicVDB.importBinary(buffer);
+
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf8'));
+  } catch (err) {
+    throw new UsageError(`${file} is neither a binary store nor JSON: ${err.message}`);
+  }
+  return atomicVDB.import(data);
+}
+
+/**
+ * Serialize a store
+ * @param {atomicVDB} store - The store
+ * @param {'json'|'binary'} format - Output format
+ * @param {string} [dtype] - Binary element type
+ * @returns {Buffer} The encoded store
+ */
+function encodeStore(store, format, dtype) {
+  if (format === 'json') return Buffer.from(JSON.stringify(store.export()));
+  return Buffer.from(store.exportBinary(dtype ? { dtype } : {}));
+}
+
+/**
+ * Save a store to a file, writing a temporary file first so a failed
+ * write can't destroy the original
+ * @param {atomicVDB} store - The store
+ * @param {string} file - Destination
+ * @param {'json'|'binary'} format - Output format
+ * @param {string} [dtype] - Binary element type
+ */
+function saveStore(store, file, format, dtype) {
+  const temp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(temp, encodeStore(store, format, dtype));
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Print rows as aligned columns
+ * @param {Function} print - Line printer
+ * @param {string[]} headings - Column headings
+ * @param {Array<Array<*>>} rows - Rows of cells
+ */
+function printTable(print, headings, rows) {
+  const cells = [headings, ...rows.map(row => row.map(cell => String(cell)))];
+  const widths = headings.map((_, c) => Math.max(...cells.map(row => row[c].length)));
+  for (const row of cells) {
+    print(row.map((cell, c) => (c === row.length - 1 ? cell : cell.padEnd(widths[c]))).join('  '));
+  }
+}
+
+/** Subcommands: `(positionals, options, io) => void` */
+const COMMANDS = {
+  ingest([file], options, { print }) {
+    if (!file) throw new UsageError('ingest requires an input file');
+    if (!options.store) throw new UsageError('--store is required');
+    if (!fs.existsSync(file)) throw new UsageError(`Input file not found: ${file}`);
+
+    const format = inputFormat(file, options.format);
+    const items = format === 'npy'
+      ? readNPY(fs.readFileSync(file))
+      : (format === 'csv' ? readCSV : readJSONL)(fs.readFileSync(file, 'utf8'));
+
+    const exists = fs.existsSync(options.store);
+    const outputFormat = storeFormat(options.store);
+    const store = exists
+      ? loadStore(options.store)
+      : new atomicVDB(options.options ? parseJSONOption(options.options, 'options') : {});
+
+    const batchSize = parseNumberOption(options['batch-size'], 'batch-size', true);
+    const ids = store.insertMany(items, batchSize ? { batchSize } : {});
+    saveStore(store, options.store, outputFormat);
+
+    print(options.json
+      ? JSON.stringify({ inserted: ids.length, store: options.store, clusters: store.clusters.length })
+      : `Inserted ${ids.length} vectors into ${options.store} (${store.clusters.length} clusters)`);
+  },
+
+  query(positionals, options, { print }) {
+    const store = loadStore(options.store);
+
+    let vector;
+    if (options.vector !== undefined) {
+      vector = parseVector(options.vector);
+    } else if (options.id !== undefined) {
+      const entry = store.getVectorById(options.id);
+      if (!entry) throw new UsageError(`Vector with ID "${options.id}" not found`);
+      vector = entry.vector;
+    } else {
+      throw new UsageError('query requires --vector or --id');
+    }
+
+    const searchOptions = { limit: parseNumberOption(options.limit, 'limit', true) ?? 10 };
+    if (options.filter) searchOptions.filter = parseJSONOption(options.filter, 'filter');
+    if (options['min-similarity'] !== undefined) {
+      searchOptions.minSimilarity = parseNumberOption(options['min-similarity'], 'min-similarity');
+    }
+    if (options.exact) searchOptions.searchAllClusters = true;
+
+    const results = store.search(vector, searchOptions);
+    if (options.json) {
+      print(JSON.stringify(results.map(r => ({
+        id: r.entry.id, similarity: r.similarity, clusterId: r.clusterId, metadata: r.entry.metadata
+      }))));
+      return;
+    }
+    printTable(print, ['SIMILARITY', 'ID', 'METADATA'],
+      results.map(r => [r.similarity.toFixed(6), r.entry.id, JSON.stringify(r.entry.metadata)]));
+  },
+
+  stats(positionals, options, { print }) {
+    print(JSON.stringify(loadStore(options.store).getStats(), null, options.json ? 0 : 2));
+  },
+
+  clusters(positionals, options, { print }) {
+    const clusters = loadStore(options.store).getClusters();
+    if (options.json) {
+      print(JSON.stringify(clusters.map(c => ({ id: c.id, size: c.size, radius: c.radius }))));
+      return;
+    }
+    printTable(print, ['ID', 'SIZE', 'RADIUS'], clusters.map(c => [c.id, c.size, c.radius.toFixed(6)]));
+  },
+
+  recluster(positionals, options, { print }) {
+    const store = loadStore(options.store);
+    const summary = store.recluster({
+      k: parseNumberOption(options.k, 'k', true),
+      algorithm: options.algorithm,
+      seed: parseNumberOption(options.seed, 'seed'),
+      maxIterations: parseNumberOption(options['max-iterations'], 'max-iterations', true)
+    });
+    saveStore(store, options.store, storeFormat(options.store));
+
+    print(options.json
+      ? JSON.stringify(summary)
+      : `Re-clustered into ${summary.k} clusters in ${summary.iterations} iterations${summary.converged ? '' : ' (not converged)'}`);
+  },
+
+  export(positionals, options, { print, write }) {
+    const store = loadStore(options.store);
+    const format = options.format || 'json';
+    if (format !== 'json' && format !== 'binary') {
+      throw new UsageError('--format must be json or binary');
+    }
+
+    if (options.out) {
+      saveStore(store, options.out, format, options.dtype);
+      print(`Wrote ${options.out}`);
+    } else {
+      write(encodeStore(store, format, options.dtype));
+    }
+  },
+
+  convert([input, output], options, { print }) {
+    if (!input || !output) throw new UsageError('convert requires an input and an output file');
+
+    const store = loadStore(input);
+    const format = options.format || (path.extname(output).toLowerCase() === '.json' ? 'json' : 'binary');
+    saveStore(store, output, storeFormat(output, format), options.dtype);
+    print(`Converted ${input} to ${output} (${format})`);
+  }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {Object} [io] - Output streams (defaults to the process's)
+ * @param {Function} [io.print] - Prints a line to stdout
+ * @param {Function} [io.write] - Writes raw data to stdout
+ * @param {Function} [io.error] - Prints a line to stderr
+ * @returns {number} Exit code
+ */
+function main(argv, io = {}) {
+  const {
+    print = line => process.stdout.write(`${line}\n`),
+    write = data => process.stdout.write(data),
+    error = line => process.stderr.write(`${line}\n`)
+  } = io;
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    error(`atomicvdb: ${err.message}`);
+    return 2;
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (!command || parsed.values.help) {
+    print(USAGE);
+    return command || parsed.values.help ? 0 : 2;
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    error(`atomicvdb: unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    COMMANDS[command](positionals, parsed.values, { print, write });
+    return 0;
+  } catch (err) {
+    error(`atomicvdb: ${err.message}`);
+    if (!(err instanceof UsageError) && process.env.ATOMICVDB_DEBUG) error(err.stack);
+    return 1;
+  }
+}
+
+/**
+ * Run the CLI as a process: set the exit code from `main()`
+ * @param {string[]} argv - Command-line arguments (without `node` and the script)
+ */
+function run(argv) {
+  // Output piped into e.g. `head` may be cut off early
+  process.stdout.on('error', err => {
+    if (err.code === 'EPIPE') process.exit(0);
+    throw err;
+  });
+  process.exitCode = main(argv);
+}
+
+if (require.main === module) run(process.argv.slice(2));
+
+module.exports = {
+  main,
+  run,
+  readJSONL,
+  readCSV,
+  readNPY
+};
@@ -0,0 +1,583 @@
+/**
+ * atomicVDB server - REST/JSON access to atomicVDB stores over HTTP
+ *
+ * Wraps a single store, or every collection of an `atomicVDBDatabase`, so
+ * that services written in other languages can share it. Node only.
+ */
+
+const http = require('http');
+const atomicVDB = require('./atomicVDB');
+
+/**
+ * @typedef {Object} ServerOptions
+ * @property {number} [maxBodySize=52428800] - Largest accepted request body in bytes
+ * @property {boolean} [handleSignals=false] - Close gracefully on SIGINT and SIGTERM
+ * @property {Function} [onError] - Called with errors that produce a 500 response
+ */
+
+/**
+ * Error codes returned in `{error: {code, message}}` bodies, with their HTTP status
+ */
+const ERROR_CODES = {
+  INVALID_JSON: 400,
+  INVALID_REQUEST: 400,
+  DIMENSION_MISMATCH: 400,
+  INVALID_ID: 400,
+  BAD_REQUEST: 400,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  DUPLICATE_ID: 409,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  SERVICE_UNAVAILABLE: 503,
+  INTERNAL: 500
+};
+
+/**
+ * Error carrying one of the `ERROR_CODES`
+ */
+class ServerError extends Error {
+  /**
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+    this.status = ERROR_CODES[code];
+  }
+}
+
+/**
+ * Server error code for each `atomicVDBError` code
+ */
+const STORE_ERROR_CODES = {
+  INVALID_ARGUMENT: 'BAD_REQUEST',
+  INVALID_DATA: 'BAD_REQUEST',
+  LIMIT_EXCEEDED: 'BAD_REQUEST',
+  DIMENSION_MISMATCH: 'DIMENSION_MISMATCH',
+  DUPLICATE_ID: 'DUPLICATE_ID',
+  INVALID_ID: 'INVALID_ID',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT'
+};
+
+/**
+ * Map an error thrown by the store to an error code. Only store errors
+ * with a known code become 4xx responses; anything else is INTERNAL, so
+ * `onError` sees it.
+ * @param {Error} err - The error
+ * @returns {ServerError} Error with a code
+ */
+function classifyError(err) {
+  if (err instanceof ServerError) return err;
+
+  const message = err.message || String(err);
+  const code = err instanceof atomicVDB.atomicVDBError && STORE_ERROR_CODES[err.code];
+  return new ServerError(code || 'INTERNAL', message);
+}
+
+/**
+ * Check a value against a JSON Schema. Supports `type`, `properties`,
+ * `required`, `additionalProperties: false`, `items`, `minItems`,
+ * `enum`, `minimum` and `minLength`.
+ * @param {Object} schema - The schema
+ * @param {*} value - Value to check
+ * @param {string} [path='body'] - Location of the value, for messages
+ * @returns {string|null} The first violation, or null if the value is valid
+ */
+function validateSchema(schema, value, path = 'body') {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(type => {
+      switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+      }
+    });
+    if (!matches) return `${path} must be of type ${types.join(' or ')}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    return `${path} must be at least ${schema.minimum}`;
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    return `${path} must have at least ${schema.minLength} characters`;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${path} must have at least ${schema.minItems} items`;
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validateSchema(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  } else if (value !== null && typeof value === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) return `${path}.${field} is required`;
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties && schema.properties[field];
+      if (fieldSchema) {
+        const error = validateSchema(fieldSchema, fieldValue, `${path}.${field}`);
+        if (error) return error;
+      } else if (schema.additionalProperties === false) {
+        return `${path}.${field} is not allowed`;
+      }
+    }
+  }
+
+  return null;
+}
+
+const vectorSchema = { type: 'array', items: { type: 'number' }, minItems: 1 };
+const idSchema = { type: 'string', minLength: 1 };
+const metadataSchema = { type: ['object', 'null'] };
+
+/** Request body schemas, by route name */
+const SCHEMAS = {
+  insert: {
+    type: 'object',
+    required: ['vector'],
+    additionalProperties: false,
+    properties: {
+      vector: vectorSchema,
+      metadata: metadataSchema,
+      id: idSchema,
+      ttl: { type: 'number', minimum: 0 },
+      expiresAt: { type: 'number' }
+    }
+  },
+  insertMany: {
+    type: 'object',
+    required: ['items'],
+    additionalProperties: false,
+    properties: {
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['vector'],
+          additionalProperties: false,
+          properties: {
+            vector: vectorSchema,
+            metadata: metadataSchema,
+            id: idSchema,
+            ttl: { type: 'number', minimum: 0 },
+            expiresAt: { type: 'number' }
+          }
+        }
+      },
+      batchSize: { type: 'integer', minimum: 1 }
+    }
+  },
+  search: {
+    type: 'object',
+    required: ['vector'],
+    additionalProperties: false,
+    properties: {
+      vector: vectorSchema,
+      limit: { type: 'integer', minimum: 1 },
+      minSimilarity: { type: 'number' },
+      searchAllClusters: { type: 'boolean' },
+      filter: { type: 'object' },
+      nProbe: { type: ['integer', 'null'], minimum: 1 },
+      minClustersToProbe: { type: 'integer', minimum: 1 },
+      ef: { type: 'integer', minimum: 1 },
+      rerank: { type: 'boolean' },
+      beamWidth: { type: 'integer', minimum: 1 },
+      diversity: { type: 'object' },
+      groupBy: { type: 'string' },
+      groupSize: { type: 'integer', minimum: 1 },
+      includeVectors: { type: 'boolean' }
+    }
+  },
+  updateMetadata: {
+    type: 'object',
+    required: ['metadata'],
+    additionalProperties: false,
+    properties: { metadata: metadataSchema }
+  },
+  mergeClusters: {
+    type: 'object',
+    required: ['clusterId1', 'clusterId2'],
+    additionalProperties: false,
+    properties: { clusterId1: idSchema, clusterId2: idSchema }
+  },
+  storeExport: {
+    type: 'object',
+    required: ['options', 'clusters'],
+    properties: {
+      options: { type: 'object' },
+      clusters: { type: 'array', items: { type: 'object', required: ['id', 'center', 'members'] } }
+    }
+  },
+  databaseExport: {
+    type: 'object',
+    required: ['collections'],
+    properties: { collections: { type: 'object' } }
+  },
+  collectionOptions: { type: 'object' },
+  changes: {
+    type: 'object',
+    required: ['changes'],
+    properties: {
+      changes: { type: 'array', items: { type: 'object', required: ['op', 'args', 'ids', 'origin', 'originSeq'] } }
+    }
+  }
+};
+
+/**
+ * JSON form of an entry
+ * @param {atomicVDB} store - The store holding it
+ * @param {Object} entry - The entry
+ * @param {boolean} includeVector - Whether to include the vector
+ * @returns {Object} The entry as plain data
+ */
+function entryToJSON(store, entry, includeVector) {
+  const json = { id: entry.id, metadata: entry.metadata, clusterId: store.vectorToCluster[entry.id] };
+  if (entry.expiresAt !== undefined) json.expiresAt = entry.expiresAt;
+  if (includeVector) json.vector = Array.from(entry.vector);
+  return json;
+}
+
+/**
+ * JSON form of a search result
+ * @param {atomicVDB} store - The store searched
+ * @param {Object} result - The result
+ * @param {boolean} includeVector - Whether to include the vector
+ * @returns {Object} The result as plain data
+ */
+function resultToJSON(store, result, includeVector) {
+  return { ...entryToJSON(store, result.entry, includeVector), similarity: result.similarity, clusterId: result.clusterId };
+}
+
+/**
+ * Create an HTTP server for a store or a database of collections.
+ *
+ * Store routes (under `/collections/:name` when serving a database):
+ * `POST /vectors`, `POST /vectors/batch`, `GET|DELETE /vectors/:id`,
+ * `PUT /vectors/:id/metadata`, `POST /search`, `GET /clusters`,
+ * `POST /clusters/:id/split`, `POST /clusters/merge`, `GET /stats`,
+ * `GET /export`, `POST /import`, and `GET /changes/:sinceSeq` and
+ * `POST /changes` for stores with the `changeLog` option. A database
+ * also serves `GET /collections`, `PUT|DELETE /collections/:name`,
+ * `GET /export` and `POST /import` for all collections.
+ * @param {atomicVDB|atomicVDBDatabase} target - Store or database to serve
+ * @param {ServerOptions} [options] - Server options
+ * @returns {{server: http.Server, listen: Function, close: Function, readonly target: atomicVDB|atomicVDBDatabase}} The
+ *   server; `listen(port, host)` and `close()` return promises
+ */
+function createServer(target, options = {}) {
+  const { maxBodySize = 50 * 1024 * 1024, handleSignals = false, onError = null } = options;
+  const isDatabase = target instanceof atomicVDB.atomicVDBDatabase;
+  if (!isDatabase && !(target instanceof atomicVDB)) {
+    throw new Error('createServer requires an atomicVDB store or an atomicVDBDatabase');
+  }
+
+  let closing = null;
+  let inFlight = 0;
+  let drained = null;
+
+  /** Routes on a single store; `store` is resolved from the path */
+  const storeRoutes = [
+    ['POST', /^\/vectors$/, 'insert', async (store, params, body) => {
+      const { vector, metadata = null, ...insertOptions } = body;
+      return [201, { id: store.insert(vector, metadata, insertOptions) }];
+    }],
+    ['POST', /^\/vectors\/batch$/, 'insertMany', async (store, params, body) => {
+      const ids = store.insertMany(body.items, body.batchSize ? { batchSize: body.batchSize } : {});
+      return [201, { ids }];
+    }],
+    ['GET', /^\/vectors\/([^/]+)$/, null, async (store, [id]) => {
+      const entry = store.getVectorById(id);
+      if (!entry) throw new ServerError('NOT_FOUND', `Vector with ID "${id}" not found`);
+      return [200, entryToJSON(store, entry, true)];
+    }],
+    ['DELETE', /^\/vectors\/([^/]+)$/, null, async (store, [id]) => {
+      if (!store.removeVector(id)) throw new ServerError('NOT_FOUND', `Vector with ID "${id}" not found`);
+      return [200, { removed: true }];
+    }],
+    ['PUT', /^\/vectors\/([^/]+)\/metadata$/, 'updateMetadata', async (store, [id], body) => {
+      if (!store.updateMetadata(id, body.metadata)) throw new ServerError('NOT_FOUND', `Vector with ID "${id}" not found`);
+      return [200, { updated: true }];
+    }],
+    ['POST', /^\/search$/, 'search', async (store, params, body) => {
+      const { vector, includeVectors = false, ...searchOptions } = body;
+      const results = await store.searchAsync(vector, searchOptions);
+      const toJSON = result => resultToJSON(store, result, includeVectors);
+      return [200, {
+        results: searchOptions.groupBy
+          ? results.map(({ group, results: members }) => ({ group, results: members.map(toJSON) }))
+          : results.map(toJSON)
+      }];
+    }],
+    ['GET', /^\/clusters$/, null, async store => [200, {
+      clusters: store.getClusters().map(c => ({ ...c, center: Array.from(c.center) }))
+    }]],
+    ['POST', /^\/clusters\/merge$/, 'mergeClusters', async (store, params, body) => [200, {
+      clusterId: store.mergeClusters(body.clusterId1, body.clusterId2)
+    }]],
+    ['POST', /^\/clusters\/([^/]+)\/split$/, null, async (store, [id]) => [200, { clusterIds: await store.splitClusterAsync(id) }]],
+    ['GET', /^\/stats$/, null, async store => [200, store.getStats()]],
+    ['GET', /^\/export$/, null, async store => [200, store.export()]],
+    ['GET', /^\/changes\/(\d+)$/, null, async (store, [since]) => [200, store.exportChanges(Number(since))]],
+    ['POST', /^\/changes$/, 'changes', async (store, params, body) => [200, store.applyChanges(body)]]
+  ];
+
+  /** Routes that replace or manage whole stores */
+  const topRoutes = isDatabase
+    ? [
+      ['GET', /^\/collections$/, null, async () => [200, { collections: target.listCollections() }]],
+      ['PUT', /^\/collections\/([^/]+)$/, 'collectionOptions', async ([name], body) => {
+        target.createCollection(name, body || {});
+        return [201, { created: name }];
+      }],
+      ['DELETE', /^\/collections\/([^/]+)$/, null, async ([name]) => {
+        const store = target.getCollection(name);
+        if (!store) throw new ServerError('NOT_FOUND', `Collection "${name}" not found`);
+        await release(store);
+        target.dropCollection(name);
+        return [200, { dropped: name }];
+      }],
+      ['POST', /^\/collections\/([^/]+)\/import$/, 'storeExport', async ([name], body) => {
+        const previous = target.getCollection(name);
+        if (!previous) throw new ServerError('NOT_FOUND', `Collection "${name}" not found`);
+        assertReplaceable(previous);
+        target.collections.set(name, atomicVDB.import(body, { validate: true }));
+        await release(previous);
+        return [200, { imported: name }];
+      }],
+      ['GET', /^\/export$/, null, async () => [200, target.export()]],
+      ['POST', /^\/import$/, 'databaseExport', async (params, body) => {
+        const previous = [...target.collections.values()];
+        previous.forEach(assertReplaceable);
+        target.collections = atomicVDB.atomicVDBDatabase.import(body, { validate: true }).collections;
+        await Promise.all(previous.map(release));
+        return [200, { collections: target.listCollections() }];
+      }]
+    ]
+    : [
+      ['POST', /^\/import$/, 'storeExport', async (params, body) => {
+        const previous = target;
+        assertReplaceable(previous);
+        target = atomicVDB.import(body, { validate: true });
+        await release(previous);
+        return [200, { imported: true }];
+      }]
+    ];
+
+  /**
+   * Find the handler for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - URL path
+   * @returns {{handler: Function, args: Array, schema: string|null}} The route
+   */
+  const resolve = (method, path) => {
+    let methodMismatch = false;
+    const match = (routes, subpath, bind) => {
+      for (const [routeMethod, pattern, schema, handler] of routes) {
+        const found = pattern.exec(subpath);
+        if (!found) continue;
+        if (routeMethod !== method) {
+          methodMismatch = true;
+          continue;
+        }
+        return { handler, schema, args: bind(found.slice(1).map(decodeURIComponent)) };
+      }
+      return null;
+    };
+
+    let route = match(topRoutes, path, params => [params]);
+    if (route) return route;
+
+    let store = target;
+    let subpath = path;
+    if (isDatabase) {
+      const prefix = /^\/collections\/([^/]+)(\/.*)$/.exec(path);
+      if (prefix) {
+        const name = decodeURIComponent(prefix[1]);
+        store = target.getCollection(name);
+        subpath = prefix[2];
+        if (!store && storeRoutes.some(([, pattern]) => pattern.test(subpath))) {
+          throw new ServerError('NOT_FOUND', `Collection "${name}" not found`);
+        }
+      } else {
+        store = null;
+      }
+    }
+
+    route = store && match(storeRoutes, subpath, params => [store, params]);
+    if (route) return route;
+    if (methodMismatch) throw new ServerError('METHOD_NOT_ALLOWED', `Method ${method} is not allowed on ${path}`);
+    throw new ServerError('NOT_FOUND', `No route for ${method} ${path}`);
+  };
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Promise<*>} Parsed body (undefined when empty)
+   */
+  const readBody = req => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        // Discard the rest so the error response can still be sent
+        chunks.length = 0;
+        reject(new ServerError('PAYLOAD_TOO_LARGE', `Request body exceeds ${maxBodySize} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size === 0) return resolve(undefined);
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(new ServerError('INVALID_JSON', `Request body is not valid JSON: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - The response
+   * @param {number} status - HTTP status
+   * @param {*} body - Response body
+   */
+  const send = (res, status, body) => {
+    const json = JSON.stringify(body, (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value));
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+    res.end(json);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (closing) {
+      res.setHeader('Connection', 'close');
+      send(res, 503, { error: { code: 'SERVICE_UNAVAILABLE', message: 'Server is shutting down' } });
+      return;
+    }
+
+    inFlight++;
+    try {
+      const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+      const { handler, args, schema } = resolve(req.method, path);
+
+      const body = await readBody(req);
+      if (schema) {
+        const error = validateSchema(SCHEMAS[schema], body === undefined ? {} : body);
+        if (error) throw new ServerError('INVALID_REQUEST', error);
+      }
+
+      const [status, result] = await handler(...args, body);
+      send(res, status, result);
+    } catch (err) {
+      const error = classifyError(err);
+      if (error.code === 'INTERNAL' && onError) onError(err);
+      if (!res.headersSent) send(res, error.status, { error: { code: error.code, message: error.message } });
+    } finally {
+      inFlight--;
+      if (inFlight === 0 && drained) drained();
+    }
+  });
+
+  /**
+   * Flush a store's pending writes and stop its workers
+   * @param {atomicVDB} store - The store
+   * @returns {Promise<void>} Resolves once done
+   */
+  async function release(store) {
+    await store.flush();
+    await store.closeWorkers();
+  }
+
+  /**
+   * Refuse to replace a store opened with `atomicVDB.open()`, whose
+   * storage would be left behind
+   * @param {atomicVDB} store - The store
+   */
+  function assertReplaceable(store) {
+    if (store.storage) {
+      throw new ServerError('BAD_REQUEST', 'Cannot import over a persistent store; import into a new store instead');
+    }
+  }
+
+  const onSignal = () => { handle.close(); };
+
+  const handle = {
+    server,
+
+    /** @returns {atomicVDB|atomicVDBDatabase} The store or database being served (replaced by `POST /import`) */
+    get target() {
+      return target;
+    },
+
+    /**
+     * Start listening
+     * @param {number} [port=0] - Port (0 picks a free one)
+     * @param {string} [host='127.0.0.1'] - Interface to bind
+     * @returns {Promise<{port: number, host: string}>} The bound address
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          if (handleSignals) {
+            process.once('SIGINT', onSignal);
+            process.once('SIGTERM', onSignal);
+          }
+          const address = server.address();
+          resolve({ port: address.port, host: address.address });
+        });
+      });
+    },
+
+    /**
+     * Shut down gracefully: stop accepting connections, let in-flight
+     * requests finish, then flush every store's pending writes
+     * @returns {Promise<void>} Resolves once everything is flushed
+     */
+    close() {
+      if (closing) return closing;
+
+      closing = (async () => {
+        if (handleSignals) {
+          process.off('SIGINT', onSignal);
+          process.off('SIGTERM', onSignal);
+        }
+
+        const stopped = new Promise(resolve => server.close(() => resolve()));
+        if (server.closeIdleConnections) server.closeIdleConnections();
+        if (inFlight > 0) await new Promise(resolve => { drained = resolve; });
+        if (server.closeAllConnections) server.closeAllConnections();
+        await stopped;
+
+        const stores = isDatabase ? [...target.collections.values()] : [target];
+        await Promise.all(stores.map(release));
+      })();
+      return closing;
+    }
+  };
+
+  return handle;
+}
+
+module.exports = {
+  createServer,
+  validateSchema,
+  ERROR_CODES,
+  SCHEMAS
+};
@@ -0,0 +1,182 @@
+/**
+ * Two-replica tests for the change log: exportChanges() and applyChanges()
+ *
+ * Run with `node --test test/`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const atomicVDB = require('../atomicVDB');
+
+// Change sets travel as JSON between replicas
+const wire = value => JSON.parse(JSON.stringify(value));
+
+let seed = 1;
+const random = () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647 - 0.5;
+};
+const vector = () => Array.from({ length: 6 }, random);
+
+// Entries with their vectors and metadata, in ID order
+const contents = store => Object.values(store.vectorIndex)
+  .map(entry => [entry.id, Array.from(entry.vector), entry.metadata])
+  .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+/**
+ * A primary store with a few entries, and a replica seeded from its export,
+ * each with a cursor to pull the other's changes from
+ */
+function replicas() {
+  const primary = new atomicVDB({ changeLog: true, clusterThreshold: 0.5 });
+  for (let i = 0; i < 10; i++) primary.insert(vector(), { i }, { id: `v${i}` });
+
+  const replica = atomicVDB.import(wire(primary.export()));
+  const cursors = new Map([[primary, primary.changeSeq], [replica, replica.changeSeq]]);
+
+  // Pull the changes `from` made since the last pull and apply them to `to`
+  const sync = (from, to, options) => {
+    const delta = wire(from.exportChanges(cursors.get(from)));
+    cursors.set(from, delta.toSeq);
+    return to.applyChanges(delta, options);
+  };
+
+  return { primary, replica, sync };
+}
+
+test('concurrent inserts on both replicas converge', () => {
+  const { primary, replica, sync } = replicas();
+
+  for (let i = 0; i < 5; i++) {
+    primary.insert(vector(), { from: 'primary' }, { id: `p${i}` });
+    replica.insert(vector(), { from: 'replica' }, { id: `r${i}` });
+  }
+  primary.removeVector('v1');
+  replica.removeVector('v2');
+
+  assert.deepStrictEqual(sync(primary, replica), { applied: 6, skipped: 0, conflicts: [] });
+  assert.deepStrictEqual(sync(replica, primary), { applied: 6, skipped: 6, conflicts: [] });
+
+  assert.deepStrictEqual(contents(primary), contents(replica));
+  assert.strictEqual(Object.keys(primary.vectorIndex).length, 18);
+});
+
+test('concurrent metadata updates: the last writer wins by default', () => {
+  const { primary, replica, sync } = replicas();
+
+  primary.updateMetadata('v3', { side: 'primary' });
+  replica.updateMetadata('v3', { side: 'replica' });
+
+  const toReplica = sync(primary, replica);
+  const toPrimary = sync(replica, primary);
+
+  assert.strictEqual(toReplica.conflicts.length, 1);
+  assert.strictEqual(toPrimary.conflicts.length, 1);
+  assert.notStrictEqual(toReplica.conflicts[0].resolution, toPrimary.conflicts[0].resolution);
+  assert.deepStrictEqual(primary.getVectorById('v3').metadata, replica.getVectorById('v3').metadata);
+});
+
+test('concurrent metadata updates: onConflict keeps the local side', () => {
+  const { primary, replica, sync } = replicas();
+
+  primary.updateMetadata('v3', { side: 'primary' });
+  replica.updateMetadata('v3', { side: 'replica' });
+
+  const report = sync(primary, replica, { onConflict: () => 'local' });
+
+  assert.deepStrictEqual(report.conflicts.map(c => [c.type, c.id, c.resolution]), [['metadata', 'v3', 'local']]);
+  assert.strictEqual(report.skipped, 1);
+  assert.deepStrictEqual(replica.getVectorById('v3').metadata, { side: 'replica' });
+});
+
+test('concurrent metadata updates: onConflict takes the remote side', () => {
+  const { primary, replica, sync } = replicas();
+
+  primary.updateMetadata('v3', { side: 'primary' });
+  replica.updateMetadata('v3', { side: 'replica' });
+
+  const calls = [];
+  const report = sync(primary, replica, {
+    onConflict: conflict => {
+      calls.push(conflict);
+      return 'remote';
+    }
+  });
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual([calls[0].id, calls[0].local, calls[0].remote], ['v3', { side: 'replica' }, { side: 'primary' }]);
+  assert.deepStrictEqual(report.conflicts.map(c => c.resolution), ['remote']);
+  assert.deepStrictEqual(replica.getVectorById('v3').metadata, { side: 'primary' });
+});
+
+test('concurrent metadata updates: onConflict merges, and both replicas converge', () => {
+  const { primary, replica, sync } = replicas();
+  const onConflict = ({ local, remote }) => ({ tags: [...new Set([...local.tags, ...remote.tags])].sort() });
+
+  primary.updateMetadata('v3', { tags: ['a'] });
+  replica.updateMetadata('v3', { tags: ['b'] });
+
+  assert.deepStrictEqual(sync(primary, replica, { onConflict }).conflicts.map(c => c.resolution), ['merged']);
+  assert.deepStrictEqual(sync(replica, primary, { onConflict }).conflicts.map(c => c.resolution), ['merged']);
+
+  // The merges travel back as new edits of the same value, which settle without conflicts
+  assert.deepStrictEqual(sync(primary, replica, { onConflict }).conflicts, []);
+  assert.deepStrictEqual(sync(replica, primary, { onConflict }).conflicts, []);
+
+  assert.deepStrictEqual(primary.getVectorById('v3').metadata, { tags: ['a', 'b'] });
+  assert.deepStrictEqual(contents(primary), contents(replica));
+});
+
+test('relayed changes are skipped when applied again', () => {
+  const { primary, replica, sync } = replicas();
+  const third = atomicVDB.import(wire(primary.export()));
+
+  primary.insert(vector(), null, { id: 'relayed' });
+  primary.updateMetadata('v4', { relayed: true });
+  const direct = wire(primary.exportChanges(primary.changeSeq - 2));
+
+  // primary -> replica -> third
+  sync(primary, replica);
+  const relayed = third.applyChanges(wire(replica.exportChanges(replica.changeSeq - 2)));
+  assert.deepStrictEqual(relayed, { applied: 2, skipped: 0, conflicts: [] });
+
+  assert.deepStrictEqual(third.applyChanges(direct), { applied: 0, skipped: 2, conflicts: [] });
+  assert.deepStrictEqual(replica.applyChanges(direct), { applied: 0, skipped: 2, conflicts: [] });
+  assert.deepStrictEqual(contents(third), contents(primary));
+});
+
+test('rolling back a transaction after its changes were exported forces a resync', () => {
+  const { primary, replica } = replicas();
+  const since = primary.changeSeq;
+
+  let pulled;
+  assert.throws(() => primary.transaction(store => {
+    store.insert(vector(), null, { id: 'rolled-back' });
+    pulled = wire(store.exportChanges(since));
+    throw new Error('abort');
+  }), /abort/);
+
+  // The replica saw a change that no longer exists; the primary refuses to continue from there
+  replica.applyChanges(pulled);
+  assert.ok(replica.getVectorById('rolled-back'));
+  assert.strictEqual(primary.getVectorById('rolled-back'), null);
+  assert.throws(() => primary.exportChanges(pulled.toSeq), /no longer retained/);
+  assert.throws(() => primary.exportChanges(since), /no longer retained/);
+
+  // Re-seeding from export() brings the replica back in step
+  const reseeded = atomicVDB.import(wire(primary.export()));
+  assert.deepStrictEqual(contents(reseeded), contents(primary));
+  assert.deepStrictEqual(primary.exportChanges(primary.changeSeq).changes, []);
+});
+
+test('rolling back a transaction before any export drops its changes', () => {
+  const { primary } = replicas();
+  const since = primary.changeSeq;
+
+  assert.throws(() => primary.transaction(store => {
+    store.insert(vector(), null, { id: 'rolled-back' });
+    throw new Error('abort');
+  }), /abort/);
+
+  assert.deepStrictEqual(primary.exportChanges(since).changes, []);
+});